@@ -0,0 +1,130 @@
+// Service worker: keeps the app shell, the tournament list, recently visited
+// pages and PDFs the user saved for offline use available without a
+// connection. Other files, such as the static build's PDF copies and feeds,
+// aren't cached: there are too many of them.
+//
+// Bump SHELL_CACHE when the caching rules change; old shell caches are dropped
+// on activate. Saved PDFs live in their own cache so they survive updates.
+
+const SHELL_CACHE = 'shell-v5';
+const DATA_CACHE = 'data-v1';
+const PAGE_CACHE = 'pages-v1';
+const PDF_CACHE = 'saved-pdfs';
+const SHELL_URLS = ['/', '/index.html', '/app.html', '/manifest.webmanifest', '/logo.jpg'];
+// The static build prerenders a page per tournament; only the latest visited
+// ones are kept.
+const MAX_PAGES = 50;
+
+// The built index.html names the hashed scripts and styles under /assets/.
+// The page fetched them before this worker was installed, so they are only
+// cached if they are fetched again here.
+async function shellAssetUrls() {
+  const response = await fetch('/index.html', { cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  const html = await response.text();
+  return [...new Set(Array.from(html.matchAll(/\b(?:src|href)="(\/assets\/[^"]+)"/g), (match) => match[1]))];
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    Promise.all([caches.open(SHELL_CACHE), shellAssetUrls()])
+      .then(([cache, assetUrls]) => cache.addAll([...SHELL_URLS, ...assetUrls]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const keep = [SHELL_CACHE, DATA_CACHE, PAGE_CACHE, PDF_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => !keep.includes(key)).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Drops the oldest entries beyond `maxEntries`; keys() lists them in the
+// order they were added.
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)));
+}
+
+// Network first, falling back to the cache when offline. `fallbackUrl` may be
+// in any cache.
+async function networkFirst(request, cacheName, { fallbackUrl, maxEntries } = {}) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      // Deleted first, so a page visited again counts as the newest.
+      const copy = response.clone();
+      cache.delete(request)
+        .then(() => cache.put(request, copy))
+        .then(() => maxEntries && trimCache(cache, maxEntries));
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request) || (fallbackUrl && await caches.match(fallbackUrl));
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// Serve from the cache immediately and update it in the background.
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok) {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => cached);
+  return cached || network;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  // PDFs saved from a tournament card, see src/offline.js
+  if (url.origin === self.location.origin && url.pathname.startsWith('/offline/')) {
+    event.respondWith(
+      caches.open(PDF_CACHE)
+        .then((cache) => cache.match(url.pathname))
+        .then((cached) => cached || new Response('This PDF has not been saved for offline use.', { status: 404 }))
+    );
+    return;
+  }
+
+  // The Drive folder listing (but not file downloads)
+  if (url.hostname === 'www.googleapis.com' && url.pathname === '/drive/v3/files') {
+    event.respondWith(networkFirst(request, DATA_CACHE));
+    return;
+  }
+
+  if (url.origin !== self.location.origin) return;
+
+  // The build-time tournament snapshot, see src/data/snapshotSource.js
+  if (url.pathname === '/tournaments.json') {
+    event.respondWith(networkFirst(request, DATA_CACHE));
+    return;
+  }
+
+  // app.html is the page without any prerendered list, see vite.config.js
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, PAGE_CACHE, { fallbackUrl: '/app.html', maxEntries: MAX_PAGES }));
+    return;
+  }
+
+  // The hashed scripts and styles, and the rest of the shell
+  if (url.pathname.startsWith('/assets/') || SHELL_URLS.includes(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+  }
+});
@@ -0,0 +1,214 @@
+// Builds the site with the tournament list baked in, so visitors never need
+// the Drive API key and search engines get real HTML:
+//
+//   node scripts/build-static.mjs [--fixture <file.json|file.csv>] [--snapshot-only]
+//
+// The list comes from --fixture (records as the "static" data source reads
+// them), or else from the Drive folder in DRIVE_API_KEY and DRIVE_FOLDER_ID
+// (VITE_API_KEY and VITE_FOLDER_ID also work), taken from the environment or
+// .env. It is written to dist/tournaments.json next to a normal build that
+// reads it (VITE_DATA_SOURCE=snapshot) and the pages from src/prerender.jsx.
+// Each PDF is copied to dist/pdf/<id>.pdf and the details the app shows are
+// read from it here, so the snapshot carries them.
+// Client-side routes without a page of their own (/submit, /admin, new
+// tournaments) are served dist/app.html, which the build leaves unfilled.
+// Set SITE_URL (e.g. https://example.org) for canonical links, sitemap.xml
+// and the RSS, Atom and JSON feeds from src/feeds.js.
+//
+// --snapshot-only just writes public/tournaments.json and public/pdf/, for
+// trying the snapshot with `VITE_DATA_SOURCE=snapshot npm run dev`.
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { build, createServer, loadEnv } from 'vite';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const outDir = path.join(root, 'dist');
+const standardFontDataUrl = path.join(root, 'node_modules', 'pdfjs-dist', 'standard_fonts') + path.sep;
+// Ids that are safe as file names; Drive ids always are.
+const SAFE_ID = /^[\w-]+$/;
+
+function parseArgs(argv) {
+  const args = { fixture: null, snapshotOnly: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--fixture') {
+      args.fixture = argv[++i];
+    } else if (argv[i] === '--snapshot-only') {
+      args.snapshotOnly = true;
+    } else {
+      throw new Error(`Unknown option "${argv[i]}"`);
+    }
+  }
+  return args;
+}
+
+async function loadTournaments(load, env, fixture) {
+  if (fixture) {
+    const { tournamentFromRecord } = await load('/src/data/tournament.js');
+    const text = await readFile(path.resolve(fixture), 'utf8');
+    let records;
+    if (/\.csv$/i.test(fixture)) {
+      const { csvToRecords } = await load('/src/data/staticSource.js');
+      records = csvToRecords(text);
+    } else {
+      const data = JSON.parse(text);
+      records = Array.isArray(data) ? data : data.tournaments || [];
+    }
+    return { source: path.basename(fixture), tournaments: records.map(tournamentFromRecord) };
+  }
+
+  const apiKey = env.DRIVE_API_KEY || env.VITE_API_KEY;
+  const folderId = env.DRIVE_FOLDER_ID || env.VITE_FOLDER_ID;
+  if (!apiKey || !folderId) {
+    throw new Error('Nothing to snapshot: pass --fixture <file>, or set DRIVE_API_KEY and DRIVE_FOLDER_ID.');
+  }
+  const { createGoogleDriveSource, driveMediaUrl } = await load('/src/data/googleDrive.js');
+  const tournaments = await createGoogleDriveSource({ apiKey, folderId }).fetchTournaments();
+  // The media link carries the API key, so it is only used to fetch the copies.
+  const pdfUrl = t => t.links.pdf || (t.links.driveId ? driveMediaUrl(t.links.driveId, apiKey) : null);
+  return { source: 'Google Drive', tournaments, pdfUrl };
+}
+
+// Copies each tournament's PDF to <dir>/pdf/<id>.pdf and points links.pdf at
+// that same-origin copy, which downloads, offline copies and the ZIP export
+// can fetch without the key. Details are read from the PDF while it's at hand.
+// `pdfUrl(tournament)` is where to fetch each PDF; a PDF that can't be copied
+// keeps the links it had.
+async function copyPdfs(tournaments, dir, { pdfDetailsModule, pdfUrl }) {
+  const { parseTournamentDetails, readPdfText } = pdfDetailsModule;
+  const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const copied = [];
+  let count = 0;
+
+  for (const tournament of tournaments) {
+    const url = pdfUrl(tournament);
+    if (!/^https?:/.test(url || '')) {
+      copied.push(tournament);
+      continue;
+    }
+    if (!SAFE_ID.test(tournament.id)) {
+      console.warn(`Not copying the PDF for "${tournament.title}": its id is not a safe file name`);
+      copied.push(tournament);
+      continue;
+    }
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const data = new Uint8Array(await response.arrayBuffer());
+      await writeOutput(path.join(dir, 'pdf', `${tournament.id}.pdf`), data);
+      let { details } = tournament;
+      if (!details) {
+        try {
+          // pdf.js takes over the buffer, so it goes last.
+          details = parseTournamentDetails(await readPdfText(await pdfjs.getDocument({ data, standardFontDataUrl }).promise));
+        } catch (error) {
+          console.warn(`Could not read the PDF for "${tournament.title}": ${error.message}`);
+        }
+      }
+      copied.push({ ...tournament, details, links: { ...tournament.links, pdf: `/pdf/${tournament.id}.pdf` } });
+      count++;
+    } catch (error) {
+      console.warn(`Could not copy the PDF for "${tournament.title}": ${error.message}`);
+      copied.push(tournament);
+    }
+  }
+
+  console.log(`Copied ${count} PDFs`);
+  return copied;
+}
+
+// dist/<path>, or null for ids that would land outside their folder.
+function outputFile(urlPath) {
+  const segments = urlPath.split('/').filter(Boolean).map(decodeURIComponent);
+  if (segments.some(segment => segment === '..' || segment === '.' || segment.includes('/') || segment.includes('\\'))) {
+    return null;
+  }
+  return path.join(outDir, ...segments);
+}
+
+async function writeOutput(file, body) {
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, body);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const env = { ...loadEnv('production', root, ''), ...process.env };
+  const siteUrl = (env.SITE_URL || '').replace(/\/+$/, '');
+
+  // Vite loads the app's own modules, so the snapshot goes through the same
+  // parser and the pages through the same components as the browser.
+  const server = await createServer({ root, logLevel: 'error', server: { middlewareMode: true }, appType: 'custom' });
+  let tournaments, source, pdfUrl, snapshotModule, prerenderModule, feedsModule, pdfDetailsModule;
+  try {
+    const load = (url) => server.ssrLoadModule(url);
+    ({ tournaments, source, pdfUrl = t => t.links.pdf } = await loadTournaments(load, env, args.fixture));
+    snapshotModule = await load('/src/data/snapshotSource.js');
+    prerenderModule = await load('/src/prerender.jsx');
+    feedsModule = await load('/src/feeds.js');
+    pdfDetailsModule = await load('/src/pdfDetails.js');
+  } finally {
+    await server.close();
+  }
+
+  if (args.snapshotOnly) {
+    tournaments = await copyPdfs(tournaments, path.join(root, 'public'), { pdfDetailsModule, pdfUrl });
+  } else {
+    // The client reads the snapshot, and no key may end up in the bundle.
+    process.env.VITE_DATA_SOURCE = 'snapshot';
+    process.env.VITE_DATA_URL = '';
+    process.env.VITE_API_KEY = '';
+    // Tells the app it can link to the feeds for the current filters.
+    process.env.VITE_FEEDS = siteUrl ? '1' : '';
+    // createServer set NODE_ENV to development, which would bundle React's
+    // development build.
+    process.env.NODE_ENV = 'production';
+    await build({ root });
+    await build({ root, configFile: path.join(root, 'vite.widget.config.js') });
+    // After the build, which empties dist/.
+    tournaments = await copyPdfs(tournaments, outDir, { pdfDetailsModule, pdfUrl });
+  }
+
+  const generatedAt = new Date();
+  const snapshot = JSON.stringify(snapshotModule.toSnapshot(tournaments, { source, generatedAt }));
+  console.log(`Snapshot of ${tournaments.length} tournaments from ${source}`);
+
+  if (args.snapshotOnly) {
+    await writeFile(path.join(root, 'public', snapshotModule.SNAPSHOT_PATH), snapshot);
+    return;
+  }
+
+  await writeFile(path.join(outDir, snapshotModule.SNAPSHOT_PATH), snapshot);
+  const template = await readFile(path.join(outDir, 'index.html'), 'utf8');
+  const pages = prerenderModule.renderStaticPages(tournaments, { template, siteUrl, generatedAt });
+  const written = [];
+  for (const page of pages) {
+    const file = outputFile(`${page.path}/index.html`);
+    if (!file) {
+      console.warn(`Skipping page ${page.path}: not a safe file path`);
+      continue;
+    }
+    await writeOutput(file, page.html);
+    written.push(page);
+  }
+  console.log(`Prerendered ${written.length} pages`);
+
+  if (!siteUrl) {
+    console.log('Set SITE_URL to also write sitemap.xml and the feeds');
+    return;
+  }
+  await writeFile(path.join(outDir, 'sitemap.xml'), prerenderModule.renderSitemap(written, siteUrl));
+  const feeds = feedsModule.renderFeeds(tournaments, { siteUrl, generatedAt });
+  for (const feed of feeds) {
+    await writeOutput(outputFile(feed.path), feed.body);
+  }
+  console.log(`Wrote ${feeds.length} feed files`);
+}
+
+main().catch((error) => {
+  console.error(error.message || error);
+  process.exitCode = 1;
+});
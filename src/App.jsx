@@ -1,158 +1,254 @@
 import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { TournamentCard } from './TournamentCard';
+import { MultiSelectFilter } from './MultiSelectFilter';
+import { parseMonthYear } from './parseFilename';
+import { createDataSource, ConfigurationError } from './data';
+import { readCachedTournaments, writeCachedTournaments } from './data/cache';
+import { useSavedPdfs, isOfflineSupported } from './offline';
+import { useWatchlist } from './watchlist';
+import { calendarBlob } from './ics';
+import { downloadBlob, pdfUrl, zipPdfs } from './download';
+import { GAZETTEER_CITIES, findGazetteerCity, locate, distanceKm } from './gazetteer';
+import { TournamentMap } from './TournamentMap';
+import { CalendarView } from './CalendarView';
+import { TournamentTable } from './TournamentTable';
+import { PlanningPanel } from './PlanningPanel';
+import { SavedSearchesPanel } from './SavedSearchesPanel';
+import { useSavedSearches, suggestSearchName } from './savedSearches';
+import { FEED_INDEX_PATH, feedPathsForFilters } from './feeds';
+import { parseQuery, matchTournament, foldText } from './search';
+import { useTournamentDetails } from './tournamentDetails';
+import { entryFeeInEuros, formatMoney } from './pdfDetails';
+import { TournamentPage } from './TournamentPage';
+import { useRoute, routeFromLocation, SUBMIT_PATH } from './routes';
+import { Link } from './Link';
+import { SubmitPage } from './SubmitPage';
+import { DataQualityPage } from './DataQualityPage';
+import { setPageMeta, describeTournament } from './pageMeta';
+import { matchesTimeWindow, formatTimeAgo, startOfMonth, toISOMonth, parseISOMonth } from './dates';
+import { DEFAULT_FILTERS, filtersFromSearch, filtersToSearch } from './urlFilters';
+import { I18nContext, useLanguage } from './i18n';
+import { LANGUAGES } from './messages';
 import { Analytics } from '@vercel/analytics/react';
 import { SpeedInsights } from "@vercel/speed-insights/react";
+import { THEMES, useTheme, COMMON_PAGE_BG, COMMON_BG, COMMON_INPUT_BORDER, COMMON_TEXT, COMMON_PLACEHOLDER, COMMON_FOCUS, COMMON_TRANSITION, COMMON_FORM_HEIGHT, COMMON_BUTTON_PRIMARY, COMMON_BUTTON_SECONDARY } from './theme';
 
-const API_KEY = import.meta.env.VITE_API_KEY;
-const FOLDER_ID = import.meta.env.VITE_FOLDER_ID;
-
-// ... (parseFilename function remains the same)
-function parseFilename(name) {
-  const noExt = name.replace(/\.pdf$/i, '');
-  const parts = noExt.split(' ').filter(p => p.trim() !== '');
-
-  let dateRange = '';
-  let monthYear = '';
-  let type = '';
-  let locationCountry = '';
-
-  if (parts.length > 0) {
-    dateRange = parts[0];
-  }
-  if (parts.length > 1) {
-    monthYear = parts[1];
-  }
-  if (parts.length > 2) {
-    type = parts[2];
-  }
-  if (parts.length > 3) {
-    locationCountry = parts.slice(3).join(' ');
-  }
-
-  const [location, countryRaw] = locationCountry.split(',').map(s => s.trim());
-
-  let startDate = null;
-  const dayMatch = dateRange.match(/^\d+/);
-  if (dayMatch && monthYear) {
-    const monthNameMatch = monthYear.match(/[a-zA-Z]+/);
-    const yearMatch = monthYear.match(/\d{4}/);
-
-    if (monthNameMatch && yearMatch) {
-      try {
-        const dateString = `${monthNameMatch[0]} ${dayMatch[0]}, ${yearMatch[0]}`;
-        startDate = new Date(dateString);
-      } catch (e) {
-        console.error("Error parsing start date for:", name, e);
-        startDate = null;
-      }
+const dataSource = createDataSource();
+
+// Set by scripts/build-static.mjs when it wrote the feeds from src/feeds.js.
+const feedsAvailable = !!import.meta.env.VITE_FEEDS;
+
+const VIEW_MODES = ['grid', 'calendar', 'table'];
+
+const STATUS_VALUES = ['All', 'Upcoming', 'Ongoing', 'ThisWeekend', 'Next7', 'Next30', 'Custom', 'Completed'];
+
+const FEE_LIMITS = [20, 50, 100];
+
+// An empty selection means the facet isn't filtering.
+function matchesFacet(selected, value) {
+  return selected.length === 0 || selected.includes(value);
+}
+
+// Facet values that have results, plus any selected ones that no longer do,
+// so they stay visible and can be unticked.
+function withSelected(counts, selected) {
+  const values = Array.from(counts.keys());
+  selected.forEach(value => {
+    if (!counts.has(value)) {
+      values.push(value);
     }
-  }
-
-  return {
-    dateRange: dateRange,
-    monthYear: monthYear,
-    type:      type,
-    location:  location,
-    country:   countryRaw || 'Unknown',
-    startDate: startDate
-  };
+  });
+  return values;
 }
 
 export default function App() {
-  const [files, setFiles] = useState([]);
-  const [search, setSearch] = useState('');
-  const [monthFilter, setMonth] = useState('All');
-  const [countryFilter, setCountry] = useState('All');
-  const [typeFilter, setType] = useState('All');
-  const [statusFilter, setStatusFilter] = useState('Upcoming');
-  const [loading, setLoading] = useState(true);
+  const route = useRoute();
+  const { i18n, setLanguage } = useLanguage();
+  const { theme, setTheme } = useTheme();
+  const { t, locale } = i18n;
+  const [initialFilters] = useState(() => filtersFromSearch(window.location.search));
+  const [cached] = useState(() => readCachedTournaments(dataSource.name));
+  const [tournaments, setTournaments] = useState(cached ? cached.tournaments : []);
+  const [lastUpdated, setLastUpdated] = useState(cached ? cached.savedAt : null);
+  const [search, setSearch] = useState(initialFilters.search);
+  const [monthFilters, setMonths] = useState(initialFilters.month);
+  const [countryFilters, setCountries] = useState(initialFilters.country);
+  const [typeFilters, setTypes] = useState(initialFilters.type);
+  const [statusFilter, setStatusFilter] = useState(initialFilters.status);
+  const [customFrom, setCustomFrom] = useState(initialFilters.from);
+  const [customTo, setCustomTo] = useState(initialFilters.to);
+  const [savedOnly, setSavedOnly] = useState(initialFilters.saved);
+  const [nearCity, setNearCity] = useState(initialFilters.near);
+  const [radiusKm, setRadiusKm] = useState(initialFilters.radius);
+  const [fideOnly, setFideOnly] = useState(initialFilters.fide);
+  const [maxFee, setMaxFee] = useState(initialFilters.fee);
+  const [sortBy, setSortBy] = useState(initialFilters.sort);
+  const [showMap, setShowMap] = useState(initialFilters.map);
+  const [viewMode, setViewMode] = useState(initialFilters.view);
+  const [calendarMonth, setCalendarMonth] = useState(initialFilters.cal);
+  const [planMode, setPlanMode] = useState(initialFilters.plan);
+  const [refreshing, setRefreshing] = useState(true);
   const [error, setError] = useState(null);
   const [showMobileFilters, setShowMobileFilters] = useState(false);
+  const [zipProgress, setZipProgress] = useState(null);
+  const [zipNotice, setZipNotice] = useState(null);
+  const [showAlerts, setShowAlerts] = useState(false);
+  const [feedDirectories, setFeedDirectories] = useState([]);
+  const savedPdfs = useSavedPdfs();
+  const watchlist = useWatchlist();
+  const { syncSnapshots } = watchlist;
+  const plan = useWatchlist('plan');
+  const { syncSnapshots: syncPlanSnapshots } = plan;
+  const savedSearches = useSavedSearches(i18n);
+  const { checkForNew } = savedSearches;
 
-  const COMMON_BORDER       = 'border border-gray-300';
-  const COMMON_BG           = 'bg-white';
-  const COMMON_TEXT         = 'text-gray-800';
-  const COMMON_PLACEHOLDER  = 'placeholder-gray-500';
-  const COMMON_FOCUS        = 'focus:outline-none focus:ring-2 focus:ring-blue-400';
-  const COMMON_TRANSITION   = 'transition';
-  const COMMON_FORM_HEIGHT  = 'h-11';
+  const loading = refreshing && tournaments.length === 0;
 
-  useEffect(() => {
-    if (!API_KEY || !FOLDER_ID) {
-      console.error('Missing VITE_API_KEY or VITE_FOLDER_ID');
-      setError('Configuration error: API Key or Folder ID is missing. Please check your .env file.');
-      setLoading(false);
-      return;
+  // Show the cached list right away and refresh it in the background.
+  const refreshTournaments = useCallback(async () => {
+    setRefreshing(true);
+    setError(null);
+    try {
+      const fresh = await dataSource.fetchTournaments();
+      setTournaments(fresh);
+      setLastUpdated(writeCachedTournaments(dataSource.name, fresh) || new Date());
+      checkForNew(fresh);
+    } catch (error) {
+      console.error('Error fetching tournaments:', error);
+      setError({ message: error.message, configuration: error instanceof ConfigurationError });
     }
+    setRefreshing(false);
+  }, [checkForNew]);
 
-    const fetchAllFiles = async () => {
-      setLoading(true);
-      setError(null);
-      let allFiles = [];
-      let nextPageToken = null;
-
-      do {
-        const q = `'${FOLDER_ID}' in parents and mimeType='application/pdf'`;
-        const url = new URL('https://www.googleapis.com/drive/v3/files');
-        url.searchParams.set('q', q);
-        url.searchParams.set('supportsAllDrives', 'true');
-        url.searchParams.set('includeItemsFromAllDrives', 'true');
-        url.searchParams.set('fields', 'nextPageToken, files(id,name,webViewLink)');
-        url.searchParams.set('key', API_KEY);
-        if (nextPageToken) {
-          url.searchParams.set('pageToken', nextPageToken);
-        }
+  useEffect(() => {
+    refreshTournaments().catch(console.error);
+  }, [refreshTournaments]);
 
-        try {
-          const response = await fetch(url.toString());
-          if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-          }
-          const data = await response.json();
-          allFiles = [...allFiles, ...(data.files || [])];
-          nextPageToken = data.nextPageToken;
-        } catch (error) {
-          console.error('Error fetching files:', error);
-          setError(`Failed to load tournaments: ${error.message}. Please try again later.`);
-          break;
-        }
-      } while (nextPageToken);
+  // Configuration problems are for whoever deployed the site, so they stay as written.
+  const errorText = error && (error.configuration ? error.message : t('error.loadFailed', { message: error.message }));
 
-      setFiles(allFiles);
-      setLoading(false);
-    };
+  useEffect(() => {
+    syncSnapshots(tournaments);
+    syncPlanSnapshots(tournaments);
+  }, [tournaments, syncSnapshots, syncPlanSnapshots]);
 
-    fetchAllFiles().catch(console.error);
-  }, []);
+  // Saved events that are no longer in the list. Only trusted once a list has
+  // loaded successfully, so a failed fetch doesn't flag everything.
+  const missingIds = useMemo(() => {
+    if (error || !lastUpdated) return new Set();
+    const currentIds = new Set(tournaments.map(t => t.id));
+    return new Set(watchlist.saved.filter(t => !currentIds.has(t.id)).map(t => t.id));
+  }, [tournaments, watchlist.saved, error, lastUpdated]);
 
-  const filteredFiles = useMemo(() => {
-      const now = new Date(); 
+  const savedIds = useMemo(() => new Set(watchlist.saved.map(t => t.id)), [watchlist.saved]);
+  const plannedIds = useMemo(() => new Set(plan.saved.map(t => t.id)), [plan.saved]);
 
-      let filtered = files.filter(f => {
-          const parsed = f.parsedData || parseFilename(f.name);
-          f.parsedData = parsed;
+  // Map positions from the bundled gazetteer, for the current and saved events.
+  const locations = useMemo(() => {
+    const byId = new Map();
+    [...tournaments, ...watchlist.saved].forEach(t => {
+      if (!byId.has(t.id)) {
+        byId.set(t.id, locate(t.city, t.country));
+      }
+    });
+    return byId;
+  }, [tournaments, watchlist.saved]);
 
-          const matchesSearch = f.name.toLowerCase().includes(search.toLowerCase());
-          const matchesMonth = monthFilter === 'All' || parsed.monthYear === monthFilter;
-          const matchesCountry = countryFilter === 'All' || parsed.country === countryFilter;
-          const matchesType = typeFilter === 'All' || parsed.type === typeFilter;
+  const origin = useMemo(() => findGazetteerCity(nearCity), [nearCity]);
 
-          const isUpcoming = parsed.startDate && parsed.startDate >= now;
-          const isCompleted = parsed.startDate && parsed.startDate < now;
+  const distances = useMemo(() => {
+    const byId = new Map();
+    if (!origin) return byId;
+    locations.forEach((location, id) => {
+      if (location) {
+        byId.set(id, distanceKm(origin, location));
+      }
+    });
+    return byId;
+  }, [locations, origin]);
 
-          let matchesStatus = true;
-          if (statusFilter === 'Upcoming') {
-              matchesStatus = isUpcoming;
-          } else if (statusFilter === 'Completed') {
-              matchesStatus = isCompleted;
-          }
+  // The fee and FIDE filters need every flyer read; otherwise only the
+  // tournaments on screen are.
+  const { detailsById, pending: detailsPending, requestDetails } = useTournamentDetails(tournaments, fideOnly || maxFee !== '');
+
+  useEffect(() => {
+    if (route.name === 'tournament') {
+      requestDetails(route.id);
+    }
+  }, [route, requestDetails]);
+
+  // Tournaments with the details read from their PDFs filled in.
+  const detailedTournaments = useMemo(() => tournaments.map(t => (
+    !t.details && detailsById.has(t.id) ? { ...t, details: detailsById.get(t.id) } : t
+  )), [tournaments, detailsById]);
+
+  // The Saved view filters the starred events, including the missing ones.
+  // The distance and PDF detail filters apply here too, so facet counts respect them.
+  // Events whose details are unknown can't be shown to pass those filters.
+  const baseTournaments = useMemo(() => {
+    let base = detailedTournaments;
+    if (savedOnly) {
+      base = [
+        ...detailedTournaments.filter(t => savedIds.has(t.id)),
+        ...watchlist.saved.filter(t => missingIds.has(t.id)),
+      ];
+    }
+    if (origin && radiusKm) {
+      base = base.filter(t => distances.has(t.id) && distances.get(t.id) <= Number(radiusKm));
+    }
+    if (fideOnly) {
+      base = base.filter(t => t.details && t.details.fideRated === true);
+    }
+    if (maxFee) {
+      base = base.filter(t => {
+        const fee = entryFeeInEuros(t.details);
+        return fee !== null && fee <= Number(maxFee);
+      });
+    }
+    return base;
+  }, [detailedTournaments, savedOnly, savedIds, missingIds, watchlist.saved, origin, radiusKm, distances, fideOnly, maxFee]);
+
+  // Search results by tournament id, or null when there is no search.
+  const searchMatches = useMemo(() => {
+    const terms = parseQuery(search);
+    if (terms.length === 0) return null;
+    const matches = new Map();
+    baseTournaments.forEach(t => {
+      const match = matchTournament(t, terms);
+      if (match) {
+        matches.set(t.id, match);
+      }
+    });
+    return matches;
+  }, [baseTournaments, search]);
+
+  const filteredTournaments = useMemo(() => {
+      const now = new Date(); 
+
+      let filtered = baseTournaments.filter(t => {
+          const matchesSearch = !searchMatches || searchMatches.has(t.id);
+          const matchesMonth = matchesFacet(monthFilters, t.monthYear);
+          const matchesCountry = matchesFacet(countryFilters, t.country);
+          const matchesType = matchesFacet(typeFilters, t.type);
+
+          const matchesStatus = matchesTimeWindow(t, statusFilter, now, { from: customFrom, to: customTo });
           
           return matchesSearch && matchesMonth && matchesCountry && matchesType && matchesStatus;
       });
 
       filtered.sort((a, b) => {
-          const dateA = a.parsedData.startDate;
-          const dateB = b.parsedData.startDate;
+          if (sortBy === 'distance' && origin) {
+              const distanceA = distances.has(a.id) ? distances.get(a.id) : Infinity;
+              const distanceB = distances.has(b.id) ? distances.get(b.id) : Infinity;
+              if (distanceA !== distanceB) return distanceA - distanceB;
+          }
+          if (sortBy === 'relevance' && searchMatches) {
+              const scoreDifference = searchMatches.get(b.id).score - searchMatches.get(a.id).score;
+              if (scoreDifference !== 0) return scoreDifference;
+          }
+
+          const dateA = a.startDate;
+          const dateB = b.startDate;
 
           if (!dateA && !dateB) return 0;
           if (!dateA) return 1;
@@ -162,33 +258,27 @@ export default function App() {
       });
 
       return filtered;
-  }, [files, search, monthFilter, countryFilter, typeFilter, statusFilter]);
+  }, [baseTournaments, searchMatches, monthFilters, countryFilters, typeFilters, statusFilter, customFrom, customTo, sortBy, origin, distances]);
 
 
-  const getFilteredCounts = (attribute, currentMonth, currentCountry, currentType, currentSearch, currentStatus) => {
+  // Counts per value of `attribute` under every other active filter, so each
+  // facet option shows how many results selecting it would add.
+  const getFilteredCounts = (attribute, currentMonths, currentCountries, currentTypes, currentStatus) => {
     const counts = new Map();
     const now = new Date();
-    files.forEach(file => {
-      const parsed = parseFilename(file.name);
-      const { monthYear, country, type } = parsed;
-      const matchesSearch = file.name.toLowerCase().includes(currentSearch.toLowerCase());
+    baseTournaments.forEach(tournament => {
+      const { monthYear, country, type } = tournament;
+      const matchesSearch = !searchMatches || searchMatches.has(tournament.id);
 
       const matchesOtherFilters =
-        (attribute === 'monthYear' || currentMonth === 'All' || monthYear === currentMonth) &&
-        (attribute === 'country'   || currentCountry === 'All' || country === currentCountry) &&
-        (attribute === 'type'      || currentType === 'All' || type === currentType);
-
-      const isUpcoming = parsed.startDate && parsed.startDate >= now;
-      const isCompleted = parsed.startDate && parsed.startDate < now;
-      let matchesStatus = true;
-      if (currentStatus === 'Upcoming') {
-          matchesStatus = isUpcoming;
-      } else if (currentStatus === 'Completed') {
-          matchesStatus = isCompleted;
-      }
+        (attribute === 'monthYear' || matchesFacet(currentMonths, monthYear)) &&
+        (attribute === 'country'   || matchesFacet(currentCountries, country)) &&
+        (attribute === 'type'      || matchesFacet(currentTypes, type));
+
+      const matchesStatus = matchesTimeWindow(tournament, currentStatus, now, { from: customFrom, to: customTo });
 
       if (matchesSearch && matchesOtherFilters && matchesStatus) {
-        const value = parsed[attribute];
+        const value = tournament[attribute];
         if (value) {
           counts.set(value, (counts.get(value) || 0) + 1);
         }
@@ -197,308 +287,314 @@ export default function App() {
     return counts;
   };
 
-  const MONTH_ORDER = [
-    "January", "February", "March", "April", "May", "June",
-    "July", "August", "September", "October", "November", "December"
-  ];
-
-  const getMonthName = (monthYearString) => {
-    if (!monthYearString) return '';
-    const firstDigitIndex = monthYearString.search(/\d/);
-    return firstDigitIndex !== -1 ? monthYearString.substring(0, firstDigitIndex) : monthYearString;
-  };
-
-  const getYear = (monthYearString) => {
-    if (!monthYearString) return 0;
-    const yearMatch = monthYearString.match(/\d{4}/);
-    return yearMatch ? parseInt(yearMatch[0], 10) : 0;
-  };
-
-
   const monthOptions = useMemo(() => {
-    const counts = getFilteredCounts('monthYear', 'All', countryFilter, typeFilter, search, statusFilter);
-    const uniqueMonths = Array.from(counts.keys());
-
-    const sortedMonths = uniqueMonths.sort((a, b) => {
-      const yearA = getYear(a);
-      const yearB = getYear(b);
+    const counts = getFilteredCounts('monthYear', [], countryFilters, typeFilters, statusFilter);
+    const months = withSelected(counts, monthFilters).map(value => ({ value, date: parseMonthYear(value) }));
+    const time = ({ date }) => (date ? date.getTime() : Infinity);
+    months.sort((a, b) => time(a) - time(b));
 
-      if (yearA !== yearB) {
-        return yearA - yearB;
-      }
-
-      const monthA = getMonthName(a);
-      const monthB = getMonthName(b);
-
-      const indexA = MONTH_ORDER.indexOf(monthA);
-      const indexB = MONTH_ORDER.indexOf(monthB);
-
-      return indexA - indexB;
+    // The year is only shown when the same month appears in more than one year.
+    const nameOccurrences = new Map();
+    months.forEach(({ date }) => {
+      if (!date) return;
+      const name = i18n.formatMonth(date);
+      nameOccurrences.set(name, (nameOccurrences.get(name) || 0) + 1);
     });
 
-    const monthNameOccurrences = new Map();
-    uniqueMonths.forEach(m => {
-        const name = getMonthName(m);
-        monthNameOccurrences.set(name, (monthNameOccurrences.get(name) || 0) + 1);
-    });
-
-    return ['All', ...sortedMonths].map(m => {
-      if (m === 'All') {
-        return { value: 'All', label: 'All' };
-      }
-      const monthName = getMonthName(m);
-      const year = getYear(m);
-      
-      let displayLabel = monthName;
-      if (monthNameOccurrences.get(monthName) > 1) {
-          displayLabel += ` ${year}`;
+    return months.map(({ value, date }) => {
+      let label = value;
+      if (date) {
+        const name = i18n.formatMonth(date);
+        label = nameOccurrences.get(name) > 1 ? i18n.formatMonthYear(value) : name;
       }
-      
       return {
-        value: m,
-        label: `${displayLabel} (${counts.get(m) || 0})`
+        value,
+        label,
+        count: counts.get(value) || 0
       };
     });
-  }, [files, search, countryFilter, typeFilter, statusFilter]);
+  }, [baseTournaments, searchMatches, monthFilters, countryFilters, typeFilters, statusFilter, customFrom, customTo, i18n]);
 
 
   const countryOptions = useMemo(() => {
-    const counts = getFilteredCounts('country', monthFilter, 'All', typeFilter, search, statusFilter);
-    const s = new Set(Array.from(counts.keys()));
-    const sortedCountries = Array.from(s).sort();
-    return ['All', ...sortedCountries].map(c => ({
+    const counts = getFilteredCounts('country', monthFilters, [], typeFilters, statusFilter);
+    const countries = withSelected(counts, countryFilters).map(c => ({
       value: c,
-      label: c === 'All' ? 'All' : `${c} (${counts.get(c) || 0})`
+      label: i18n.countryName(c),
+      count: counts.get(c) || 0
     }));
-  }, [files, search, monthFilter, typeFilter, statusFilter]);
+    return countries.sort((a, b) => a.label.localeCompare(b.label, locale));
+  }, [baseTournaments, searchMatches, monthFilters, countryFilters, typeFilters, statusFilter, customFrom, customTo, i18n, locale]);
 
 
   const typeOptions = useMemo(() => {
-    const counts = getFilteredCounts('type', monthFilter, countryFilter, 'All', search, statusFilter);
-    const s = new Set(Array.from(counts.keys()));
-    const sortedTypes = Array.from(s).sort();
-    return ['All', ...sortedTypes].map(t => ({
-      value: t,
-      label: t === 'All' ? 'All' : `${t} (${counts.get(t) || 0})`
+    const counts = getFilteredCounts('type', monthFilters, countryFilters, [], statusFilter);
+    const sortedTypes = withSelected(counts, typeFilters).sort();
+    return sortedTypes.map(type => ({
+      value: type,
+      label: i18n.typeName(type),
+      count: counts.get(type) || 0
     }));
-  }, [files, search, monthFilter, countryFilter, statusFilter]);
+  }, [baseTournaments, searchMatches, monthFilters, countryFilters, typeFilters, statusFilter, customFrom, customTo, i18n]);
 
-  const statusOptions = useMemo(() => ([
-    { value: 'All', label: 'All' },
-    { value: 'Upcoming', label: 'Upcoming' },
-    { value: 'Completed', label: 'Completed' },
-  ]), []);
+  const statusOptions = useMemo(
+    () => STATUS_VALUES.map(value => ({ value, label: t(`status.${value}`) })),
+    [t]
+  );
 
   const areFiltersActive = useMemo(() => {
-    return search !== '' || monthFilter !== 'All' || countryFilter !== 'All' || typeFilter !== 'All' || statusFilter !== 'Upcoming';
-  }, [search, monthFilter, countryFilter, typeFilter, statusFilter]);
+    return search !== '' || monthFilters.length > 0 || countryFilters.length > 0 || typeFilters.length > 0 || statusFilter !== 'Upcoming' || savedOnly || nearCity !== '' || fideOnly || maxFee !== '';
+  }, [search, monthFilters, countryFilters, typeFilters, statusFilter, savedOnly, nearCity, fideOnly, maxFee]);
+
+  // The calendar shows the earliest month picked in the Month filter (or the
+  // current month) until the user pages to another one.
+  const shownMonth = useMemo(() => {
+    const paged = parseISOMonth(calendarMonth);
+    if (paged) return paged;
+    const picked = monthFilters
+      .map(parseMonthYear)
+      .filter(Boolean)
+      .sort((a, b) => a - b);
+    return picked[0] || startOfMonth(new Date());
+  }, [calendarMonth, monthFilters]);
+
+  const changeMonths = useCallback((months) => {
+    setMonths(months);
+    setCalendarMonth('');
+  }, []);
+
+  const exportCalendar = useCallback(() => {
+    downloadBlob(calendarBlob(filteredTournaments), 'chess-tournaments.ics');
+  }, [filteredTournaments]);
+
+  const downloadZip = useCallback(async () => {
+    const withPdf = filteredTournaments.filter(t => pdfUrl(t));
+    setZipNotice(null);
+    setZipProgress({ done: 0, total: withPdf.length });
+    try {
+      const { blob, failed } = await zipPdfs(withPdf, (done, total) => setZipProgress({ done, total }));
+      if (failed.length < withPdf.length) {
+        downloadBlob(blob, 'chess-tournaments.zip');
+      }
+      if (failed.length > 0) {
+        setZipNotice(t('export.zipSkipped', { count: failed.length, total: withPdf.length }));
+      }
+    } catch (error) {
+      console.error('Error building ZIP:', error);
+      setZipNotice(t('export.zipFailed', { message: error.message }));
+    } finally {
+      setZipProgress(null);
+    }
+  }, [filteredTournaments, t]);
+
+  const zipAvailable = useMemo(() => filteredTournaments.some(t => pdfUrl(t)), [filteredTournaments]);
+
+  const applyFilters = useCallback((filters) => {
+    setSearch(filters.search);
+    setMonths(filters.month);
+    setCountries(filters.country);
+    setTypes(filters.type);
+    setStatusFilter(filters.status);
+    setCustomFrom(filters.from);
+    setCustomTo(filters.to);
+    setSavedOnly(filters.saved);
+    setNearCity(filters.near);
+    setRadiusKm(filters.radius);
+    setFideOnly(filters.fide);
+    setMaxFee(filters.fee);
+    setSortBy(filters.sort);
+    setShowMap(filters.map);
+    setViewMode(filters.view);
+    setCalendarMonth(filters.cal);
+    setPlanMode(filters.plan);
+  }, []);
 
   const clearFilters = useCallback(() => {
-    setSearch('');
-    setMonth('All');
-    setCountry('All');
-    setType('All');
-    setStatusFilter('Upcoming');
+    applyFilters(DEFAULT_FILTERS);
     setShowMobileFilters(false); // Close filters after clearing on mobile
+  }, [applyFilters]);
+
+  const listQuery = useMemo(() => filtersToSearch({
+    search, month: monthFilters, country: countryFilters, type: typeFilters, status: statusFilter,
+    from: customFrom, to: customTo, saved: savedOnly, near: nearCity, radius: radiusKm, sort: sortBy, map: showMap,
+    fide: fideOnly, fee: maxFee,
+    view: viewMode, cal: calendarMonth, plan: planMode,
+  }), [search, monthFilters, countryFilters, typeFilters, statusFilter, customFrom, customTo, savedOnly, nearCity, radiusKm, fideOnly, maxFee, sortBy, showMap, viewMode, calendarMonth, planMode]);
+
+  useEffect(() => {
+    if (!feedsAvailable) return;
+    fetch(FEED_INDEX_PATH)
+      .then(response => (response.ok ? response.json() : []))
+      .then(setFeedDirectories)
+      .catch(error => console.warn('Could not load the feed list:', error));
   }, []);
 
+  const feedPaths = useMemo(
+    () => feedPathsForFilters(filtersFromSearch(listQuery), feedDirectories),
+    [listQuery, feedDirectories]
+  );
+
+  // Mirror the filters into the query string. Typing in the search box replaces
+  // the current history entry; every other change adds one, so Back undoes it.
+  // Tournament pages have their own URL, so the list's filters stay out of it.
+  useEffect(() => {
+    if (route.name !== 'list' || listQuery === window.location.search) return;
+
+    const previous = filtersFromSearch(window.location.search);
+    const onlySearchChanged = filtersToSearch({ ...previous, search }) === listQuery;
+    const url = `${window.location.pathname}${listQuery}${window.location.hash}`;
+    if (onlySearchChanged) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+  }, [route, listQuery, search]);
+
+  useEffect(() => {
+    const onPopState = () => {
+      if (routeFromLocation().name === 'list') {
+        applyFilters(filtersFromSearch(window.location.search));
+      }
+    };
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, [applyFilters]);
+
+  const currentTournament = useMemo(() => {
+    if (route.name !== 'tournament') return null;
+    return detailedTournaments.find(t => t.id === route.id)
+      || watchlist.saved.find(t => t.id === route.id)
+      || null;
+  }, [route, detailedTournaments, watchlist.saved]);
+
+  // Same city first, then same month, each by date.
+  const relatedTournaments = useMemo(() => {
+    if (!currentTournament) return [];
+    const city = foldText(currentTournament.city);
+    const sameCity = t => !!city && foldText(t.city) === city;
+    const time = t => (t.startDate ? t.startDate.getTime() : Number.MAX_SAFE_INTEGER);
+    return detailedTournaments
+      .filter(t => t.id !== currentTournament.id && (sameCity(t) || t.monthYear === currentTournament.monthYear))
+      .sort((a, b) => (sameCity(b) - sameCity(a)) || (time(a) - time(b)))
+      .slice(0, 6);
+  }, [currentTournament, detailedTournaments]);
+
+  useEffect(() => {
+    if (route.name === 'admin') {
+      setPageMeta({ title: t('meta.admin') });
+    } else if (route.name === 'submit') {
+      setPageMeta({ title: t('meta.submit'), description: t('meta.submitDescription') });
+    } else if (route.name !== 'tournament') {
+      setPageMeta();
+    } else if (!currentTournament) {
+      setPageMeta({ title: t(loading ? 'meta.loading' : 'meta.notFound') });
+    } else {
+      setPageMeta({
+        title: currentTournament.title,
+        description: describeTournament(currentTournament),
+        type: 'article',
+      });
+    }
+  }, [route, currentTournament, loading, t]);
+
 
   return (
+    <I18nContext.Provider value={i18n}>
     <div className="min-h-screen bg-gray-50 transition-colors duration-300">
 
       {/* Header */}
       <header className="bg-gradient-to-r from-orange-300 via-orange-200 to-yellow-100 px-6 py-8 shadow-xl rounded-b-3xl text-center relative">
         <h1 className="text-4xl font-extrabold text-orange-900 tracking-tight inline-flex items-center justify-center gap-3">
           <span>🏆</span>
-          Global Chess Tournament Finder
+          {t('app.title')}
         </h1>
-        <p className="mt-2 text-sm text-orange-800 italic">Simplifying your search for chess tournaments across the globe</p>
+        <p className="mt-2 text-sm text-orange-900 italic">{t('app.tagline')}</p>
+        <Link to={SUBMIT_PATH} className="mt-3 inline-block text-sm font-semibold text-orange-900 underline hover:text-orange-700">
+          {t('app.submit')}
+        </Link>
+        {/* Language and Theme Switchers */}
+        <div className="absolute top-3 right-4 flex gap-2">
+          <label htmlFor="language-select" className="sr-only">{t('app.language')}</label>
+          <select
+            id="language-select"
+            value={i18n.language}
+            onChange={e => setLanguage(e.target.value)}
+            className="rounded-md border border-orange-600 bg-white/80 px-2 py-1 text-sm text-orange-900 focus:outline-none focus:ring-2 focus:ring-orange-600"
+          >
+            {LANGUAGES.map(({ code, label }) => (
+              <option key={code} value={code} lang={code}>{label}</option>
+            ))}
+          </select>
+          <label htmlFor="theme-select" className="sr-only">{t('app.theme')}</label>
+          <select
+            id="theme-select"
+            value={theme}
+            onChange={e => setTheme(e.target.value)}
+            className="rounded-md border border-orange-600 bg-white/80 px-2 py-1 text-sm text-orange-900 focus:outline-none focus:ring-2 focus:ring-orange-600"
+          >
+            {THEMES.map(value => (
+              <option key={value} value={value}>{t(`theme.${value}`)}</option>
+            ))}
+          </select>
+        </div>
       </header>
 
       {/* Scrolling Disclaimer Banner */}
       <div className="w-full bg-orange-200 text-gray-800 py-2 overflow-hidden relative shadow-md">
         <p className="text-sm font-medium animate-scroll">
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
-          <span className="inline-block px-8">While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.</span>
+          {Array.from({ length: 28 }, (_, i) => (
+            <span key={i} className="inline-block px-8">{t('app.disclaimer')}</span>
+          ))}
         </p>
       </div>
 
-      {/* Filters Section */}
-      <section className="w-full bg-orange-100 py-6 sm:py-10">
-        <div className="max-w-7xl mx-auto px-6">
-          {/* Mobile Filter Toggle Button (visible on small screens) */}
-          <div className="md:hidden flex justify-between items-center mb-4">
-            <button
-              onClick={() => setShowMobileFilters(!showMobileFilters)}
-              className="flex items-center px-4 py-2 bg-orange-500 text-white rounded-xl shadow-sm text-base font-medium focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-300 transition-all duration-300"
-            >
-              Filters
-              <svg className={`ml-2 h-5 w-5 transition-transform duration-300 ${showMobileFilters ? 'rotate-180' : ''}`} xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor">
-                <path fillRule="evenodd" d="M5.293 7.293a1 1 0 011.414 0L10 10.586l3.293-3.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414z" clipRule="evenodd" />
-              </svg>
-            </button>
-            {/* Clear Filters button - always visible on mobile */}
-            <button
-              onClick={clearFilters}
-              className={`
-                inline-flex items-center justify-center
-                px-4 py-2.5
-                rounded-xl
-                shadow-sm
-                text-sm font-medium
-                ${areFiltersActive
-                  ? 'bg-red-500 hover:bg-red-600 text-white focus:ring-red-300'
-                  : 'bg-gray-100 text-gray-400 cursor-not-allowed border border-gray-200 opacity-70'
-                }
-                focus:outline-none focus:ring-2 focus:ring-offset-2
-                ${COMMON_TRANSITION}
-              `}
-              disabled={!areFiltersActive}
-            >
-              <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
-                <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
-              </svg>
-              Clear
-            </button>
-          </div>
-
-          {/* Filter Grid - hidden on mobile by default, shown when showMobileFilters is true or on md screens and up */}
-          <div className={`grid grid-cols-1 gap-y-4 md:gap-6 md:grid-cols-7 items-end ${showMobileFilters ? 'block' : 'hidden md:grid'}`}>
-            {/* Search Input */}
-            <div className="md:col-span-2">
-              <label htmlFor="search-input" className="block mb-1 text-sm font-medium text-gray-700">Search</label>
-              <input
-                id="search-input"
-                type="text"
-                placeholder="Search tournaments…"
-                value={search}
-                onChange={e => setSearch(e.target.value)}
-                className={`${COMMON_BORDER} ${COMMON_BG} ${COMMON_TEXT} ${COMMON_PLACEHOLDER} ${COMMON_FOCUS} rounded-xl px-4 py-2.5 ${COMMON_TRANSITION} w-full ${COMMON_FORM_HEIGHT}`}
-              />
-            </div>
-            {/* Month Filter */}
-            <div>
-              <label htmlFor="month-select" className="block mb-1 text-sm font-medium text-gray-700">Month</label>
-              <div className="relative">
-                <select
-                  id="month-select"
-                  value={monthFilter}
-                  onChange={e => setMonth(e.target.value)}
-                  className={`${COMMON_BORDER} ${COMMON_BG} ${COMMON_TEXT} ${COMMON_FOCUS} rounded-xl px-4 py-2.5 pr-10 ${COMMON_TRANSITION} w-full appearance-none ${COMMON_FORM_HEIGHT}`}
-                >
-                  {monthOptions.map(m => (
-                    <option key={m.value} value={m.value}>{m.label}</option>
-                  ))}
-                </select>
-                <div className="pointer-events-none absolute inset-y-0 right-0 flex items-center px-2 text-gray-700">
-                  <svg className="h-4 w-4" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor">
-                    <path fillRule="evenodd" d="M5.293 7.293a1 1 0 011.414 0L10 10.586l3.293-3.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414z" clipRule="evenodd" />
-                  </svg>
-                </div>
-              </div>
-            </div>
-            {/* Country Filter */}
-            <div>
-              <label htmlFor="country-select" className="block mb-1 text-sm font-medium text-gray-700">Country</label>
-              <div className="relative">
-                <select
-                  id="country-select"
-                  value={countryFilter}
-                  onChange={e => setCountry(e.target.value)}
-                  className={`${COMMON_BORDER} ${COMMON_BG} ${COMMON_TEXT} ${COMMON_FOCUS} rounded-xl px-4 py-2.5 pr-10 ${COMMON_TRANSITION} w-full appearance-none ${COMMON_FORM_HEIGHT}`}
-                >
-                  {countryOptions.map(c => (
-                    <option key={c.value} value={c.value}>{c.label}</option>
-                  ))}
-                </select>
-                <div className="pointer-events-none absolute inset-y-0 right-0 flex items-center px-2 text-gray-700">
-                  <svg className="h-4 w-4" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor">
-                    <path fillRule="evenodd" d="M5.293 7.293a1 1 0 011.414 0L10 10.586l3.293-3.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414z" clipRule="evenodd" />
-                  </svg>
-                </div>
-              </div>
-            </div>
-            {/* Type Filter */}
-            <div>
-              <label htmlFor="type-select" className="block mb-1 text-sm font-medium text-gray-700">Type</label>
-              <div className="relative">
-                <select
-                  id="type-select"
-                  value={typeFilter}
-                  onChange={e => setType(e.target.value)}
-                  className={`${COMMON_BORDER} ${COMMON_BG} ${COMMON_TEXT} ${COMMON_FOCUS} rounded-xl px-4 py-2.5 pr-10 ${COMMON_TRANSITION} w-full appearance-none ${COMMON_FORM_HEIGHT}`}
-                >
-                  {typeOptions.map(t => (
-                    <option key={t.value} value={t.value}>{t.label}</option>
-                  ))}
-                </select>
-                <div className="pointer-events-none absolute inset-y-0 right-0 flex items-center px-2 text-gray-700">
-                  <svg className="h-4 w-4" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor">
-                    <path fillRule="evenodd" d="M5.293 7.293a1 1 0 011.414 0L10 10.586l3.293-3.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414z" clipRule="evenodd" />
-                  </svg>
-                </div>
-              </div>
-            </div>
-            {/* Status Filter */}
-            <div>
-              <label htmlFor="status-select" className="block mb-1 text-sm font-medium text-gray-700">Status</label>
-              <div className="relative">
-                <select
-                  id="status-select"
-                  value={statusFilter}
-                  onChange={e => setStatusFilter(e.target.value)}
-                  className={`${COMMON_BORDER} ${COMMON_BG} ${COMMON_TEXT} ${COMMON_FOCUS} rounded-xl px-4 py-2.5 pr-10 ${COMMON_TRANSITION} w-full appearance-none ${COMMON_FORM_HEIGHT}`}
-                >
-                  {statusOptions.map(s => (
-                    <option key={s.value} value={s.value}>{s.label}</option>
-                  ))}
-                </select>
-                <div className="pointer-events-none absolute inset-y-0 right-0 flex items-center px-2 text-gray-700">
-                  <svg className="h-4 w-4" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor">
-                    <path fillRule="evenodd" d="M5.293 7.293a1 1 0 011.414 0L10 10.586l3.293-3.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414z" clipRule="evenodd" />
-                  </svg>
-                </div>
-              </div>
-            </div>
-            {/* Original Clear Filters Button - now hidden on mobile */}
-            <div className="mt-4 md:mt-0 hidden md:block">
+      {route.name === 'admin' ? (
+        <div className={`w-full ${COMMON_PAGE_BG}`}>
+          <DataQualityPage tournaments={tournaments} loading={loading} error={errorText} />
+        </div>
+      ) : route.name === 'submit' ? (
+        <div className={`w-full ${COMMON_PAGE_BG}`}>
+          <SubmitPage />
+        </div>
+      ) : route.name === 'tournament' ? (
+        <div className={`w-full ${COMMON_PAGE_BG}`}>
+          <TournamentPage
+            tournament={currentTournament}
+            loading={refreshing}
+            related={relatedTournaments}
+            locations={locations}
+            saved={currentTournament && savedIds.has(currentTournament.id)}
+            onToggleSaved={watchlist.toggleSaved}
+            backTo={`/${listQuery}`}
+          />
+        </div>
+      ) : (
+        <>
+        {/* Filters Section */}
+        <section className={`w-full ${COMMON_PAGE_BG} py-6 sm:py-10`}>
+          <div className="max-w-7xl mx-auto px-6">
+            {/* Mobile Filter Toggle Button (visible on small screens) */}
+            <div className="md:hidden flex justify-between items-center mb-4">
+              <button
+                onClick={() => setShowMobileFilters(!showMobileFilters)}
+                className={`flex items-center px-4 py-2 ${COMMON_BUTTON_PRIMARY} rounded-xl shadow-sm text-base font-medium focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-300 transition-all duration-300`}
+              >
+                {t('filters.toggle')}
+                <svg className={`ml-2 h-5 w-5 transition-transform duration-300 ${showMobileFilters ? 'rotate-180' : ''}`} xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor">
+                  <path fillRule="evenodd" d="M5.293 7.293a1 1 0 011.414 0L10 10.586l3.293-3.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414z" clipRule="evenodd" />
+                </svg>
+              </button>
+              {/* Clear Filters button - always visible on mobile */}
               <button
                 onClick={clearFilters}
                 className={`
-                  w-full
                   inline-flex items-center justify-center
                   px-4 py-2.5
                   rounded-xl
                   shadow-sm
                   text-sm font-medium
                   ${areFiltersActive
-                    ? 'bg-red-500 hover:bg-red-600 text-white focus:ring-red-300'
+                    ? 'bg-red-600 hover:bg-red-700 text-white focus:ring-red-300'
                     : 'bg-gray-100 text-gray-400 cursor-not-allowed border border-gray-200 opacity-70'
                   }
                   focus:outline-none focus:ring-2 focus:ring-offset-2
@@ -506,60 +602,495 @@ export default function App() {
                 `}
                 disabled={!areFiltersActive}
               >
-                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
                   <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
                 </svg>
-                Clear Filters
+                {t('filters.clear')}
               </button>
             </div>
-          </div>
-        </div>
-      </section>
-
-      {/* List Section */}
-      <div className="w-full bg-orange-100 py-10">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 md:px-8 space-y-12">
-          {error && (
-            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" role="alert">
-              <strong className="font-bold">Error:</strong>
-              <span className="block sm:inline"> {error}</span>
-            </div>
-          )}
-
-          {loading && !error ? (
-            <div className="text-center text-gray-600 py-10">
-              <svg className="animate-spin h-8 w-8 text-orange-600 mx-auto" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-              </svg>
-              <p className="mt-3 text-lg font-medium">Loading tournaments...</p>
-            </div>
-          ) : filteredFiles.length === 0 && !error ? (
-            <div className="text-center text-gray-600 py-10">
-              <p className="text-xl font-semibold mb-2">No tournaments found!</p>
-              <p className="text-md">
-                Try adjusting your filters or clearing them to see more results.
-              </p>
-              {areFiltersActive && (
+
+            {/* Filter Grid - hidden on mobile by default, shown when showMobileFilters is true or on md screens and up */}
+            <div className={`grid grid-cols-1 gap-y-4 md:gap-6 md:grid-cols-7 items-end ${showMobileFilters ? 'block' : 'hidden md:grid'}`}>
+              {/* Search Input */}
+              <div className="md:col-span-2">
+                <label htmlFor="search-input" className="block mb-1 text-sm font-medium text-gray-700">{t('filters.search')}</label>
+                <input
+                  id="search-input"
+                  type="text"
+                  placeholder={t('filters.searchPlaceholder')}
+                  title={t('filters.searchHelp')}
+                  value={search}
+                  onChange={e => setSearch(e.target.value)}
+                  className={`${COMMON_INPUT_BORDER} ${COMMON_BG} ${COMMON_TEXT} ${COMMON_PLACEHOLDER} ${COMMON_FOCUS} rounded-xl px-4 py-2.5 ${COMMON_TRANSITION} w-full ${COMMON_FORM_HEIGHT}`}
+                />
+              </div>
+              {/* Month Filter */}
+              <div>
+                <label htmlFor="month-select" className="block mb-1 text-sm font-medium text-gray-700">{t('filters.month')}</label>
+                <MultiSelectFilter
+                  id="month-select"
+                  options={monthOptions}
+                  selected={monthFilters}
+                  onChange={changeMonths}
+                />
+              </div>
+              {/* Country Filter */}
+              <div>
+                <label htmlFor="country-select" className="block mb-1 text-sm font-medium text-gray-700">{t('filters.country')}</label>
+                <MultiSelectFilter
+                  id="country-select"
+                  options={countryOptions}
+                  selected={countryFilters}
+                  onChange={setCountries}
+                />
+              </div>
+              {/* Type Filter */}
+              <div>
+                <label htmlFor="type-select" className="block mb-1 text-sm font-medium text-gray-700">{t('filters.type')}</label>
+                <MultiSelectFilter
+                  id="type-select"
+                  options={typeOptions}
+                  selected={typeFilters}
+                  onChange={setTypes}
+                />
+              </div>
+              {/* Status Filter */}
+              <div>
+                <label htmlFor="status-select" className="block mb-1 text-sm font-medium text-gray-700">{t('filters.status')}</label>
+                <div className="relative">
+                  <select
+                    id="status-select"
+                    value={statusFilter}
+                    onChange={e => setStatusFilter(e.target.value)}
+                    className={`${COMMON_INPUT_BORDER} ${COMMON_BG} ${COMMON_TEXT} ${COMMON_FOCUS} rounded-xl px-4 py-2.5 pr-10 ${COMMON_TRANSITION} w-full appearance-none ${COMMON_FORM_HEIGHT}`}
+                  >
+                    {statusOptions.map(s => (
+                      <option key={s.value} value={s.value}>{s.label}</option>
+                    ))}
+                  </select>
+                  <div className="pointer-events-none absolute inset-y-0 right-0 flex items-center px-2 text-gray-700">
+                    <svg className="h-4 w-4" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor">
+                      <path fillRule="evenodd" d="M5.293 7.293a1 1 0 011.414 0L10 10.586l3.293-3.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414z" clipRule="evenodd" />
+                    </svg>
+                  </div>
+                </div>
+              </div>
+              {/* Original Clear Filters Button - now hidden on mobile */}
+              <div className="mt-4 md:mt-0 hidden md:block">
                 <button
                   onClick={clearFilters}
-                  className="mt-4 inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-orange-500 hover:bg-orange-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-500"
+                  className={`
+                    w-full
+                    inline-flex items-center justify-center
+                    px-4 py-2.5
+                    rounded-xl
+                    shadow-sm
+                    text-sm font-medium
+                    ${areFiltersActive
+                      ? 'bg-red-600 hover:bg-red-700 text-white focus:ring-red-300'
+                      : 'bg-gray-100 text-gray-400 cursor-not-allowed border border-gray-200 opacity-70'
+                    }
+                    focus:outline-none focus:ring-2 focus:ring-offset-2
+                    ${COMMON_TRANSITION}
+                  `}
+                  disabled={!areFiltersActive}
                 >
-                  Clear All Filters
+                  <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+                    <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                  {t('filters.clearAll')}
                 </button>
+              </div>
+              {/* Custom Date Range - only for the "Custom dates" status */}
+              {statusFilter === 'Custom' && (
+                <div className="md:col-span-7 grid grid-cols-2 gap-4 md:max-w-md">
+                  <div>
+                    <label htmlFor="custom-from-input" className="block mb-1 text-sm font-medium text-gray-700">{t('filters.from')}</label>
+                    <input
+                      id="custom-from-input"
+                      type="date"
+                      value={customFrom}
+                      max={customTo || undefined}
+                      onChange={e => setCustomFrom(e.target.value)}
+                      className={`${COMMON_INPUT_BORDER} ${COMMON_BG} ${COMMON_TEXT} ${COMMON_FOCUS} rounded-xl px-4 py-2.5 ${COMMON_TRANSITION} w-full ${COMMON_FORM_HEIGHT}`}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="custom-to-input" className="block mb-1 text-sm font-medium text-gray-700">{t('filters.to')}</label>
+                    <input
+                      id="custom-to-input"
+                      type="date"
+                      value={customTo}
+                      min={customFrom || undefined}
+                      onChange={e => setCustomTo(e.target.value)}
+                      className={`${COMMON_INPUT_BORDER} ${COMMON_BG} ${COMMON_TEXT} ${COMMON_FOCUS} rounded-xl px-4 py-2.5 ${COMMON_TRANSITION} w-full ${COMMON_FORM_HEIGHT}`}
+                    />
+                  </div>
+                </div>
               )}
             </div>
-          ) : (
-            <div className="grid grid-cols-1 xs:grid-cols-2 sm:grid-cols-2 lg:grid-cols-3 gap-6"> {/* MODIFIED GRID CLASSES */}
-              {filteredFiles.map(f => (
-                <TournamentCard key={f.id} file={f} />
-              ))}
+
+            {/* Saved Toggle and Distance Filter */}
+            <div className="mt-4 flex flex-wrap items-center gap-3">
+              <button
+                type="button"
+                aria-pressed={savedOnly}
+                onClick={() => setSavedOnly(!savedOnly)}
+                className={`inline-flex items-center px-4 py-2 rounded-xl shadow-sm text-sm font-medium focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-300 ${COMMON_TRANSITION} ${
+                  savedOnly
+                    ? COMMON_BUTTON_PRIMARY
+                    : `${COMMON_INPUT_BORDER} ${COMMON_BG} ${COMMON_TEXT} hover:bg-orange-50`
+                }`}
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-2" viewBox="0 0 20 20" fill="currentColor">
+                  <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+                </svg>
+                {t('filters.saved', { count: watchlist.saved.length })}
+              </button>
+              <button
+                type="button"
+                aria-pressed={planMode}
+                onClick={() => setPlanMode(!planMode)}
+                className={`inline-flex items-center px-4 py-2 rounded-xl shadow-sm text-sm font-medium focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-300 ${COMMON_TRANSITION} ${
+                  planMode
+                    ? COMMON_BUTTON_PRIMARY
+                    : `${COMMON_INPUT_BORDER} ${COMMON_BG} ${COMMON_TEXT} hover:bg-orange-50`
+                }`}
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+                  <path strokeLinecap="round" strokeLinejoin="round" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+                </svg>
+                {t('filters.plan', { count: plan.saved.length })}
+              </button>
+              <button
+                type="button"
+                aria-pressed={showAlerts}
+                onClick={() => setShowAlerts(!showAlerts)}
+                className={`inline-flex items-center px-4 py-2 rounded-xl shadow-sm text-sm font-medium focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-300 ${COMMON_TRANSITION} ${
+                  showAlerts
+                    ? COMMON_BUTTON_PRIMARY
+                    : `${COMMON_INPUT_BORDER} ${COMMON_BG} ${COMMON_TEXT} hover:bg-orange-50`
+                }`}
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+                  <path strokeLinecap="round" strokeLinejoin="round" d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+                </svg>
+                {t('alerts.toggle')}
+                {savedSearches.unreadCount > 0 && (
+                  <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-semibold bg-red-600 text-white">
+                    {t('alerts.unread', { count: savedSearches.unreadCount })}
+                  </span>
+                )}
+              </button>
+              {/* Distance Filter */}
+              <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+                <label htmlFor="near-input" className="font-medium">{t('filters.near')}</label>
+                <input
+                  id="near-input"
+                  type="text"
+                  list="gazetteer-cities"
+                  placeholder={t('filters.nearPlaceholder')}
+                  value={nearCity}
+                  onChange={e => setNearCity(e.target.value)}
+                  className={`${COMMON_INPUT_BORDER} ${COMMON_BG} ${COMMON_TEXT} ${COMMON_PLACEHOLDER} ${COMMON_FOCUS} rounded-xl px-3 py-2 ${COMMON_TRANSITION} w-48`}
+                />
+                <datalist id="gazetteer-cities">
+                  {GAZETTEER_CITIES.map(c => (
+                    <option key={c.label} value={c.label} />
+                  ))}
+                </datalist>
+                <label htmlFor="radius-select" className="font-medium">{t('filters.within')}</label>
+                <select
+                  id="radius-select"
+                  value={radiusKm}
+                  onChange={e => setRadiusKm(e.target.value)}
+                  disabled={!origin}
+                  className={`${COMMON_INPUT_BORDER} ${COMMON_BG} ${COMMON_TEXT} ${COMMON_FOCUS} rounded-xl px-3 py-2 ${COMMON_TRANSITION} disabled:opacity-50`}
+                >
+                  <option value="">{t('filters.anyDistance')}</option>
+                  <option value="50">50 km</option>
+                  <option value="100">100 km</option>
+                  <option value="250">250 km</option>
+                  <option value="500">500 km</option>
+                  <option value="1000">1000 km</option>
+                  <option value="2500">2500 km</option>
+                </select>
+                {nearCity && !origin && (
+                  <span className="text-yellow-800">{t('filters.pickCity')}</span>
+                )}
+              </div>
+              {/* PDF Detail Filters */}
+              <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+                <label className="inline-flex items-center gap-2 font-medium">
+                  <input
+                    type="checkbox"
+                    checked={fideOnly}
+                    onChange={e => setFideOnly(e.target.checked)}
+                    className="h-4 w-4 rounded border-gray-300 accent-orange-500"
+                  />
+                  {t('filters.fideOnly')}
+                </label>
+                <label htmlFor="fee-select" className="font-medium">{t('filters.fee')}</label>
+                <select
+                  id="fee-select"
+                  value={maxFee}
+                  onChange={e => setMaxFee(e.target.value)}
+                  className={`${COMMON_INPUT_BORDER} ${COMMON_BG} ${COMMON_TEXT} ${COMMON_FOCUS} rounded-xl px-3 py-2 ${COMMON_TRANSITION}`}
+                >
+                  <option value="">{t('filters.anyFee')}</option>
+                  {FEE_LIMITS.map(limit => (
+                    <option key={limit} value={limit}>
+                      {t('filters.feeUpTo', { amount: formatMoney({ amount: limit, currency: 'EUR' }, locale) })}
+                    </option>
+                  ))}
+                </select>
+                {detailsPending > 0 && (fideOnly || maxFee) && (
+                  <span className="text-gray-500">{t('filters.readingPdfs', { count: detailsPending })}</span>
+                )}
+              </div>
+              {savedOnly && missingIds.size > 0 && (
+                <span className="text-sm text-yellow-800">
+                  {t('filters.missingSaved', { count: missingIds.size })}
+                </span>
+              )}
             </div>
-          )}
+          </div>
+        </section>
+
+        {/* List Section */}
+        <div className={`w-full ${COMMON_PAGE_BG} py-10`}>
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 md:px-8 space-y-12">
+            {error && tournaments.length === 0 && (
+              <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" role="alert">
+                <strong className="font-bold">{t('error.title')}</strong>
+                <span className="block sm:inline"> {errorText}</span>
+                <button
+                  onClick={refreshTournaments}
+                  disabled={refreshing}
+                  className="mt-2 sm:mt-0 sm:ml-3 font-semibold underline hover:text-red-800 disabled:opacity-50"
+                >
+                  {refreshing ? t('error.retrying') : t('error.retry')}
+                </button>
+              </div>
+            )}
+
+            {/* Stale data notice - the cached list is still shown below */}
+            {error && tournaments.length > 0 && (
+              <div className="bg-yellow-50 border border-yellow-400 text-yellow-800 px-4 py-3 rounded relative" role="status">
+                <strong className="font-bold">{t('error.staleTitle')}</strong>
+                <span className="block sm:inline"> {errorText} {t('error.staleList', { time: lastUpdated ? formatTimeAgo(lastUpdated, new Date(), locale, t('time.justNow')) : t('error.earlier') })}</span>
+                <button
+                  onClick={refreshTournaments}
+                  disabled={refreshing}
+                  className="mt-2 sm:mt-0 sm:ml-3 font-semibold underline hover:text-yellow-900 disabled:opacity-50"
+                >
+                  {refreshing ? t('error.retrying') : t('error.retry')}
+                </button>
+              </div>
+            )}
+
+            {/* Last Updated */}
+            {lastUpdated && !error && (
+              <div className="flex justify-end items-center gap-3 text-sm text-gray-600">
+                <span title={lastUpdated.toLocaleString(locale)}>
+                  {refreshing ? t('updated.refreshing') : t('updated.last', { time: formatTimeAgo(lastUpdated, new Date(), locale, t('time.justNow')) })}
+                </span>
+                {!refreshing && (
+                  <button
+                    onClick={refreshTournaments}
+                    className="font-medium text-orange-700 hover:text-orange-800 underline"
+                  >
+                    {t('updated.refresh')}
+                  </button>
+                )}
+              </div>
+            )}
+
+            {showAlerts && (
+              <SavedSearchesPanel
+                savedSearches={savedSearches}
+                suggestedName={suggestSearchName({ search, type: typeFilters, country: countryFilters, month: monthFilters, near: nearCity })}
+                onSave={name => savedSearches.saveSearch(name, listQuery)}
+                onApply={saved => applyFilters(filtersFromSearch(saved.query))}
+              />
+            )}
+
+            {planMode && (
+              <PlanningPanel
+                tournaments={plan.saved}
+                onRemove={plan.toggleSaved}
+                onClear={plan.clear}
+              />
+            )}
+
+            {loading && !error ? (
+              <div className="text-center text-gray-600 py-10">
+                <svg className="animate-spin h-8 w-8 text-orange-600 mx-auto" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                </svg>
+                <p className="mt-3 text-lg font-medium">{t('list.loading')}</p>
+              </div>
+            ) : filteredTournaments.length === 0 && !error ? (
+              <div className="text-center text-gray-600 py-10">
+                <p className="text-xl font-semibold mb-2">{t('list.empty')}</p>
+                <p className="text-md">
+                  {t('list.emptyHint')}
+                </p>
+                {areFiltersActive && (
+                  <button
+                    onClick={clearFilters}
+                    className={`mt-4 inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm ${COMMON_BUTTON_PRIMARY} focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-500`}
+                  >
+                    {t('list.clearAll')}
+                  </button>
+                )}
+              </div>
+            ) : (
+              <div className="space-y-4">
+                {/* Results Toolbar */}
+                <div className="flex flex-wrap justify-between items-center gap-3">
+                  <p className="text-sm text-gray-600">
+                    {t('list.count', { count: filteredTournaments.length })}
+                  </p>
+                  <div className="flex flex-wrap items-center gap-3">
+                    {/* View Switcher */}
+                    <div role="group" aria-label={t('list.layout')} className="inline-flex rounded-md shadow-sm">
+                      {VIEW_MODES.map((value, i) => (
+                        <button
+                          key={value}
+                          type="button"
+                          aria-pressed={viewMode === value}
+                          onClick={() => setViewMode(value)}
+                          className={`px-3 py-2 text-sm font-medium border border-orange-600 focus:outline-none focus:ring-2 focus:ring-orange-400 focus:z-10 ${
+                            i === 0 ? 'rounded-l-md' : '-ml-px'
+                          } ${i === VIEW_MODES.length - 1 ? 'rounded-r-md' : ''} ${
+                            viewMode === value ? COMMON_BUTTON_PRIMARY : 'text-orange-700 bg-white hover:bg-orange-50'
+                          }`}
+                        >
+                          {t(`view.${value}`)}
+                        </button>
+                      ))}
+                    </div>
+                    <label htmlFor="sort-select" className="text-sm font-medium text-gray-700">{t('sort.label')}</label>
+                    <select
+                      id="sort-select"
+                      value={sortBy}
+                      onChange={e => setSortBy(e.target.value)}
+                      className={`${COMMON_INPUT_BORDER} ${COMMON_BG} ${COMMON_TEXT} ${COMMON_FOCUS} rounded-md px-3 py-2 text-sm ${COMMON_TRANSITION}`}
+                    >
+                      <option value="relevance">{t('sort.relevance')}</option>
+                      <option value="date">{t('sort.date')}</option>
+                      <option value="distance" disabled={!origin}>{origin ? t('sort.distanceFrom', { city: origin.city }) : t('sort.distance')}</option>
+                    </select>
+                    <button
+                      type="button"
+                      aria-pressed={showMap}
+                      onClick={() => setShowMap(!showMap)}
+                      className={`inline-flex items-center px-4 py-2 border rounded-md shadow-sm text-sm font-medium focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-400 ${
+                        showMap ? `border-transparent ${COMMON_BUTTON_PRIMARY}` : COMMON_BUTTON_SECONDARY
+                      }`}
+                    >
+                      <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+                        <path strokeLinecap="round" strokeLinejoin="round" d="M9 20l-5.447-2.724A1 1 0 013 16.382V5.618a1 1 0 011.447-.894L9 7m0 13l6-3m-6 3V7m6 10l4.553 2.276A1 1 0 0021 18.382V7.618a1 1 0 00-.553-.894L15 4m0 13V4m0 0L9 7" />
+                      </svg>
+                      {showMap ? t('map.hide') : t('map.show')}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={exportCalendar}
+                      className={`inline-flex items-center px-4 py-2 rounded-md shadow-sm text-sm font-medium ${COMMON_BUTTON_SECONDARY} focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-400`}
+                    >
+                      <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+                        <path strokeLinecap="round" strokeLinejoin="round" d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                      </svg>
+                      {t('export.calendar')}
+                    </button>
+                    {zipAvailable && (
+                      <button
+                        type="button"
+                        onClick={downloadZip}
+                        disabled={!!zipProgress}
+                        className={`inline-flex items-center px-4 py-2 rounded-md shadow-sm text-sm font-medium ${COMMON_BUTTON_SECONDARY} focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-400 disabled:opacity-50`}
+                      >
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+                          <path strokeLinecap="round" strokeLinejoin="round" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                        </svg>
+                        {zipProgress ? t('export.zipping', zipProgress) : t('export.zip')}
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {feedPaths && (
+                  <p className="flex flex-wrap justify-end items-center gap-x-3 text-sm text-gray-600">
+                    <span>{t('feeds.subscribe')}</span>
+                    <a href={feedPaths.rss} type="application/rss+xml" className="font-medium text-orange-700 hover:text-orange-800 underline">RSS</a>
+                    <a href={feedPaths.atom} type="application/atom+xml" className="font-medium text-orange-700 hover:text-orange-800 underline">Atom</a>
+                    <a href={feedPaths.json} type="application/feed+json" className="font-medium text-orange-700 hover:text-orange-800 underline">JSON Feed</a>
+                  </p>
+                )}
+
+                {zipNotice && (
+                  <p className="text-sm text-yellow-800" role="status">{zipNotice}</p>
+                )}
+
+                {showMap && (
+                  <TournamentMap
+                    tournaments={filteredTournaments}
+                    locations={locations}
+                    origin={origin}
+                    radiusKm={Number(radiusKm)}
+                  />
+                )}
+
+                {viewMode === 'calendar' ? (
+                  <CalendarView
+                    tournaments={filteredTournaments}
+                    month={shownMonth}
+                    onMonthChange={month => setCalendarMonth(toISOMonth(month))}
+                    savedIds={savedIds}
+                  />
+                ) : viewMode === 'table' ? (
+                  <TournamentTable
+                    tournaments={filteredTournaments}
+                    savedIds={savedIds}
+                    onToggleSaved={watchlist.toggleSaved}
+                    plannedIds={plannedIds}
+                    onTogglePlanned={planMode ? plan.toggleSaved : undefined}
+                  />
+                ) : (
+                  <div className="grid grid-cols-1 xs:grid-cols-2 sm:grid-cols-2 lg:grid-cols-3 gap-6"> {/* MODIFIED GRID CLASSES */}
+                    {filteredTournaments.map(t => (
+                      <TournamentCard
+                        key={t.id}
+                        tournament={t}
+                        saved={savedIds.has(t.id)}
+                        missing={missingIds.has(t.id)}
+                        distanceKm={distances.get(t.id)}
+                        distanceApproximate={locations.get(t.id)?.approximate}
+                        onToggleSaved={watchlist.toggleSaved}
+                        savedOffline={savedPdfs.savedIds.has(t.id)}
+                        offlinePending={savedPdfs.pending.has(t.id)}
+                        offlineError={savedPdfs.errors.get(t.id)}
+                        onToggleOffline={isOfflineSupported ? savedPdfs.toggleSaved : undefined}
+                        highlights={searchMatches?.get(t.id)?.highlights}
+                        planned={plannedIds.has(t.id)}
+                        onTogglePlanned={planMode ? plan.toggleSaved : undefined}
+                        onVisible={requestDetails}
+                      />
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
         </div>
-      </div>
+        </>
+      )}
        <Analytics />
        <SpeedInsights />
     </div>
+    </I18nContext.Provider>
   );
 }
\ No newline at end of file
@@ -0,0 +1,142 @@
+import React, { useMemo } from 'react';
+import { addDays, addMonths, daysBetween, startOfDay, startOfMonth } from './dates';
+import { Link } from './Link';
+import { tournamentPath } from './routes';
+import { useI18n } from './i18n';
+import { COMMON_BG, COMMON_BORDER, COMMON_TEXT, COMMON_FOCUS, COMMON_BUTTON_PRIMARY } from './theme';
+
+const TYPE_COLOURS = {
+  Classical: COMMON_BUTTON_PRIMARY,
+  Rapid: 'bg-sky-700 hover:bg-sky-800 text-white',
+  Blitz: 'bg-violet-600 hover:bg-violet-700 text-white',
+};
+const DEFAULT_COLOUR = 'bg-gray-500 hover:bg-gray-600 text-white';
+
+// Mondays of every week that shows a day of `month`.
+function getWeeks(month) {
+  const first = addDays(month, -((month.getDay() + 6) % 7));
+  const next = addMonths(month, 1);
+  const weeks = [];
+  for (let monday = first; monday < next; monday = addDays(monday, 7)) {
+    weeks.push(monday);
+  }
+  return weeks;
+}
+
+// Each event's slice of the week, as 1-based grid columns, stacked into lanes
+// so overlapping events don't cover each other.
+function layoutWeek(monday, tournaments) {
+  const sunday = addDays(monday, 6);
+  const segments = tournaments
+    .filter(t => t.startDate <= sunday && (t.endDate || t.startDate) >= monday)
+    .map(t => {
+      const end = t.endDate || t.startDate;
+      return {
+        tournament: t,
+        start: Math.max(daysBetween(monday, t.startDate), 0) + 1,
+        end: Math.min(daysBetween(monday, end), 6) + 1,
+        continuesBefore: t.startDate < monday,
+        continuesAfter: end > sunday,
+      };
+    })
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+
+  const laneEnds = [];
+  segments.forEach(segment => {
+    let lane = laneEnds.findIndex(end => end < segment.start);
+    if (lane === -1) {
+      lane = laneEnds.length;
+    }
+    laneEnds[lane] = segment.end;
+    segment.lane = lane;
+  });
+  return { segments, lanes: laneEnds.length };
+}
+
+// Month grid with each dated tournament drawn as a bar across its days.
+// `month` is the first of the month shown; `onMonthChange` receives the new one.
+export function CalendarView({ tournaments, month, onMonthChange, savedIds }) {
+  const { t, weekdays, formatDateRange, formatMonthYear } = useI18n();
+  const today = startOfDay(new Date());
+  const dated = useMemo(() => tournaments.filter(tournament => tournament.startDate), [tournaments]);
+  const weeks = useMemo(() => getWeeks(month).map(monday => ({
+    monday,
+    ...layoutWeek(monday, dated),
+  })), [month, dated]);
+
+  const undated = tournaments.length - dated.length;
+  const title = formatMonthYear(month);
+  const navButton = `px-3 py-1.5 rounded-md text-sm font-medium text-orange-700 hover:bg-orange-50 ${COMMON_FOCUS}`;
+
+  return (
+    <div className={`${COMMON_BG} ${COMMON_BORDER} rounded-xl shadow-lg overflow-hidden`}>
+      {/* Month Navigation */}
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+        <button type="button" onClick={() => onMonthChange(addMonths(month, -1))} className={navButton} aria-label={t('calendar.previousMonth')}>
+          &larr; {t('calendar.prev')}
+        </button>
+        <div className="flex items-center gap-3">
+          <h2 className={`${COMMON_TEXT} text-lg font-bold`} aria-live="polite">{title}</h2>
+          <button type="button" onClick={() => onMonthChange(startOfMonth(today))} className={navButton}>
+            {t('calendar.today')}
+          </button>
+        </div>
+        <button type="button" onClick={() => onMonthChange(addMonths(month, 1))} className={navButton} aria-label={t('calendar.nextMonth')}>
+          {t('calendar.next')} &rarr;
+        </button>
+      </div>
+
+      <div className="grid grid-cols-7 border-b border-gray-200 bg-gray-50 text-xs font-semibold text-gray-600">
+        {weekdays.map(label => (
+          <div key={label} className="px-2 py-2 text-center">{label}</div>
+        ))}
+      </div>
+
+      {weeks.map(({ monday, segments, lanes }) => (
+        <div
+          key={monday.getTime()}
+          className="grid grid-cols-7 border-b border-gray-200 last:border-b-0 min-h-[5rem]"
+          style={{ gridTemplateRows: `1.5rem repeat(${lanes}, auto) 1fr` }}
+        >
+          {weekdays.map((label, i) => {
+            const day = addDays(monday, i);
+            const inMonth = day.getMonth() === month.getMonth();
+            const isToday = day.getTime() === today.getTime();
+            return (
+              <div
+                key={label}
+                className={`px-2 pt-1 text-xs text-right border-l border-gray-100 first:border-l-0 ${inMonth ? 'text-gray-700' : 'text-gray-500 bg-gray-50'}`}
+                style={{ gridColumn: i + 1, gridRow: '1 / -1' }}
+              >
+                <span className={isToday ? 'inline-block px-1.5 rounded-full bg-orange-700 text-white font-semibold' : ''}>
+                  {day.getDate()}
+                </span>
+              </div>
+            );
+          })}
+
+          {segments.map(({ tournament, start, end, lane, continuesBefore, continuesAfter }) => (
+            <Link
+              key={tournament.id}
+              to={tournamentPath(tournament.id)}
+              title={`${tournament.title} · ${formatDateRange(tournament.startDate, tournament.endDate)}${tournament.city ? ` · ${tournament.city}` : ''}`}
+              className={`relative z-10 mx-1 mb-1 px-2 py-0.5 text-xs font-medium truncate ${TYPE_COLOURS[tournament.type] || DEFAULT_COLOUR} ${
+                continuesBefore ? 'rounded-l-none ml-0' : 'rounded-l-md'
+              } ${continuesAfter ? 'rounded-r-none mr-0' : 'rounded-r-md'} ${COMMON_FOCUS}`}
+              style={{ gridColumn: `${start} / ${end + 1}`, gridRow: lane + 2 }}
+            >
+              {savedIds && savedIds.has(tournament.id) && <span aria-label={t('list.saved')}>&#9733; </span>}
+              {tournament.title}
+            </Link>
+          ))}
+        </div>
+      ))}
+
+      {undated > 0 && (
+        <p className="px-4 py-2 text-sm text-gray-600 border-t border-gray-200">
+          {t('calendar.undated', { count: undated })}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,150 @@
+import React, { useMemo, useState } from 'react';
+import { Link } from './Link';
+import { downloadBlob } from './download';
+import { toISODate } from './dates';
+import { ISSUE_LABELS, findQualityIssues, qualityIssuesCsv } from './dataQuality';
+import { COMMON_BG, COMMON_BORDER, COMMON_TEXT, COMMON_SHADOW, COMMON_BUTTON_PRIMARY } from './theme';
+
+function CopyButton({ text }) {
+  const [copied, setCopied] = useState(false);
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.warn('Could not copy:', error);
+    }
+  };
+  return (
+    <button type="button" onClick={copy} className="text-xs font-medium text-orange-700 hover:text-orange-800 underline">
+      {copied ? 'Copied' : 'Copy'}
+    </button>
+  );
+}
+
+// Admin view at /admin: every listed file run through the filename parser,
+// with the ones that need fixing, a suggested name and a CSV export for the
+// maintainers who curate the folder.
+export function DataQualityPage({ tournaments, loading, error }) {
+  const [issueFilter, setIssueFilter] = useState('');
+  const rows = useMemo(() => findQualityIssues(tournaments), [tournaments]);
+
+  const counts = useMemo(() => {
+    const byCode = new Map();
+    rows.forEach(({ issues }) => {
+      new Set(issues.map(issue => issue.code)).forEach(code => byCode.set(code, (byCode.get(code) || 0) + 1));
+    });
+    return byCode;
+  }, [rows]);
+
+  const shownRows = issueFilter
+    ? rows.filter(({ issues }) => issues.some(issue => issue.code === issueFilter))
+    : rows;
+
+  const exportCsv = () => {
+    const blob = new Blob([qualityIssuesCsv(shownRows)], { type: 'text/csv;charset=utf-8' });
+    downloadBlob(blob, `data-quality-${issueFilter ? `${issueFilter}-` : ''}${toISODate(new Date())}.csv`);
+  };
+
+  const chipClass = active => `inline-flex items-center px-3 py-1 rounded-full text-sm font-medium border focus:outline-none focus:ring-2 focus:ring-orange-400 ${
+    active ? 'bg-orange-700 border-orange-700 text-white' : 'bg-white border-orange-300 text-orange-800 hover:bg-orange-50'
+  }`;
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 md:px-8 py-8 space-y-6">
+      <Link to="/" className="inline-flex items-center text-sm font-medium text-orange-700 hover:text-orange-800">
+        &larr; Back to all tournaments
+      </Link>
+
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h2 className={`${COMMON_TEXT} text-2xl font-bold`}>Data quality</h2>
+          <p className="mt-1 text-gray-600">
+            {loading
+              ? 'Loading the tournament list...'
+              : `${rows.length} of ${tournaments.length} listed files need attention.`}
+          </p>
+          {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+        </div>
+        <button
+          type="button"
+          onClick={exportCsv}
+          disabled={shownRows.length === 0}
+          className={`inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium ${COMMON_BUTTON_PRIMARY} focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-500 disabled:opacity-50`}
+        >
+          Export CSV ({shownRows.length})
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2" role="group" aria-label="Show problems of one kind">
+        <button type="button" onClick={() => setIssueFilter('')} aria-pressed={!issueFilter} className={chipClass(!issueFilter)}>
+          All ({rows.length})
+        </button>
+        {Object.entries(ISSUE_LABELS).map(([code, label]) => counts.has(code) && (
+          <button
+            key={code}
+            type="button"
+            onClick={() => setIssueFilter(code === issueFilter ? '' : code)}
+            aria-pressed={code === issueFilter}
+            className={chipClass(code === issueFilter)}
+          >
+            {label} ({counts.get(code)})
+          </button>
+        ))}
+      </div>
+
+      {shownRows.length === 0 ? (
+        !loading && <p className="text-gray-600">No problems found.</p>
+      ) : (
+        <div className={`${COMMON_BG} ${COMMON_BORDER} ${COMMON_SHADOW} rounded-xl overflow-x-auto`}>
+          <table className="min-w-full text-sm text-left">
+            <thead className="bg-orange-50 text-gray-700">
+              <tr>
+                <th scope="col" className="px-4 py-3 font-semibold">File</th>
+                <th scope="col" className="px-4 py-3 font-semibold">Problems</th>
+                <th scope="col" className="px-4 py-3 font-semibold">Suggested name</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {shownRows.map(({ tournament, issues, suggestion }) => (
+                <tr key={tournament.id} className="align-top">
+                  <td className={`px-4 py-3 ${COMMON_TEXT} break-words max-w-xs`}>
+                    {tournament.links.view ? (
+                      <a href={tournament.links.view} target="_blank" rel="noopener noreferrer" className="hover:text-orange-700 hover:underline">
+                        {tournament.filename || tournament.title}
+                      </a>
+                    ) : (
+                      tournament.filename || tournament.title
+                    )}
+                  </td>
+                  <td className="px-4 py-3">
+                    <ul className="space-y-1">
+                      {issues.map((issue, index) => (
+                        <li key={index}>
+                          <span className="font-medium text-gray-800">{ISSUE_LABELS[issue.code]}:</span>{' '}
+                          <span className="text-gray-600">{issue.message}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </td>
+                  <td className="px-4 py-3 max-w-xs">
+                    {suggestion ? (
+                      <div className="space-y-1">
+                        {suggestion.note && <p className="text-xs text-gray-500">{suggestion.note}:</p>}
+                        <code className="block px-1 py-0.5 rounded bg-gray-100 text-gray-800 break-words">{suggestion.filename}</code>
+                        <CopyButton text={suggestion.filename} />
+                      </div>
+                    ) : (
+                      <span className="text-gray-500">&mdash;</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
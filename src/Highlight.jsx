@@ -0,0 +1,12 @@
+import React from 'react';
+import { splitHighlights } from './search';
+
+// `text` with the search matches at `ranges` marked.
+export function Highlight({ text, ranges }) {
+  if (!text || !ranges || ranges.length === 0) return text || null;
+  return splitHighlights(text, ranges).map((part, i) => (
+    part.highlighted
+      ? <mark key={i} className="bg-yellow-200 text-inherit rounded-sm">{part.text}</mark>
+      : <React.Fragment key={i}>{part.text}</React.Fragment>
+  ));
+}
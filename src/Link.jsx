@@ -0,0 +1,19 @@
+import React from 'react';
+import { navigate } from './routes';
+
+// In-app link: a plain click navigates without reloading the page, while
+// modified clicks (new tab, new window) keep the browser's behaviour.
+export function Link({ to, onClick, children, ...props }) {
+  const handleClick = (e) => {
+    if (onClick) onClick(e);
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(to);
+  };
+
+  return (
+    <a href={to} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  );
+}
@@ -0,0 +1,104 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useI18n } from './i18n';
+import { COMMON_BG, COMMON_BORDER, COMMON_INPUT_BORDER, COMMON_TEXT, COMMON_FOCUS, COMMON_TRANSITION, COMMON_FORM_HEIGHT } from './theme';
+
+// Dropdown of checkboxes for one facet. `options` are { value, label, count };
+// an empty `selected` array means "All".
+export function MultiSelectFilter({ id, options, selected, onChange }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close on outside click or Escape
+  useEffect(() => {
+    if (!open) return;
+
+    const onMouseDown = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', onMouseDown);
+    document.addEventListener('keydown', onKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', onMouseDown);
+      document.removeEventListener('keydown', onKeyDown);
+    };
+  }, [open]);
+
+  const toggleValue = (value) => {
+    onChange(selected.includes(value)
+      ? selected.filter(v => v !== value)
+      : [...selected, value]);
+  };
+
+  let summary = t('filters.all');
+  if (selected.length === 1) {
+    summary = options.find(o => o.value === selected[0])?.label || selected[0];
+  } else if (selected.length > 1) {
+    summary = t('filters.selected', { count: selected.length });
+  }
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        id={id}
+        type="button"
+        aria-haspopup="true"
+        aria-expanded={open}
+        onClick={() => setOpen(!open)}
+        className={`${COMMON_INPUT_BORDER} ${COMMON_BG} ${COMMON_TEXT} ${COMMON_FOCUS} rounded-xl px-4 py-2.5 pr-10 ${COMMON_TRANSITION} w-full text-left ${COMMON_FORM_HEIGHT}`}
+      >
+        <span className="block truncate">{summary}</span>
+      </button>
+      <div className="pointer-events-none absolute inset-y-0 right-0 flex items-center px-2 text-gray-700">
+        <svg className={`h-4 w-4 transition-transform duration-300 ${open ? 'rotate-180' : ''}`} xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor">
+          <path fillRule="evenodd" d="M5.293 7.293a1 1 0 011.414 0L10 10.586l3.293-3.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414z" clipRule="evenodd" />
+        </svg>
+      </div>
+
+      {open && (
+        <div
+          role="group"
+          aria-labelledby={id}
+          className={`absolute z-20 mt-1 w-full min-w-[12rem] max-h-72 overflow-auto rounded-xl ${COMMON_BORDER} ${COMMON_BG} shadow-lg py-1`}
+        >
+          {options.length === 0 ? (
+            <p className="px-4 py-2 text-sm text-gray-500">{t('filters.noOptions')}</p>
+          ) : (
+            options.map(o => (
+              <label
+                key={o.value}
+                className={`flex items-center gap-2 px-4 py-2 text-sm cursor-pointer hover:bg-orange-50 ${o.count === 0 ? 'text-gray-500' : COMMON_TEXT}`}
+              >
+                <input
+                  type="checkbox"
+                  checked={selected.includes(o.value)}
+                  onChange={() => toggleValue(o.value)}
+                  className="h-4 w-4 rounded border-gray-300 accent-orange-500"
+                />
+                <span className="flex-1 truncate">{o.label}</span>
+                <span className="text-xs text-gray-500">{o.count}</span>
+              </label>
+            ))
+          )}
+          {selected.length > 0 && (
+            <button
+              type="button"
+              onClick={() => onChange([])}
+              className="w-full text-left px-4 py-2 text-sm font-medium text-orange-700 border-t border-gray-200 hover:bg-orange-50"
+            >
+              {t('filters.clearSelection')}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import React, { useMemo } from 'react';
+import { addMonths, daysBetween, startOfMonth } from './dates';
+import { findConflicts, describeConflict, sortPlan } from './planning';
+import { useI18n } from './i18n';
+import { COMMON_BG, COMMON_BORDER, COMMON_TEXT } from './theme';
+
+// Horizontal season timeline: one row per planned event, positioned between
+// the first month of the plan and the end of its last month.
+function SeasonTimeline({ tournaments, conflictIds, onRemove }) {
+  const { t, formatShortMonth, formatDateRange, countryName } = useI18n();
+  const first = startOfMonth(tournaments[0].startDate);
+  const last = tournaments.reduce((max, tournament) => ((tournament.endDate || tournament.startDate) > max ? (tournament.endDate || tournament.startDate) : max), first);
+  const end = addMonths(last, 1);
+  const totalDays = daysBetween(first, end);
+
+  const months = [];
+  for (let month = first; month < end; month = addMonths(month, 1)) {
+    months.push(month);
+  }
+  const percent = date => `${(daysBetween(first, date) / totalDays) * 100}%`;
+
+  return (
+    <div className="overflow-x-auto">
+      <div className="min-w-[36rem]">
+        <div className="relative h-6 ml-48 border-b border-gray-200 text-xs text-gray-500">
+          {months.map(month => (
+            <span key={month.getTime()} className="absolute top-0 pl-1 border-l border-gray-200 h-full" style={{ left: percent(month) }}>
+              {formatShortMonth(month)}{month.getMonth() === 0 || month === first ? ` ${month.getFullYear()}` : ''}
+            </span>
+          ))}
+        </div>
+        <ul className="divide-y divide-gray-100">
+          {tournaments.map(tournament => {
+            const endDate = tournament.endDate || tournament.startDate;
+            const clashes = conflictIds.has(tournament.id);
+            return (
+              <li key={tournament.id} className="flex items-center py-1.5">
+                <div className="w-48 shrink-0 pr-3 flex items-center gap-1">
+                  <button
+                    type="button"
+                    onClick={() => onRemove(tournament)}
+                    aria-label={t('plan.removeLabel', { title: tournament.title })}
+                    title={t('plan.remove')}
+                    className="text-gray-500 hover:text-red-600 focus:outline-none focus:ring-2 focus:ring-orange-400 rounded"
+                  >
+                    &times;
+                  </button>
+                  <span className={`${COMMON_TEXT} text-sm truncate`} title={tournament.title}>{tournament.title}</span>
+                </div>
+                <div className="relative flex-1 h-5">
+                  <div
+                    className={`absolute inset-y-0 rounded ${clashes ? 'bg-red-500' : 'bg-orange-500'}`}
+                    style={{ left: percent(tournament.startDate), width: `max(0.4rem, ${(daysBetween(tournament.startDate, endDate) + 1) / totalDays * 100}%)` }}
+                    title={`${formatDateRange(tournament.startDate, tournament.endDate)}${tournament.country ? ` · ${countryName(tournament.country)}` : ''}`}
+                  />
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+// Planning mode: the shortlisted tournaments with clash and travel warnings.
+export function PlanningPanel({ tournaments, onRemove, onClear }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const dated = useMemo(() => sortPlan([...tournaments]), [tournaments]);
+  const conflicts = useMemo(() => findConflicts(tournaments), [tournaments]);
+  const conflictIds = useMemo(() => new Set(conflicts.flatMap(c => [c.first.id, c.second.id])), [conflicts]);
+  const undated = tournaments.filter(tournament => !tournament.startDate);
+
+  return (
+    <section aria-labelledby="plan-heading" className={`${COMMON_BG} ${COMMON_BORDER} rounded-xl shadow-lg p-6 mb-8 space-y-4`}>
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h2 id="plan-heading" className={`${COMMON_TEXT} text-xl font-bold`}>
+          {t('plan.title', { count: tournaments.length })}
+        </h2>
+        {tournaments.length > 0 && (
+          <button
+            type="button"
+            onClick={onClear}
+            className="text-sm font-medium text-orange-700 hover:text-orange-800 underline"
+          >
+            {t('plan.clear')}
+          </button>
+        )}
+      </div>
+
+      {tournaments.length === 0 ? (
+        <p className="text-sm text-gray-600">
+          {t('plan.empty', { action: t('card.addToPlan') })}
+        </p>
+      ) : (
+        <>
+          {conflicts.length === 0 ? (
+            <p className="px-3 py-2 rounded-md bg-green-50 border border-green-300 text-sm text-green-800">
+              {t('plan.noConflicts')}
+            </p>
+          ) : (
+            <ul className="space-y-2">
+              {conflicts.map(conflict => (
+                <li
+                  key={`${conflict.code}:${conflict.first.id}:${conflict.second.id}`}
+                  className={`px-3 py-2 rounded-md border text-sm ${
+                    conflict.code === 'overlap' ? 'bg-red-50 border-red-300 text-red-800' : 'bg-yellow-50 border-yellow-300 text-yellow-800'
+                  }`}
+                >
+                  <span className="font-semibold">{t(conflict.code === 'overlap' ? 'plan.overlapLabel' : 'plan.travelLabel')}</span>{' '}
+                  {describeConflict(conflict, i18n)}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {dated.length > 0 && (
+            <SeasonTimeline tournaments={dated} conflictIds={conflictIds} onRemove={onRemove} />
+          )}
+
+          {undated.length > 0 && (
+            <div className="text-sm text-gray-600">
+              <p className="mb-1">{t('plan.undated')}</p>
+              <ul className="flex flex-wrap gap-2">
+                {undated.map(tournament => (
+                  <li key={tournament.id} className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-gray-100">
+                    {tournament.title}
+                    <button
+                      type="button"
+                      onClick={() => onRemove(tournament)}
+                      aria-label={t('plan.removeLabel', { title: tournament.title })}
+                      title={t('plan.remove')}
+                      className="text-gray-500 hover:text-red-600 focus:outline-none focus:ring-2 focus:ring-orange-400 rounded"
+                    >
+                      &times;
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { Link } from './Link';
+import { tournamentPath } from './routes';
+import { formatTimeAgo } from './dates';
+import { useI18n } from './i18n';
+import { isNotificationSupported } from './savedSearches';
+import { COMMON_BG, COMMON_BORDER, COMMON_INPUT_BORDER, COMMON_TEXT, COMMON_PLACEHOLDER, COMMON_FOCUS, COMMON_BUTTON_PRIMARY } from './theme';
+
+// Saved searches and the inbox of new tournaments that matched them.
+// `onSave(name)` saves the list's current filters under that name.
+export function SavedSearchesPanel({ savedSearches, suggestedName, onSave, onApply }) {
+  const { t, locale } = useI18n();
+  const { searches, inbox, browserNotifications } = savedSearches;
+  const [name, setName] = useState('');
+  const [permission, setPermission] = useState(isNotificationSupported ? Notification.permission : 'denied');
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    onSave(name.trim() || suggestedName || t('alerts.defaultName'));
+    setName('');
+  };
+
+  const toggleBrowserNotifications = async (enabled) => {
+    setPermission(await savedSearches.setBrowserNotifications(enabled));
+  };
+
+  return (
+    <section aria-labelledby="alerts-heading" className={`${COMMON_BG} ${COMMON_BORDER} rounded-xl shadow-lg p-6 mb-8 space-y-6`}>
+      <h2 id="alerts-heading" className={`${COMMON_TEXT} text-xl font-bold`}>{t('alerts.title')}</h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="space-y-3">
+          <h3 className={`${COMMON_TEXT} font-semibold`}>{t('alerts.saved')}</h3>
+          <form onSubmit={handleSave} className="flex flex-wrap gap-2">
+            <label htmlFor="saved-search-name" className="sr-only">{t('alerts.saveLabel')}</label>
+            <input
+              id="saved-search-name"
+              type="text"
+              value={name}
+              onChange={e => setName(e.target.value)}
+              placeholder={suggestedName || t('alerts.defaultName')}
+              className={`flex-1 min-w-[10rem] px-3 py-2 rounded-md ${COMMON_INPUT_BORDER} ${COMMON_BG} ${COMMON_TEXT} ${COMMON_PLACEHOLDER} ${COMMON_FOCUS}`}
+            />
+            <button
+              type="submit"
+              className={`px-4 py-2 rounded-md shadow-sm text-sm font-medium ${COMMON_BUTTON_PRIMARY} ${COMMON_FOCUS}`}
+            >
+              {t('alerts.save')}
+            </button>
+          </form>
+          {searches.length === 0 ? (
+            <p className="text-sm text-gray-600">{t('alerts.noSearches')}</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {searches.map(search => (
+                <li key={search.id} className="flex items-center justify-between gap-3 py-2 text-sm">
+                  <span className={`${COMMON_TEXT} truncate`} title={search.name}>{search.name}</span>
+                  <span className="flex shrink-0 gap-3">
+                    <button type="button" onClick={() => onApply(search)} className="font-medium text-orange-700 hover:text-orange-800 underline">
+                      {t('alerts.show')}
+                    </button>
+                    <button type="button" onClick={() => savedSearches.removeSearch(search.id)} className="font-medium text-gray-500 hover:text-red-600 underline">
+                      {t('alerts.remove')}
+                    </button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+          {isNotificationSupported && (
+            <div className="text-sm">
+              <label className={`inline-flex items-center gap-2 ${COMMON_TEXT}`}>
+                <input
+                  type="checkbox"
+                  checked={browserNotifications}
+                  disabled={permission === 'denied'}
+                  onChange={e => toggleBrowserNotifications(e.target.checked)}
+                  className="h-4 w-4 rounded border-gray-300 accent-orange-500"
+                />
+                {t('alerts.browser')}
+              </label>
+              {permission === 'denied' && <p className="mt-1 text-yellow-800">{t('alerts.browserBlocked')}</p>}
+            </div>
+          )}
+        </div>
+
+        <div className="space-y-3">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <h3 className={`${COMMON_TEXT} font-semibold`}>{t('alerts.inbox')}</h3>
+            {inbox.length > 0 && (
+              <span className="flex gap-3 text-sm">
+                <button type="button" onClick={savedSearches.markAllRead} className="font-medium text-orange-700 hover:text-orange-800 underline">
+                  {t('alerts.markRead')}
+                </button>
+                <button type="button" onClick={savedSearches.clearInbox} className="font-medium text-gray-500 hover:text-red-600 underline">
+                  {t('alerts.clear')}
+                </button>
+              </span>
+            )}
+          </div>
+          {inbox.length === 0 ? (
+            <p className="text-sm text-gray-600">{t('alerts.emptyInbox')}</p>
+          ) : (
+            <ul className="divide-y divide-gray-100 max-h-80 overflow-y-auto">
+              {inbox.map(alert => (
+                <li key={alert.id} className="py-2 text-sm">
+                  <Link
+                    to={tournamentPath(alert.tournament.id)}
+                    className={`${alert.read ? 'font-medium' : 'font-bold'} ${COMMON_TEXT} hover:text-orange-700 hover:underline`}
+                  >
+                    {!alert.read && <span className="inline-block h-2 w-2 mr-2 rounded-full bg-orange-500 align-middle" aria-hidden="true" />}
+                    {alert.tournament.title}
+                  </Link>
+                  <p className="text-gray-500">
+                    {t('alerts.matches', { names: alert.searchNames.join(', ') })} · {formatTimeAgo(new Date(alert.foundAt), new Date(), locale, t('time.justNow'))}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,276 @@
+import React, { useMemo, useState } from 'react';
+import { COUNTRY_CODES } from './countries';
+import { KNOWN_TYPES } from './parseFilename';
+import { tournamentFromFilename } from './data/tournament';
+import { TournamentCard } from './TournamentCard';
+import { Link } from './Link';
+import { downloadBlob } from './download';
+import { EMPTY_SUBMISSION, MAX_PDF_BYTES, validateSubmission, submissionRecord } from './submission';
+import { COMMON_BG, COMMON_BORDER, COMMON_INPUT_BORDER, COMMON_TEXT, COMMON_FOCUS, COMMON_SHADOW, COMMON_FORM_HEIGHT, COMMON_BUTTON_PRIMARY, COMMON_BUTTON_SECONDARY } from './theme';
+
+const COMMON_INPUT        = `w-full px-3 rounded-md ${COMMON_INPUT_BORDER} ${COMMON_BG} ${COMMON_TEXT} ${COMMON_FOCUS}`;
+
+const COUNTRY_NAMES = Object.keys(COUNTRY_CODES).sort();
+
+function Field({ label, htmlFor, error, hint, children }) {
+  return (
+    <div>
+      <label htmlFor={htmlFor} className={`block mb-1 text-sm font-medium ${COMMON_TEXT}`}>{label}</label>
+      {children}
+      {error ? (
+        <p id={`${htmlFor}-error`} className="mt-1 text-sm text-red-600">{error}</p>
+      ) : hint && (
+        <p className="mt-1 text-xs text-gray-500">{hint}</p>
+      )}
+    </div>
+  );
+}
+
+// "Submit a tournament" at /submit. Organizers fill in the facts their file
+// name must carry; we check them against the filename rules, preview the card
+// and hand back the renamed PDF plus a JSON record for the maintainers.
+export function SubmitPage() {
+  const [submission, setSubmission] = useState(EMPTY_SUBMISSION);
+  const [touched, setTouched] = useState(() => new Set());
+  const [attempted, setAttempted] = useState(false);
+  const [prepared, setPrepared] = useState(null);
+  const [copied, setCopied] = useState(false);
+  // Remounts the form on "Submit another", which also clears the file input.
+  const [formKey, setFormKey] = useState(0);
+
+  const validation = useMemo(() => validateSubmission(submission), [submission]);
+  const preview = useMemo(
+    () => validation.filename && tournamentFromFilename('preview', validation.filename),
+    [validation.filename]
+  );
+
+  const update = (field, value) => {
+    setSubmission(prev => ({ ...prev, [field]: value }));
+    setPrepared(null);
+  };
+  const touch = field => setTouched(prev => new Set(prev).add(field));
+  const errorFor = field => (attempted || touched.has(field) ? validation.errors[field] : undefined);
+  const inputProps = field => ({
+    id: `submit-${field}`,
+    onBlur: () => touch(field),
+    'aria-invalid': !!errorFor(field),
+    'aria-describedby': errorFor(field) ? `submit-${field}-error` : undefined,
+  });
+
+  const toggleType = type => {
+    touch('types');
+    update('types', submission.types.includes(type)
+      ? submission.types.filter(t => t !== type)
+      : [...submission.types, type]);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setAttempted(true);
+    if (Object.keys(validation.errors).length > 0) return;
+    setPrepared({ filename: validation.filename, record: submissionRecord(submission, validation.filename) });
+  };
+
+  const recordJson = prepared && JSON.stringify(prepared.record, null, 2);
+
+  const copyRecord = async () => {
+    try {
+      await navigator.clipboard.writeText(recordJson);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.warn('Could not copy the record:', error);
+    }
+  };
+
+  const startOver = () => {
+    setSubmission(EMPTY_SUBMISSION);
+    setTouched(new Set());
+    setAttempted(false);
+    setPrepared(null);
+    setFormKey(key => key + 1);
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 md:px-8 py-8 space-y-8">
+      <Link to="/" className="inline-flex items-center text-sm font-medium text-orange-700 hover:text-orange-800">
+        &larr; Back to all tournaments
+      </Link>
+
+      <div>
+        <h2 className={`${COMMON_TEXT} text-2xl font-bold`}>Submit a tournament</h2>
+        <p className="mt-1 text-gray-600 max-w-3xl">
+          Tournaments are listed from their PDF's file name, so it has to follow one exact pattern.
+          Fill in the details below and we'll name the file for you and check the site reads it back correctly.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 items-start">
+        <form key={formKey} onSubmit={handleSubmit} noValidate className={`${COMMON_BG} ${COMMON_BORDER} ${COMMON_SHADOW} rounded-xl p-6 space-y-5`}>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <Field label="First day" htmlFor="submit-startDate" error={errorFor('startDate')}>
+              <input
+                type="date"
+                value={submission.startDate}
+                onChange={e => update('startDate', e.target.value)}
+                className={`${COMMON_INPUT} ${COMMON_FORM_HEIGHT}`}
+                {...inputProps('startDate')}
+              />
+            </Field>
+            <Field label="Last day" htmlFor="submit-endDate" error={errorFor('endDate')} hint="Leave empty for a one-day event.">
+              <input
+                type="date"
+                value={submission.endDate}
+                min={submission.startDate || undefined}
+                onChange={e => update('endDate', e.target.value)}
+                className={`${COMMON_INPUT} ${COMMON_FORM_HEIGHT}`}
+                {...inputProps('endDate')}
+              />
+            </Field>
+          </div>
+
+          <fieldset aria-describedby={errorFor('types') ? 'submit-types-error' : undefined}>
+            <legend className={`mb-1 text-sm font-medium ${COMMON_TEXT}`}>Type</legend>
+            <div className="flex flex-wrap gap-4">
+              {KNOWN_TYPES.map(type => (
+                <label key={type} className={`inline-flex items-center gap-2 text-sm ${COMMON_TEXT}`}>
+                  <input
+                    type="checkbox"
+                    checked={submission.types.includes(type)}
+                    onChange={() => toggleType(type)}
+                    className="h-4 w-4 accent-orange-500"
+                  />
+                  {type}
+                </label>
+              ))}
+            </div>
+            {errorFor('types') && <p id="submit-types-error" className="mt-1 text-sm text-red-600">{errorFor('types')}</p>}
+          </fieldset>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <Field label="City" htmlFor="submit-city" error={errorFor('city')}>
+              <input
+                type="text"
+                value={submission.city}
+                onChange={e => update('city', e.target.value)}
+                placeholder="Paris"
+                className={`${COMMON_INPUT} ${COMMON_FORM_HEIGHT} placeholder-gray-500`}
+                {...inputProps('city')}
+              />
+            </Field>
+            <Field label="Country" htmlFor="submit-country" error={errorFor('country')}>
+              <input
+                type="text"
+                list="submit-country-names"
+                value={submission.country}
+                onChange={e => update('country', e.target.value)}
+                placeholder="France"
+                className={`${COMMON_INPUT} ${COMMON_FORM_HEIGHT} placeholder-gray-500`}
+                {...inputProps('country')}
+              />
+              <datalist id="submit-country-names">
+                {COUNTRY_NAMES.map(name => <option key={name} value={name} />)}
+              </datalist>
+            </Field>
+          </div>
+
+          <Field label="Tournament PDF" htmlFor="submit-pdf" error={errorFor('pdf')} hint={`Up to ${MAX_PDF_BYTES / 1024 / 1024} MB.`}>
+            <input
+              type="file"
+              accept="application/pdf,.pdf"
+              onChange={e => {
+                touch('pdf');
+                update('pdf', e.target.files[0] || null);
+              }}
+              className={`block w-full text-sm ${COMMON_TEXT} file:mr-3 file:px-4 file:py-2 file:rounded-md file:border-0 file:bg-orange-100 file:text-orange-800 hover:file:bg-orange-200`}
+              {...inputProps('pdf')}
+            />
+          </Field>
+
+          <Field label="Your email (optional)" htmlFor="submit-contact" error={errorFor('contact')} hint="Only used by the maintainers if they have questions.">
+            <input
+              type="email"
+              value={submission.contact}
+              onChange={e => update('contact', e.target.value)}
+              className={`${COMMON_INPUT} ${COMMON_FORM_HEIGHT}`}
+              {...inputProps('contact')}
+            />
+          </Field>
+
+          <Field label="Notes for the maintainers (optional)" htmlFor="submit-notes">
+            <textarea
+              id="submit-notes"
+              rows={3}
+              value={submission.notes}
+              onChange={e => update('notes', e.target.value)}
+              className={`${COMMON_INPUT} py-2`}
+            />
+          </Field>
+
+          <button
+            type="submit"
+            className={`inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium ${COMMON_BUTTON_PRIMARY} focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-500`}
+          >
+            Check and prepare files
+          </button>
+        </form>
+
+        <div className="space-y-6">
+          <section aria-labelledby="submit-preview-heading" className="space-y-3">
+            <h3 id="submit-preview-heading" className={`${COMMON_TEXT} text-lg font-semibold`}>Preview</h3>
+            {preview ? (
+              <>
+                <p className="text-sm text-gray-600">
+                  File name: <code className="px-1 py-0.5 rounded bg-gray-100 text-gray-800 break-all">{validation.filename}</code>
+                </p>
+                {/* Shown as it will be listed; the card's links don't go anywhere yet */}
+                <div className="pointer-events-none select-none" aria-hidden="true">
+                  <TournamentCard tournament={preview} />
+                </div>
+              </>
+            ) : (
+              <p className="text-sm text-gray-600">Fill in the dates, type, city and country to see how the tournament will be listed.</p>
+            )}
+          </section>
+
+          {prepared && (
+            <section aria-labelledby="submit-ready-heading" className="bg-green-50 border border-green-300 rounded-xl p-6 space-y-3">
+              <h3 id="submit-ready-heading" className="text-lg font-semibold text-green-900">Ready for review</h3>
+              <p className="text-sm text-green-900">
+                Download the renamed PDF and the record below and send both to the site maintainers.
+                The tournament appears once they add the PDF to the tournament folder.
+              </p>
+              <div className="flex flex-wrap gap-2">
+                <button
+                  type="button"
+                  onClick={() => downloadBlob(submission.pdf, prepared.filename)}
+                  className={`inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium ${COMMON_BUTTON_PRIMARY} focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-500`}
+                >
+                  Download renamed PDF
+                </button>
+                <button
+                  type="button"
+                  onClick={() => downloadBlob(new Blob([recordJson], { type: 'application/json' }), prepared.filename.replace(/\.pdf$/, '.json'))}
+                  className={`inline-flex items-center px-4 py-2 rounded-md shadow-sm text-sm font-medium ${COMMON_BUTTON_SECONDARY} focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-400`}
+                >
+                  Download record (JSON)
+                </button>
+                <button
+                  type="button"
+                  onClick={copyRecord}
+                  className={`inline-flex items-center px-4 py-2 rounded-md shadow-sm text-sm font-medium ${COMMON_BUTTON_SECONDARY} focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-400`}
+                >
+                  {copied ? 'Copied' : 'Copy record'}
+                </button>
+              </div>
+              <pre className="text-xs bg-white border border-green-200 rounded-md p-3 overflow-x-auto text-gray-800">{recordJson}</pre>
+              <button type="button" onClick={startOver} className="text-sm font-medium text-orange-700 hover:text-orange-800 underline">
+                Submit another tournament
+              </button>
+            </section>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,140 +1,275 @@
-import React from 'react';
-
-// Common Tailwind CSS classes for consistency - Removed dark: classes
-const COMMON_BG           = 'bg-white'; // Removed dark:bg-gray-800
-const COMMON_BORDER       = 'border border-gray-200'; // Removed dark:border-gray-700
-const COMMON_TEXT         = 'text-gray-800'; // Removed dark:text-gray-100
-const COMMON_SHADOW       = 'shadow-lg hover:shadow-xl';
-const COMMON_TRANSITION   = 'transition duration-300 ease-in-out';
-
-// parse name "14-15 June2025 Classical Paris, France.pdf"
-function parseFilename(name) {
-  const noExt = name.replace(/\.pdf$/i, '');
-  const parts = noExt.split(' ').filter(p => p.trim() !== '');
-
-  let dateRange = '';
-  let monthYear = '';
-  let type = '';
-  let locationCountry = '';
-
-  if (parts.length > 0) {
-    dateRange = parts[0];
-  }
-  if (parts.length > 1) {
-    monthYear = parts[1];
-  }
-  if (parts.length > 2) {
-    type = parts[2];
-  }
-  if (parts.length > 3) {
-    locationCountry = parts.slice(3).join(' ');
+import React, { useEffect, useRef, useState } from 'react';
+import { getCountdown, getTournamentStatus } from './dates';
+import { offlineUrl } from './offline';
+import { calendarBlob } from './ics';
+import { downloadBlob, downloadPdf, pdfFilename, pdfUrl, safeFilename } from './download';
+import { Highlight } from './Highlight';
+import { TournamentDetails } from './TournamentDetails';
+import { Link } from './Link';
+import { tournamentPath } from './routes';
+import { useI18n } from './i18n';
+import { COMMON_BG, COMMON_BORDER, COMMON_TEXT, COMMON_SHADOW, COMMON_TRANSITION, COMMON_BUTTON_PRIMARY, COMMON_BUTTON_SECONDARY } from './theme';
+
+// Links to a tournament's page: in-app navigation, or a new tab on `siteUrl`
+// when the card is shown on another site.
+function PageLink({ to, siteUrl, ...props }) {
+  if (siteUrl) {
+    return <a href={`${siteUrl}${to}`} target="_blank" rel="noopener noreferrer" {...props} />;
   }
+  return <Link to={to} {...props} />;
+}
 
-  const [location, countryRaw] = locationCountry.split(',').map(s => s.trim());
+// `compact` keeps the name, date, place and type, for the embeddable widget.
+// `onVisible(id)` is called once the card first scrolls into view, while its
+// PDF details are still unknown.
+export function TournamentCard({ tournament, saved, missing, onToggleSaved, savedOffline, offlinePending, offlineError, onToggleOffline, distanceKm, distanceApproximate, planned, onTogglePlanned, onVisible, highlights = {}, compact, siteUrl }) {
+  const { id, title, type, city, country, startDate, endDate, durationDays, dateRange, monthYear, links, details } = tournament;
+  const { t, formatDateRange, formatMonthYear, countryName, typeName } = useI18n();
+  const status = getTournamentStatus(tournament);
+  const countdown = saved ? getCountdown(tournament) : null;
+  // Search highlights are ranges in the name as written, so a translated name is shown plain.
+  const shownCountry = countryName(country);
+  const shownType = typeName(type);
+  const [downloading, setDownloading] = useState(false);
+  const [downloadError, setDownloadError] = useState(null);
+  // The static build's PDF copies are on the site, not on a widget's host page.
+  const downloadUrl = links.download || pdfUrl(tournament, siteUrl);
+  const cardRef = useRef(null);
 
-  return {
-    dateRange: dateRange,
-    monthYear: monthYear,
-    type:      type,
-    location:  location,
-    country:   countryRaw || 'Unknown'
-  };
-}
+  useEffect(() => {
+    if (!onVisible || details || compact) return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        observer.disconnect();
+        onVisible(id);
+      }
+    });
+    observer.observe(cardRef.current);
+    return () => observer.disconnect();
+  }, [onVisible, details, compact, id]);
 
-export function TournamentCard({ file }) {
-  const { name, webViewLink } = file;
-  const { dateRange, monthYear, type, location, country } = parseFilename(name);
+  const handleDownload = async (e) => {
+    e.preventDefault();
+    setDownloading(true);
+    setDownloadError(null);
+    try {
+      await downloadPdf(tournament, siteUrl);
+    } catch (error) {
+      setDownloadError(error.message);
+    } finally {
+      setDownloading(false);
+    }
+  };
 
   // Function to format date range for display
   const formatDisplayDate = (dateRange, monthYear) => {
-    const month = monthYear.match(/[A-Za-z]+/)?.[0] || '';
-    const year = monthYear.match(/\d{4}/)?.[0] || '';
-
-    // Handle single day vs. range
-    if (dateRange.includes('-')) {
-      const [startDay, endDay] = dateRange.split('-');
-      if (startDay === endDay) {
-        return `${startDay} ${month} ${year}`;
-      }
-      return `${dateRange} ${month} ${year}`;
+    if (startDate) {
+      return formatDateRange(startDate, endDate);
     }
-    return `${dateRange} ${month} ${year}`;
+
+    // Undated names: echo what the organizer wrote
+    const month = monthYear.match(/[\p{L}\p{M}]+/u)?.[0] || '';
+    const year = monthYear.match(/\d{4}/)?.[0] || '';
+    return `${dateRange} ${month} ${year}`.trim();
   };
 
   const displayDate = formatDisplayDate(dateRange, monthYear);
 
   return (
-    <div className={`${COMMON_BG} ${COMMON_BORDER} ${COMMON_SHADOW} ${COMMON_TRANSITION} rounded-xl p-6 flex flex-col justify-between`}>
+    <div ref={cardRef} className={`${COMMON_BG} ${COMMON_BORDER} ${COMMON_SHADOW} hover:shadow-xl ${COMMON_TRANSITION} duration-300 ease-in-out rounded-xl ${compact ? 'p-4' : 'p-6'} flex flex-col justify-between`}>
       <div>
         {/* Type and Month/Year at the top right */}
         <div className="flex justify-between items-start mb-2">
-          {type && (
-            <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
-              {type}
+          <div className="flex flex-wrap gap-2">
+            {type && (
+              <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
+                {shownType === type ? <Highlight text={type} ranges={highlights.type} /> : shownType}
+              </span>
+            )}
+            {status === 'Ongoing' && (
+              <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                {t('status.Ongoing')}
+              </span>
+            )}
+          </div>
+          <div className="flex items-center gap-2">
+            <span className="text-sm font-semibold text-gray-500">
+              {formatMonthYear(monthYear)}
             </span>
-          )}
-          <span className="text-sm font-semibold text-gray-500">
-            {monthYear}
-          </span>
+            {onToggleSaved && (
+              <button
+                type="button"
+                onClick={() => onToggleSaved(tournament)}
+                aria-pressed={!!saved}
+                aria-label={saved ? t('card.unsave') : t('card.save')}
+                title={saved ? t('card.unsave') : t('card.save')}
+                className={`p-1 rounded-full focus:outline-none focus:ring-2 focus:ring-orange-400 ${saved ? 'text-orange-600' : 'text-gray-500 hover:text-orange-600'}`}
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill={saved ? 'currentColor' : 'none'} stroke="currentColor" strokeWidth="1.5">
+                  <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+                </svg>
+              </button>
+            )}
+          </div>
         </div>
 
-        {/* Tournament Name (filename without extension) */}
-        <h3 className={`${COMMON_TEXT} text-lg font-bold mb-3 leading-tight`}>
-          {name.replace(/\.pdf$/i, '')}
+        {/* No longer in the data source - shown from the saved snapshot */}
+        {missing && (
+          <p className="mb-3 px-3 py-2 rounded-md bg-yellow-50 border border-yellow-300 text-xs text-yellow-800">
+            {t('card.missing')}
+          </p>
+        )}
+
+        {/* Tournament Name */}
+        <h3 className={`${COMMON_TEXT} ${compact ? 'text-base mb-2' : 'text-lg mb-3'} font-bold leading-tight`}>
+          <PageLink to={tournamentPath(id)} siteUrl={siteUrl} className="hover:text-orange-700 hover:underline">
+            <Highlight text={title} ranges={highlights.title} />
+          </PageLink>
         </h3>
 
         {/* Enhanced Details with Icons */}
-        <div className="space-y-2 text-gray-700 text-sm mb-4"> {/* Removed dark:text-gray-300 */}
+        <div className={`space-y-2 text-gray-700 text-sm ${compact ? '' : 'mb-4'}`}>
           {/* Date Range */}
-          {dateRange && (
+          {displayDate && (
             <p className="flex items-center">
               <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2 text-orange-500" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
                 <path strokeLinecap="round" strokeLinejoin="round" d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
               </svg>
               {displayDate}
+              {durationDays > 1 && (
+                <span className="ml-1 text-gray-500">{t('card.days', { count: durationDays })}</span>
+              )}
+            </p>
+          )}
+
+          {/* Countdown for saved events */}
+          {countdown && (
+            <p className="flex items-center font-semibold text-orange-700">
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2 text-orange-500" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+                <path strokeLinecap="round" strokeLinejoin="round" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+              </svg>
+              {t(`countdown.${countdown.code}`, { count: countdown.days })}
             </p>
           )}
 
           {/* Location */}
-          {location && (
+          {city && (
             <p className="flex items-center">
               <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2 text-orange-500" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
                 <path strokeLinecap="round" strokeLinejoin="round" d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
                 <path strokeLinecap="round" strokeLinejoin="round" d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
               </svg>
-              {location}{country && `, ${country}`}
+              <Highlight text={city} ranges={highlights.city} />
+              {country && <>, {shownCountry === country ? <Highlight text={country} ranges={highlights.country} /> : shownCountry}</>}
+              {distanceKm !== undefined && (
+                <span
+                  className="ml-1 text-gray-500"
+                  title={distanceApproximate ? t('card.approximate') : undefined}
+                >
+                  · {distanceApproximate ? '≈ ' : ''}{t('card.kmAway', { distance: Math.round(distanceKm) })}
+                </span>
+              )}
             </p>
           )}
         </div>
+
+        {/* Details read from the PDF */}
+        {!compact && <TournamentDetails details={details} className="text-xs mb-4" />}
       </div>
 
       {/* Buttons */}
-      <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-2 mt-4">
-        <a
-          href={webViewLink}
-          target="_blank"
-          rel="noopener noreferrer"
-          className="flex-1 inline-flex items-center justify-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-orange-500 hover:bg-orange-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-500"
+      {!compact && (
+        <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-2 mt-4">
+          <PageLink
+            to={tournamentPath(id)}
+            siteUrl={siteUrl}
+            className={`flex-1 inline-flex items-center justify-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium ${COMMON_BUTTON_PRIMARY} focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-500`}
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+              <path strokeLinecap="round" strokeLinejoin="round" d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
+            </svg>
+            {t('card.viewPdf')}
+          </PageLink>
+          {/* Download PDF Button */}
+          {downloadUrl && (
+            <a
+              href={downloadUrl}
+              download={pdfFilename(tournament)}
+              onClick={handleDownload}
+              aria-busy={downloading}
+              className={`flex-1 inline-flex items-center justify-center px-4 py-2 rounded-md shadow-sm text-sm font-medium ${COMMON_BUTTON_SECONDARY} focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-400 ${downloading ? 'opacity-50 pointer-events-none' : ''}`}
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+                <path strokeLinecap="round" strokeLinejoin="round" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+              </svg>
+              {downloading ? t('card.downloading') : t('card.downloadPdf')}
+            </a>
+          )}
+        </div>
+      )}
+      {downloadError && (
+        <p className="mt-1 text-xs text-red-600">{t('card.downloadFailed', { message: downloadError })}</p>
+      )}
+
+      {/* Add to Calendar */}
+      {startDate && !compact && (
+        <button
+          type="button"
+          onClick={() => downloadBlob(calendarBlob([tournament], { name: title }), `${safeFilename(title)}.ics`)}
+          className="mt-3 inline-flex items-center self-start text-sm font-medium text-orange-700 hover:text-orange-800"
         >
-          <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
-            <path strokeLinecap="round" strokeLinejoin="round" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
-            <path strokeLinecap="round" strokeLinejoin="round" d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+            <path strokeLinecap="round" strokeLinejoin="round" d="M12 4v16m8-8H4" />
           </svg>
-          View PDF
-        </a>
-        {/* Download PDF Button */}
-        <a
-          href={webViewLink} // For actual download, this would be a direct download link if available
-          target="_blank"
-          rel="noopener noreferrer"
-          className="flex-1 inline-flex items-center justify-center px-4 py-2 border border-orange-400 rounded-md shadow-sm text-sm font-medium text-orange-700 bg-white hover:bg-orange-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-400"
+          {t('card.addToCalendar')}
+        </button>
+      )}
+
+      {/* Planning Mode */}
+      {onTogglePlanned && (
+        <button
+          type="button"
+          onClick={() => onTogglePlanned(tournament)}
+          aria-pressed={!!planned}
+          className={`mt-3 px-3 py-1.5 rounded-md border text-sm font-medium focus:outline-none focus:ring-2 focus:ring-orange-400 ${
+            planned ? `border-transparent ${COMMON_BUTTON_PRIMARY}` : COMMON_BUTTON_SECONDARY
+          }`}
         >
-          <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
-            <path strokeLinecap="round" strokeLinejoin="round" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
-          </svg>
-          Download PDF
-        </a>
-      </div>
+          {planned ? t('card.inPlan') : t('card.addToPlan')}
+        </button>
+      )}
+
+      {/* Offline Copy */}
+      {onToggleOffline && pdfUrl(tournament) && (
+        <div className="mt-3 flex items-center justify-between text-sm">
+          {savedOffline ? (
+            <a
+              href={offlineUrl(id)}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="font-medium text-green-700 hover:text-green-800 underline"
+            >
+              {t('card.openOffline')}
+            </a>
+          ) : (
+            <span className="text-gray-500">{t('card.notOffline')}</span>
+          )}
+          <button
+            type="button"
+            onClick={() => onToggleOffline(tournament)}
+            disabled={offlinePending}
+            className="font-medium text-orange-700 hover:text-orange-800 disabled:opacity-50"
+          >
+            {offlinePending
+              ? (savedOffline ? t('card.removing') : t('card.saving'))
+              : (savedOffline ? t('card.removeOffline') : t('card.saveOffline'))}
+          </button>
+        </div>
+      )}
+      {offlineError && (
+        <p className="mt-1 text-xs text-red-600">{t('card.offlineFailed', { message: offlineError })}</p>
+      )}
     </div>
   );
 }
\ No newline at end of file
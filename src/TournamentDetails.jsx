@@ -0,0 +1,54 @@
+import React from 'react';
+import { parseISODate } from './dates';
+import { formatMoney } from './pdfDetails';
+import { useI18n } from './i18n';
+
+// The fields read from a tournament's PDF (see pdfDetails.js). Unknown
+// fields are left out; renders nothing when there are no details.
+export function TournamentDetails({ details, className = '' }) {
+  const { t, locale, formatDateRange } = useI18n();
+  if (!details) return null;
+  return (
+    <dl className={`grid grid-cols-2 gap-x-3 gap-y-1 text-gray-700 ${className}`}>
+      {details.fideRated !== null && (
+        <div className="col-span-2">
+          <span className={`inline-flex items-center px-2 py-0.5 rounded-full font-medium ${details.fideRated ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-700'}`}>
+            {details.fideRated ? t('details.fideRated') : t('details.notFideRated')}
+          </span>
+        </div>
+      )}
+      {details.rounds && (
+        <div><dt className="inline text-gray-500">{t('details.rounds')} </dt><dd className="inline">{details.rounds}</dd></div>
+      )}
+      {details.timeControl && (
+        <div><dt className="inline text-gray-500">{t('details.timeControl')} </dt><dd className="inline">{details.timeControl}</dd></div>
+      )}
+      {details.entryFee && (
+        <div><dt className="inline text-gray-500">{t('details.entryFee')} </dt><dd className="inline">{formatMoney(details.entryFee, locale)}</dd></div>
+      )}
+      {details.prizeFund && (
+        <div><dt className="inline text-gray-500">{t('details.prizeFund')} </dt><dd className="inline">{formatMoney(details.prizeFund, locale)}</dd></div>
+      )}
+      {details.registrationDeadline && (
+        <div className="col-span-2">
+          <dt className="inline text-gray-500">{t('details.registerBy')} </dt>
+          <dd className="inline">{formatDateRange(parseISODate(details.registrationDeadline))}</dd>
+        </div>
+      )}
+      {details.contact && (
+        <div className="col-span-2 truncate">
+          <dt className="inline text-gray-500">{t('details.contact')} </dt>
+          <dd className="inline">
+            {details.contact.email && (
+              <a href={`mailto:${details.contact.email}`} className="text-orange-700 hover:underline">{details.contact.email}</a>
+            )}
+            {details.contact.email && details.contact.phone && ' · '}
+            {details.contact.phone && (
+              <a href={`tel:${details.contact.phone.replace(/[^\d+]/g, '')}`} className="text-orange-700 hover:underline">{details.contact.phone}</a>
+            )}
+          </dd>
+        </div>
+      )}
+    </dl>
+  );
+}
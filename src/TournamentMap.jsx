@@ -0,0 +1,110 @@
+import React, { useEffect, useMemo } from 'react';
+import { MapContainer, TileLayer, CircleMarker, Circle, Popup, useMap } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import { Link } from './Link';
+import { tournamentPath } from './routes';
+import { useI18n } from './i18n';
+
+// Fits the view to the markers whenever the set of marker positions changes.
+function FitToPoints({ points }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (points.length === 1) {
+      map.setView(points[0], 8);
+    } else if (points.length > 1) {
+      map.fitBounds(points, { padding: [30, 30], maxZoom: 10 });
+    }
+  }, [map, points]);
+
+  return null;
+}
+
+// Map of the given tournaments. `locations` maps tournament ids to
+// { lat, lon, approximate } from the gazetteer; tournaments sharing a spot
+// share one marker. `origin` and `radiusKm` draw the distance filter's circle.
+export function TournamentMap({ tournaments, locations, origin, radiusKm, heightClass = 'h-96' }) {
+  const { t, formatDateRange } = useI18n();
+  const groups = useMemo(() => {
+    const byPosition = new Map();
+    tournaments.forEach(tournament => {
+      const location = locations.get(tournament.id);
+      if (!location) return;
+      const key = `${location.lat},${location.lon}`;
+      if (!byPosition.has(key)) {
+        byPosition.set(key, { location, tournaments: [] });
+      }
+      byPosition.get(key).tournaments.push(tournament);
+    });
+    return Array.from(byPosition.values());
+  }, [tournaments, locations]);
+
+  const unplaced = tournaments.length - groups.reduce((sum, g) => sum + g.tournaments.length, 0);
+  const points = useMemo(() => {
+    const positions = groups.map(g => [g.location.lat, g.location.lon]);
+    if (origin) {
+      positions.push([origin.lat, origin.lon]);
+    }
+    return positions;
+  }, [groups, origin]);
+
+  return (
+    <div>
+      {/* z-0 keeps Leaflet's panes below the filter dropdowns */}
+      <div className={`relative z-0 ${heightClass} rounded-xl overflow-hidden border border-gray-200 shadow-lg`}>
+        <MapContainer center={[30, 10]} zoom={2} scrollWheelZoom={false} className="h-full w-full">
+          <TileLayer
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          />
+          <FitToPoints points={points} />
+
+          {origin && radiusKm > 0 && (
+            <Circle
+              center={[origin.lat, origin.lon]}
+              radius={radiusKm * 1000}
+              pathOptions={{ color: '#ea580c', weight: 1, fillOpacity: 0.05 }}
+            />
+          )}
+
+          {groups.map(({ location, tournaments: here }) => (
+            <CircleMarker
+              key={`${location.lat},${location.lon}`}
+              center={[location.lat, location.lon]}
+              radius={Math.min(6 + here.length * 2, 16)}
+              pathOptions={{
+                color: location.approximate ? '#9a3412' : '#ea580c',
+                fillColor: '#f97316',
+                fillOpacity: location.approximate ? 0.35 : 0.8,
+                dashArray: location.approximate ? '4 4' : null,
+              }}
+            >
+              <Popup>
+                <ul className="space-y-2 min-w-[12rem]">
+                  {here.map(tournament => (
+                    <li key={tournament.id}>
+                      <Link to={tournamentPath(tournament.id)} className="font-semibold text-orange-700">
+                        {tournament.title}
+                      </Link>
+                      {tournament.startDate && (
+                        <div className="text-gray-600">{formatDateRange(tournament.startDate, tournament.endDate)}</div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+                {location.approximate && (
+                  <p className="mt-2 text-xs text-gray-500">{t('map.approximate')}</p>
+                )}
+              </Popup>
+            </CircleMarker>
+          ))}
+        </MapContainer>
+      </div>
+      {unplaced > 0 && (
+        <p className="mt-2 text-sm text-gray-600">
+          {t('map.unplaced', { count: unplaced })}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,180 @@
+import React, { useState } from 'react';
+import { getTournamentStatus } from './dates';
+import { TournamentDetails } from './TournamentDetails';
+import { TournamentMap } from './TournamentMap';
+import { Link } from './Link';
+import { tournamentPath } from './routes';
+import { useI18n } from './i18n';
+import { COMMON_BG, COMMON_BORDER, COMMON_TEXT, COMMON_SHADOW, COMMON_BUTTON_PRIMARY, COMMON_BUTTON_SECONDARY } from './theme';
+
+function ShareButtons({ title, url }) {
+  const { t } = useI18n();
+  const [copied, setCopied] = useState(false);
+  const text = encodeURIComponent(title);
+  const link = encodeURIComponent(url);
+  const shareLinks = [
+    { label: 'WhatsApp', href: `https://wa.me/?text=${text}%20${link}` },
+    { label: 'X', href: `https://twitter.com/intent/tweet?text=${text}&url=${link}` },
+    { label: 'Facebook', href: `https://www.facebook.com/sharer/sharer.php?u=${link}` },
+    { label: t('page.email'), href: `mailto:?subject=${text}&body=${link}` },
+  ];
+  const buttonClass = `inline-flex items-center px-3 py-1.5 rounded-md text-sm font-medium ${COMMON_BUTTON_SECONDARY} focus:outline-none focus:ring-2 focus:ring-orange-400`;
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.warn('Could not copy link:', error);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      {navigator.share && (
+        <button type="button" onClick={() => navigator.share({ title, url }).catch(() => {})} className={buttonClass}>
+          {t('page.shareNative')}
+        </button>
+      )}
+      <button type="button" onClick={copyLink} className={buttonClass}>
+        {copied ? t('page.linkCopied') : t('page.copyLink')}
+      </button>
+      {shareLinks.map(({ label, href }) => (
+        <a key={label} href={href} target="_blank" rel="noopener noreferrer" className={buttonClass}>
+          {label}
+        </a>
+      ))}
+    </div>
+  );
+}
+
+// Page for one tournament at /t/<id>: the PDF inline, everything we know
+// about the event, where it is, and similar events. `tournament` is null
+// while the list is loading or when the id isn't known.
+export function TournamentPage({ tournament, loading, related, locations, saved, onToggleSaved, backTo }) {
+  const { t, formatDateRange, formatMonthYear, countryName, typeName } = useI18n();
+
+  if (!tournament) {
+    return (
+      <div className="max-w-3xl mx-auto px-6 py-16 text-center text-gray-600">
+        {loading ? (
+          <p className="text-lg font-medium">{t('page.loading')}</p>
+        ) : (
+          <>
+            <p className="text-xl font-semibold mb-2">{t('page.notFound')}</p>
+            <p>{t('page.notFoundHint')}</p>
+          </>
+        )}
+        <Link to={backTo} className="mt-6 inline-block font-medium text-orange-700 hover:text-orange-800 underline">
+          {t('page.back')}
+        </Link>
+      </div>
+    );
+  }
+
+  const { title, type, city, country, startDate, endDate, durationDays, dateRange, monthYear, links, details } = tournament;
+  const status = getTournamentStatus(tournament);
+  const embedUrl = links.embed || links.pdf;
+  const hasLocation = locations.get(tournament.id);
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 md:px-8 py-8 space-y-8">
+      <Link to={backTo} className="inline-flex items-center text-sm font-medium text-orange-700 hover:text-orange-800">
+        &larr; {t('page.back')}
+      </Link>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        {/* PDF Preview */}
+        <div className={`lg:col-span-2 ${COMMON_BG} ${COMMON_BORDER} ${COMMON_SHADOW} rounded-xl overflow-hidden`}>
+          {embedUrl ? (
+            <iframe
+              src={embedUrl}
+              title={`${title} (PDF)`}
+              className="w-full h-[75vh] min-h-[32rem]"
+              allow="fullscreen"
+            />
+          ) : (
+            <p className="p-6 text-gray-600">{t('page.noPreview')}</p>
+          )}
+        </div>
+
+        {/* Metadata */}
+        <aside className="space-y-6">
+          <div className={`${COMMON_BG} ${COMMON_BORDER} ${COMMON_SHADOW} rounded-xl p-6 space-y-3`}>
+            <div className="flex flex-wrap gap-2">
+              {type && (
+                <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-orange-100 text-orange-800">{typeName(type)}</span>
+              )}
+              {status === 'Ongoing' && (
+                <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">{t('status.Ongoing')}</span>
+              )}
+            </div>
+            <h2 className={`${COMMON_TEXT} text-2xl font-bold leading-tight`}>{title}</h2>
+            <p className="text-gray-700">
+              {startDate ? formatDateRange(startDate, endDate) : `${dateRange} ${formatMonthYear(monthYear)}`.trim()}
+              {durationDays > 1 && <span className="ml-1 text-gray-500">{t('card.days', { count: durationDays })}</span>}
+            </p>
+            {city && <p className="text-gray-700">{city}{country && `, ${countryName(country)}`}</p>}
+            <TournamentDetails details={details} className="text-sm pt-2" />
+
+            <div className="flex flex-wrap gap-2 pt-2">
+              {links.view && (
+                <a
+                  href={links.view}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className={`inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium ${COMMON_BUTTON_PRIMARY} focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-500`}
+                >
+                  {t('page.openOriginal')}
+                </a>
+              )}
+              {onToggleSaved && (
+                <button
+                  type="button"
+                  onClick={() => onToggleSaved(tournament)}
+                  aria-pressed={!!saved}
+                  className={`inline-flex items-center px-4 py-2 rounded-md shadow-sm text-sm font-medium ${COMMON_BUTTON_SECONDARY} focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-400`}
+                >
+                  {saved ? t('page.saved') : t('page.save')}
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className={`${COMMON_BG} ${COMMON_BORDER} ${COMMON_SHADOW} rounded-xl p-6 space-y-3`}>
+            <h3 className={`${COMMON_TEXT} font-semibold`}>{t('page.share')}</h3>
+            <ShareButtons title={title} url={window.location.href} />
+          </div>
+
+          {hasLocation && (
+            <TournamentMap tournaments={[tournament]} locations={locations} heightClass="h-56" />
+          )}
+        </aside>
+      </div>
+
+      {/* Related Tournaments */}
+      {related.length > 0 && (
+        <section aria-labelledby="related-heading">
+          <h2 id="related-heading" className={`${COMMON_TEXT} text-xl font-bold`}>
+            {t('page.related')}
+          </h2>
+          <p className="text-sm text-gray-600 mb-4">{t('page.relatedHint')}</p>
+          <ul className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+            {related.map(other => (
+              <li key={other.id} className={`${COMMON_BG} ${COMMON_BORDER} rounded-xl p-4 shadow`}>
+                <Link to={tournamentPath(other.id)} className={`${COMMON_TEXT} font-semibold hover:text-orange-700 hover:underline`}>
+                  {other.title}
+                </Link>
+                <p className="text-sm text-gray-600">
+                  {other.startDate ? formatDateRange(other.startDate, other.endDate) : formatMonthYear(other.monthYear)}
+                  {other.city && ` · ${other.city}`}
+                </p>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </div>
+  );
+}
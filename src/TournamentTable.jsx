@@ -0,0 +1,84 @@
+import React from 'react';
+import { getTournamentStatus } from './dates';
+import { Link } from './Link';
+import { tournamentPath } from './routes';
+import { useI18n } from './i18n';
+import { COMMON_BG, COMMON_BORDER, COMMON_TEXT } from './theme';
+
+// Compact one-row-per-event listing of the filtered tournaments.
+export function TournamentTable({ tournaments, savedIds, onToggleSaved, plannedIds, onTogglePlanned }) {
+  const { t, formatDateRange, formatMonthYear, countryName, typeName } = useI18n();
+
+  return (
+    <div className={`${COMMON_BG} ${COMMON_BORDER} rounded-xl shadow-lg overflow-x-auto`}>
+      <table className="min-w-full text-sm">
+        <thead className="bg-gray-50 text-left text-xs font-semibold uppercase tracking-wide text-gray-600">
+          <tr>
+            <th scope="col" className="px-4 py-3">{t('table.dates')}</th>
+            <th scope="col" className="px-4 py-3">{t('table.tournament')}</th>
+            <th scope="col" className="px-4 py-3">{t('filters.type')}</th>
+            <th scope="col" className="px-4 py-3">{t('table.location')}</th>
+            {onTogglePlanned && <th scope="col" className="px-4 py-3">{t('table.plan')}</th>}
+            {onToggleSaved && <th scope="col" className="px-4 py-3"><span className="sr-only">{t('list.saved')}</span></th>}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {tournaments.map(tournament => {
+            const saved = savedIds && savedIds.has(tournament.id);
+            return (
+              <tr key={tournament.id} className="hover:bg-orange-50">
+                <td className="px-4 py-2 whitespace-nowrap text-gray-700">
+                  {tournament.startDate
+                    ? formatDateRange(tournament.startDate, tournament.endDate)
+                    : `${tournament.dateRange} ${formatMonthYear(tournament.monthYear)}`.trim()}
+                  {getTournamentStatus(tournament) === 'Ongoing' && (
+                    <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">{t('status.Ongoing')}</span>
+                  )}
+                </td>
+                <td className="px-4 py-2">
+                  <Link
+                    to={tournamentPath(tournament.id)}
+                    className={`${COMMON_TEXT} font-semibold hover:text-orange-700 hover:underline`}
+                  >
+                    {tournament.title}
+                  </Link>
+                </td>
+                <td className="px-4 py-2 whitespace-nowrap text-gray-700">{typeName(tournament.type)}</td>
+                <td className="px-4 py-2 text-gray-700">
+                  {tournament.city}{tournament.country && `, ${countryName(tournament.country)}`}
+                </td>
+                {onTogglePlanned && (
+                  <td className="px-4 py-2">
+                    <input
+                      type="checkbox"
+                      checked={plannedIds.has(tournament.id)}
+                      onChange={() => onTogglePlanned(tournament)}
+                      aria-label={t('table.planLabel', { title: tournament.title })}
+                      className="h-4 w-4 rounded border-gray-300 accent-orange-500"
+                    />
+                  </td>
+                )}
+                {onToggleSaved && (
+                  <td className="px-4 py-2 text-right">
+                    <button
+                      type="button"
+                      onClick={() => onToggleSaved(tournament)}
+                      aria-pressed={!!saved}
+                      aria-label={t(saved ? 'card.unsave' : 'card.save')}
+                      title={t(saved ? 'card.unsave' : 'card.save')}
+                      className={`p-1 rounded-full focus:outline-none focus:ring-2 focus:ring-orange-400 ${saved ? 'text-orange-600' : 'text-gray-500 hover:text-orange-600'}`}
+                    >
+                      <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill={saved ? 'currentColor' : 'none'} stroke="currentColor" strokeWidth="1.5">
+                        <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+                      </svg>
+                    </button>
+                  </td>
+                )}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
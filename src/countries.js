@@ -0,0 +1,167 @@
+// Country names as organizers write them in filenames, mapped to ISO 3166-1 alpha-2 codes.
+// Aliases (USA, UK, Holland, ...) map to the same code as the canonical name.
+export const COUNTRY_CODES = {
+  'Afghanistan': 'AF',
+  'Albania': 'AL',
+  'Algeria': 'DZ',
+  'Andorra': 'AD',
+  'Angola': 'AO',
+  'Argentina': 'AR',
+  'Armenia': 'AM',
+  'Australia': 'AU',
+  'Austria': 'AT',
+  'Azerbaijan': 'AZ',
+  'Bahrain': 'BH',
+  'Bangladesh': 'BD',
+  'Belarus': 'BY',
+  'Belgium': 'BE',
+  'Bhutan': 'BT',
+  'Bolivia': 'BO',
+  'Bosnia and Herzegovina': 'BA',
+  'Botswana': 'BW',
+  'Brazil': 'BR',
+  'Bulgaria': 'BG',
+  'Cambodia': 'KH',
+  'Cameroon': 'CM',
+  'Canada': 'CA',
+  'Chile': 'CL',
+  'China': 'CN',
+  'Colombia': 'CO',
+  'Costa Rica': 'CR',
+  'Croatia': 'HR',
+  'Cuba': 'CU',
+  'Cyprus': 'CY',
+  'Czech Republic': 'CZ',
+  'Czechia': 'CZ',
+  'Denmark': 'DK',
+  'Dominican Republic': 'DO',
+  'Ecuador': 'EC',
+  'Egypt': 'EG',
+  'England': 'GB',
+  'Estonia': 'EE',
+  'Ethiopia': 'ET',
+  'Faroe Islands': 'FO',
+  'Fiji': 'FJ',
+  'Finland': 'FI',
+  'France': 'FR',
+  'Georgia': 'GE',
+  'Germany': 'DE',
+  'Ghana': 'GH',
+  'Greece': 'GR',
+  'Guatemala': 'GT',
+  'Holland': 'NL',
+  'Hong Kong': 'HK',
+  'Hungary': 'HU',
+  'Iceland': 'IS',
+  'India': 'IN',
+  'Indonesia': 'ID',
+  'Iran': 'IR',
+  'Iraq': 'IQ',
+  'Ireland': 'IE',
+  'Israel': 'IL',
+  'Italy': 'IT',
+  'Jamaica': 'JM',
+  'Japan': 'JP',
+  'Jordan': 'JO',
+  'Kazakhstan': 'KZ',
+  'Kenya': 'KE',
+  'Kosovo': 'XK',
+  'Kuwait': 'KW',
+  'Kyrgyzstan': 'KG',
+  'Latvia': 'LV',
+  'Lebanon': 'LB',
+  'Libya': 'LY',
+  'Liechtenstein': 'LI',
+  'Lithuania': 'LT',
+  'Luxembourg': 'LU',
+  'Macau': 'MO',
+  'Madagascar': 'MG',
+  'Malawi': 'MW',
+  'Malaysia': 'MY',
+  'Maldives': 'MV',
+  'Malta': 'MT',
+  'Mauritius': 'MU',
+  'Mexico': 'MX',
+  'Moldova': 'MD',
+  'Monaco': 'MC',
+  'Mongolia': 'MN',
+  'Montenegro': 'ME',
+  'Morocco': 'MA',
+  'Mozambique': 'MZ',
+  'Myanmar': 'MM',
+  'Namibia': 'NA',
+  'Nepal': 'NP',
+  'Netherlands': 'NL',
+  'New Zealand': 'NZ',
+  'Nigeria': 'NG',
+  'North Macedonia': 'MK',
+  'Norway': 'NO',
+  'Oman': 'OM',
+  'Pakistan': 'PK',
+  'Palestine': 'PS',
+  'Panama': 'PA',
+  'Paraguay': 'PY',
+  'Peru': 'PE',
+  'Philippines': 'PH',
+  'Poland': 'PL',
+  'Portugal': 'PT',
+  'Qatar': 'QA',
+  'Romania': 'RO',
+  'Russia': 'RU',
+  'Rwanda': 'RW',
+  'San Marino': 'SM',
+  'Saudi Arabia': 'SA',
+  'Scotland': 'GB',
+  'Serbia': 'RS',
+  'Singapore': 'SG',
+  'Slovakia': 'SK',
+  'Slovenia': 'SI',
+  'South Africa': 'ZA',
+  'South Korea': 'KR',
+  'Spain': 'ES',
+  'Sri Lanka': 'LK',
+  'Sudan': 'SD',
+  'Sweden': 'SE',
+  'Switzerland': 'CH',
+  'Syria': 'SY',
+  'Taiwan': 'TW',
+  'Tajikistan': 'TJ',
+  'Tanzania': 'TZ',
+  'Thailand': 'TH',
+  'Trinidad and Tobago': 'TT',
+  'Tunisia': 'TN',
+  'Turkey': 'TR',
+  'Turkiye': 'TR',
+  'Turkmenistan': 'TM',
+  'UAE': 'AE',
+  'UK': 'GB',
+  'USA': 'US',
+  'Uganda': 'UG',
+  'Ukraine': 'UA',
+  'United Arab Emirates': 'AE',
+  'United Kingdom': 'GB',
+  'United States': 'US',
+  'Uruguay': 'UY',
+  'Uzbekistan': 'UZ',
+  'Venezuela': 'VE',
+  'Vietnam': 'VN',
+  'Wales': 'GB',
+  'Yemen': 'YE',
+  'Zambia': 'ZM',
+  'Zimbabwe': 'ZW',
+};
+
+const COUNTRY_LOOKUP = new Map(
+  Object.keys(COUNTRY_CODES).map(name => [name.toLowerCase(), name])
+);
+
+// Returns the canonical spelling of a known country name, or null.
+export function findCountry(name) {
+  if (!name) return null;
+  return COUNTRY_LOOKUP.get(name.trim().replace(/\s+/g, ' ').toLowerCase()) || null;
+}
+
+// Longest multi-word country name, used to bound suffix matching in the parser.
+export const MAX_COUNTRY_WORDS = Math.max(
+  ...Object.keys(COUNTRY_CODES).map(name => name.split(' ').length)
+);
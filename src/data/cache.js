@@ -0,0 +1,58 @@
+import { parseISODate, toISODate } from '../dates';
+
+// The last successful tournament list is kept in localStorage so the next visit
+// can render straight away and refresh in the background. Bump CACHE_VERSION
+// whenever the tournament shape changes, so stale entries are ignored.
+const CACHE_VERSION = 3;
+const CACHE_PREFIX = 'tournaments-cache:';
+
+// Dates are stored as local calendar dates ("2025-06-14") rather than instants.
+export function serializeTournament(t) {
+  return {
+    ...t,
+    startDate: t.startDate ? toISODate(t.startDate) : null,
+    endDate: t.endDate ? toISODate(t.endDate) : null,
+    addedDate: t.addedDate ? toISODate(t.addedDate) : null,
+  };
+}
+
+export function reviveTournament(t) {
+  return {
+    ...t,
+    startDate: parseISODate(t.startDate),
+    endDate: parseISODate(t.endDate),
+    addedDate: parseISODate(t.addedDate),
+  };
+}
+
+// Returns { savedAt: Date, tournaments } or null when nothing usable is cached.
+export function readCachedTournaments(key) {
+  try {
+    const raw = window.localStorage.getItem(CACHE_PREFIX + key);
+    if (!raw) return null;
+    const entry = JSON.parse(raw);
+    if (entry.version !== CACHE_VERSION || !Array.isArray(entry.tournaments)) return null;
+    return {
+      savedAt: new Date(entry.savedAt),
+      tournaments: entry.tournaments.map(reviveTournament),
+    };
+  } catch (error) {
+    console.warn('Ignoring unreadable tournament cache:', error);
+    return null;
+  }
+}
+
+// Returns the save time, or null if storage is unavailable or full.
+export function writeCachedTournaments(key, tournaments, savedAt = new Date()) {
+  try {
+    window.localStorage.setItem(CACHE_PREFIX + key, JSON.stringify({
+      version: CACHE_VERSION,
+      savedAt: savedAt.toISOString(),
+      tournaments: tournaments.map(serializeTournament),
+    }));
+    return savedAt;
+  } catch (error) {
+    console.warn('Could not cache tournaments:', error);
+    return null;
+  }
+}
@@ -0,0 +1,8 @@
+// Thrown when a data source is missing the settings it needs (API key, URL, ...).
+// The message is written for the person deploying the site.
+export class ConfigurationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigurationError';
+  }
+}
@@ -0,0 +1,64 @@
+import { tournamentFromFilename } from './tournament';
+import { startOfDay } from '../dates';
+import { ConfigurationError } from './errors';
+
+const FILES_URL = 'https://www.googleapis.com/drive/v3/files';
+
+// The media endpoint sends CORS headers, so the app can fetch a PDF itself.
+// The URL carries the API key, so it is built where the PDF is fetched and
+// never stored on a tournament.
+export function driveMediaUrl(fileId, apiKey) {
+  return `${FILES_URL}/${encodeURIComponent(fileId)}?alt=media&key=${encodeURIComponent(apiKey)}`;
+}
+
+// Lists every PDF in a Drive folder, following nextPageToken until the end.
+export async function fetchAllFiles({ apiKey, folderId }) {
+  let allFiles = [];
+  let nextPageToken = null;
+
+  do {
+    const q = `'${folderId}' in parents and mimeType='application/pdf'`;
+    const url = new URL(FILES_URL);
+    url.searchParams.set('q', q);
+    url.searchParams.set('supportsAllDrives', 'true');
+    url.searchParams.set('includeItemsFromAllDrives', 'true');
+    url.searchParams.set('fields', 'nextPageToken, files(id,name,createdTime,webViewLink,webContentLink)');
+    url.searchParams.set('key', apiKey);
+    if (nextPageToken) {
+      url.searchParams.set('pageToken', nextPageToken);
+    }
+
+    const response = await fetch(url.toString());
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const data = await response.json();
+    allFiles = [...allFiles, ...(data.files || [])];
+    nextPageToken = data.nextPageToken;
+  } while (nextPageToken);
+
+  return allFiles;
+}
+
+// Tournaments are the PDFs in one shared Drive folder, named
+// "14-15 June2025 Classical Paris, France.pdf".
+export function createGoogleDriveSource({ apiKey, folderId }) {
+  return {
+    name: 'Google Drive',
+    async fetchTournaments() {
+      if (!apiKey || !folderId) {
+        throw new ConfigurationError('Configuration error: API Key or Folder ID is missing. Please check your .env file.');
+      }
+      const files = await fetchAllFiles({ apiKey, folderId });
+      return files.map(f => tournamentFromFilename(f.id, f.name, {
+        view: f.webViewLink,
+        // Direct download; Drive names the file, so prefer fetching the PDF when possible
+        download: f.webContentLink,
+        // For driveMediaUrl(), which download.js calls with the key
+        driveId: f.id,
+        // Drive's own viewer, which may be framed, for the inline preview
+        embed: `https://drive.google.com/file/d/${f.id}/preview`,
+      }, f.createdTime ? startOfDay(new Date(f.createdTime)) : null));
+    },
+  };
+}
@@ -0,0 +1,31 @@
+import { createGoogleDriveSource } from './googleDrive';
+import { createStaticSource } from './staticSource';
+import { createMockSource } from './mockSource';
+import { createSnapshotSource } from './snapshotSource';
+import { ConfigurationError } from './errors';
+
+export { ConfigurationError } from './errors';
+export { createGoogleDriveSource, createStaticSource, createMockSource, createSnapshotSource };
+
+// Picks the data source named by VITE_DATA_SOURCE: "drive" (the default),
+// "static" (JSON or CSV at VITE_DATA_URL), "snapshot" (the list written at
+// build time, which needs no API key) or "mock".
+export function createDataSource(env = import.meta.env) {
+  switch (env.VITE_DATA_SOURCE || 'drive') {
+    case 'drive':
+      return createGoogleDriveSource({ apiKey: env.VITE_API_KEY, folderId: env.VITE_FOLDER_ID });
+    case 'static':
+      return createStaticSource({ url: env.VITE_DATA_URL });
+    case 'snapshot':
+      return createSnapshotSource(env.VITE_DATA_URL ? { url: env.VITE_DATA_URL } : undefined);
+    case 'mock':
+      return createMockSource();
+    default:
+      return {
+        name: 'Unknown',
+        async fetchTournaments() {
+          throw new ConfigurationError(`Configuration error: unknown VITE_DATA_SOURCE "${env.VITE_DATA_SOURCE}".`);
+        },
+      };
+  }
+}
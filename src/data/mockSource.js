@@ -0,0 +1,36 @@
+import { tournamentFromFilename } from './tournament';
+import { formatFilenameDates } from '../parseFilename';
+import { addDays } from '../dates';
+
+// [days from today to the start, length in days, type, "City, Country"]
+const MOCK_EVENTS = [
+  [-40, 3, 'Classical', 'Paris, France'],
+  [-12, 2, 'Rapid', 'Lisbon, Portugal'],
+  [-1, 3, 'Classical', 'Chennai, India'],
+  [2, 1, 'Blitz', 'Madrid, Spain'],
+  [5, 2, 'Rapid/Blitz', 'Barcelona, Spain'],
+  [9, 5, 'Classical', 'Porto, Portugal'],
+  [16, 1, 'Blitz', 'Berlin, Germany'],
+  [24, 7, 'Classical', 'New Delhi, India'],
+  [38, 2, 'Rapid', 'Zürich, Switzerland'],
+  [55, 9, 'Classical', 'Reykjavik, Iceland'],
+  [70, 1, 'Blitz', 'Lyon, France'],
+  [95, 3, 'Rapid', 'Mumbai, India'],
+];
+
+// Made-up tournaments dated relative to today, so every status filter has
+// something to show when developing offline. They go through the same
+// filename parser as the Drive files.
+export function createMockSource({ today = new Date() } = {}) {
+  return {
+    name: 'Mock data',
+    async fetchTournaments() {
+      return MOCK_EVENTS.map(([offset, days, type, place], index) => {
+        const start = addDays(today, offset);
+        const end = addDays(start, days - 1);
+        const name = `${formatFilenameDates(start, end)} ${type} ${place}.pdf`;
+        return tournamentFromFilename(`mock-${index + 1}`, name, { view: '#' });
+      });
+    },
+  };
+}
@@ -0,0 +1,41 @@
+import { serializeTournament, reviveTournament } from './cache';
+import { ConfigurationError } from './errors';
+
+// A snapshot is the tournament list written at build time (see
+// scripts/build-static.mjs), served as a plain JSON file next to the app so
+// visitors never need the Drive API key. Bump SNAPSHOT_VERSION whenever the
+// tournament shape changes.
+export const SNAPSHOT_VERSION = 1;
+export const SNAPSHOT_PATH = '/tournaments.json';
+
+export function toSnapshot(tournaments, { source, generatedAt = new Date() } = {}) {
+  return {
+    version: SNAPSHOT_VERSION,
+    generatedAt: generatedAt.toISOString(),
+    source,
+    tournaments: tournaments.map(serializeTournament),
+  };
+}
+
+export function fromSnapshot(data) {
+  if (!data || data.version !== SNAPSHOT_VERSION || !Array.isArray(data.tournaments)) {
+    throw new ConfigurationError('Configuration error: the tournament snapshot is missing or out of date. Please rebuild the site.');
+  }
+  return data.tournaments.map(reviveTournament);
+}
+
+export function createSnapshotSource({ url = SNAPSHOT_PATH } = {}) {
+  return {
+    name: 'Snapshot',
+    async fetchTournaments() {
+      const response = await fetch(url);
+      if (response.status === 404) {
+        throw new ConfigurationError('Configuration error: no tournament snapshot was found. Build the site with "npm run build:static".');
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      return fromSnapshot(await response.json());
+    },
+  };
+}
@@ -0,0 +1,81 @@
+import { tournamentFromRecord } from './tournament';
+import { ConfigurationError } from './errors';
+
+// Splits CSV text into rows of fields. Handles quoted fields with embedded
+// commas, newlines and doubled quotes ("").
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Turns CSV with a header row into one object per line, keyed by header.
+export function csvToRecords(text) {
+  const [header = [], ...lines] = parseCsv(text);
+  const keys = header.map(h => h.trim());
+  return lines.map(line => Object.fromEntries(keys.map((key, i) => [key, (line[i] || '').trim()])));
+}
+
+// Tournaments from a JSON or CSV file served alongside the app. JSON may be an
+// array of records or { tournaments: [...] }; CSV needs a header row using the
+// same field names (id, title, startDate, endDate, type, city, country, url,
+// pdfUrl, embedUrl, addedDate).
+export function createStaticSource({ url }) {
+  return {
+    name: 'Static file',
+    async fetchTournaments() {
+      if (!url) {
+        throw new ConfigurationError('Configuration error: no data URL is set. Please set VITE_DATA_URL in your .env file.');
+      }
+
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const isCsv = /\.csv(\?|$)/i.test(url) || (response.headers.get('content-type') || '').includes('text/csv');
+      let records;
+      if (isCsv) {
+        records = csvToRecords(await response.text());
+      } else {
+        const data = await response.json();
+        records = Array.isArray(data) ? data : data.tournaments || [];
+      }
+      return records.map(tournamentFromRecord);
+    },
+  };
+}
@@ -0,0 +1,87 @@
+import { parseFilename, MONTH_NAMES } from '../parseFilename';
+import { daysBetween, parseISODate } from '../dates';
+
+// Every data source yields tournaments in this shape:
+//
+//   id, title, type, city, country      strings (country is null when unknown)
+//   filename                            the organizer's original filename, or null
+//   startDate, endDate                  local-midnight Dates, or null when undated
+//   durationDays                        number of calendar days, or null
+//   monthYear                           facet key such as "June2025"
+//   dateRange                           the day part as written, for undated display
+//   links: { view, download, pdf, embed, driveId }
+//                                       document URLs (any may be undefined); pdf must
+//                                       be fetchable by the app, for offline saving;
+//                                       embed may be shown in an iframe; driveId is
+//                                       the Drive file id, see pdfUrl() in download.js
+//   warnings                            [{ field, code, message }] from parsing
+//   details                             fields read from the PDF (see pdfDetails.js),
+//                                       or null until they have been extracted
+//   addedDate                           local-midnight Date the file was added, or null
+//                                       when the source doesn't say
+
+// Builds a tournament from an organizer's PDF filename.
+export function tournamentFromFilename(id, name, links = {}, addedDate = null) {
+  const parsed = parseFilename(name);
+  return {
+    id,
+    filename: name,
+    title: parsed.title,
+    type: parsed.type,
+    city: parsed.location,
+    country: parsed.country,
+    startDate: parsed.startDate,
+    endDate: parsed.endDate,
+    durationDays: parsed.durationDays,
+    monthYear: parsed.monthYear,
+    dateRange: parsed.dateRange,
+    links,
+    warnings: parsed.warnings,
+    details: null,
+    addedDate,
+  };
+}
+
+// Builds a tournament from a structured record ({ startDate: "2025-06-14", ... }).
+// Records that only carry a filename (`name`) go through the filename parser.
+export function tournamentFromRecord(record) {
+  const links = record.links || { view: record.url, download: record.downloadUrl, pdf: record.pdfUrl, embed: record.embedUrl };
+
+  if (!record.startDate && record.name) {
+    return {
+      ...tournamentFromFilename(String(record.id || record.name), record.name, links, parseISODate(record.addedDate)),
+      details: record.details || null,
+    };
+  }
+
+  const warnings = [];
+  const startDate = parseISODate(record.startDate);
+  const endDate = parseISODate(record.endDate) || startDate;
+  if (!startDate) {
+    warnings.push({ field: 'date', code: 'missing-date', message: `Invalid or missing start date "${record.startDate || ''}"` });
+  }
+  if (!record.country) {
+    warnings.push({ field: 'country', code: 'missing-country', message: 'No country found' });
+  }
+
+  // Filenames carry the month the event ends in, so structured records do the same.
+  const monthYear = endDate ? `${MONTH_NAMES[endDate.getMonth()]}${endDate.getFullYear()}` : '';
+
+  return {
+    id: String(record.id || record.title),
+    filename: record.filename || null,
+    title: record.title || '',
+    type: record.type || '',
+    city: record.city || '',
+    country: record.country || null,
+    startDate,
+    endDate,
+    durationDays: startDate ? daysBetween(startDate, endDate) + 1 : null,
+    monthYear,
+    dateRange: '',
+    links,
+    warnings,
+    details: record.details || null,
+    addedDate: parseISODate(record.addedDate),
+  };
+}
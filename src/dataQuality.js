@@ -0,0 +1,133 @@
+import { formatFilename, KNOWN_TYPES } from './parseFilename';
+import { COUNTRY_CODES, findCountry } from './countries';
+import { formatDateRange, getTournamentStatus, toISODate } from './dates';
+import { closestMatch, foldText } from './search';
+
+// Checks behind the admin data-quality view: what is wrong with each listed
+// file and, where we can tell, the name it should have instead.
+
+export const ISSUE_LABELS = {
+  date: 'Missing or invalid date',
+  city: 'Missing city',
+  country: 'Unknown country',
+  type: 'Unrecognized type',
+  past: 'Finished before it was added',
+  duplicate: 'Likely duplicate',
+};
+
+// Parser warning fields -> issue codes.
+const WARNING_ISSUES = { date: 'date', location: 'city', country: 'country', type: 'type' };
+
+function fixTypes(type) {
+  if (!type) return null;
+  const parts = type.split('/').map(part => (
+    KNOWN_TYPES.find(known => known.toLowerCase() === part.toLowerCase()) || closestMatch(part, KNOWN_TYPES)
+  ));
+  return parts.every(Boolean) ? parts : null;
+}
+
+// Country names are often typed with two letters swapped ("Frnace"), which
+// is two edits, so longer names get more leeway than search gives.
+function closestCountry(text) {
+  return closestMatch(text, Object.keys(COUNTRY_CODES), text.length >= 5 ? 2 : undefined);
+}
+
+// { city, country } with the country spelled as we know it, or null. A name
+// without a comma may still end in a misspelt country: "Paris Frnace".
+function fixPlace(city, country) {
+  if (country) {
+    const fixed = findCountry(country) || closestCountry(country);
+    return city && fixed ? { city, country: fixed } : null;
+  }
+  const words = (city || '').split(' ');
+  if (words.length < 2) return null;
+  const fixed = closestCountry(words[words.length - 1]);
+  return fixed ? { city: words.slice(0, -1).join(' '), country: fixed } : null;
+}
+
+function nextYear(date) {
+  return new Date(date.getFullYear() + 1, date.getMonth(), date.getDate());
+}
+
+// { filename, note } for a better name, or null when we can't tell or the
+// name is already right.
+function suggestFilename(t, codes, now) {
+  const types = fixTypes(t.type);
+  const place = fixPlace(t.city, t.country);
+  if (!t.startDate || !types || !place) return null;
+
+  let { startDate, endDate } = t;
+  let note = null;
+  if (codes.includes('past') && getTournamentStatus({ startDate: nextYear(startDate), endDate: nextYear(endDate) }, now) === 'Upcoming') {
+    startDate = nextYear(startDate);
+    endDate = nextYear(endDate);
+    note = 'If the year is a typo';
+  }
+
+  const filename = formatFilename({ startDate, endDate, types, ...place });
+  return filename === t.filename ? null : { filename, note };
+}
+
+// Dated tournaments sharing their dates and city, by id -> the others.
+function findDuplicates(tournaments) {
+  const groups = new Map();
+  tournaments.forEach(t => {
+    if (!t.startDate || !t.city) return;
+    const key = `${toISODate(t.startDate)}|${toISODate(t.endDate)}|${foldText(t.city)}`;
+    groups.set(key, [...(groups.get(key) || []), t]);
+  });
+  const duplicates = new Map();
+  groups.forEach(group => {
+    if (group.length < 2) return;
+    group.forEach(t => duplicates.set(t.id, group.filter(other => other !== t)));
+  });
+  return duplicates;
+}
+
+// One row per tournament with problems: { tournament, issues, suggestion },
+// where `issues` is [{ code, message }] with codes from ISSUE_LABELS.
+export function findQualityIssues(tournaments, now = new Date()) {
+  const duplicates = findDuplicates(tournaments);
+  const rows = [];
+
+  tournaments.forEach(t => {
+    const issues = t.warnings.map(({ field, message }) => ({ code: WARNING_ISSUES[field] || 'date', message }));
+    // Finished events stay listed, so only a file added after its event ended
+    // is suspect: the name was meant to be upcoming, likely with a wrong year.
+    if (t.addedDate && t.endDate && t.endDate < t.addedDate && getTournamentStatus(t, now) === 'Completed') {
+      issues.push({ code: 'past', message: `Ended ${formatDateRange(t.endDate)}, before it was added on ${formatDateRange(t.addedDate)}` });
+    }
+    if (duplicates.has(t.id)) {
+      const others = duplicates.get(t.id).map(other => `"${other.filename || other.title}"`).join(', ');
+      issues.push({ code: 'duplicate', message: `Same dates and city as ${others}` });
+    }
+    if (issues.length === 0) return;
+
+    // A duplicate alone needs one copy removed, not a new name.
+    const codes = issues.map(issue => issue.code);
+    const suggestion = codes.some(code => code !== 'duplicate') ? suggestFilename(t, codes, now) : null;
+    rows.push({ tournament: t, issues, suggestion });
+  });
+
+  return rows;
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The rows as CSV for the maintainers curating the folder.
+export function qualityIssuesCsv(rows) {
+  const header = ['id', 'filename', 'issues', 'details', 'suggested filename', 'note', 'link'];
+  const lines = rows.map(({ tournament, issues, suggestion }) => [
+    tournament.id,
+    tournament.filename || tournament.title,
+    issues.map(issue => issue.code).join(' '),
+    issues.map(issue => issue.message).join('; '),
+    suggestion?.filename,
+    suggestion?.note,
+    tournament.links.view,
+  ]);
+  return [header, ...lines].map(line => line.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { findQualityIssues } from './dataQuality';
+import { tournamentFromFilename } from './data/tournament';
+
+const NOW = new Date(2026, 9, 19);
+
+function issuesFor(name, addedDate = null) {
+  const [row] = findQualityIssues([tournamentFromFilename('id', name, {}, addedDate)], NOW);
+  return row || null;
+}
+
+describe('findQualityIssues', () => {
+  it('accepts a well-formed name', () => {
+    expect(issuesFor('14-15 June2027 Classical Paris, France.pdf', new Date(2026, 9, 1))).toBeNull();
+  });
+
+  it('does not flag an event that finished after it was added', () => {
+    expect(issuesFor('10-12 October2026 Classical Paris, France.pdf', new Date(2026, 8, 1))).toBeNull();
+  });
+
+  it('does not flag a finished event when the added date is unknown', () => {
+    expect(issuesFor('10-12 October2026 Classical Paris, France.pdf')).toBeNull();
+  });
+
+  it('flags a file added after its event ended and suggests the next year', () => {
+    const row = issuesFor('10-12 December2025 Classical Paris, France.pdf', new Date(2026, 8, 1));
+    expect(row.issues.map(issue => issue.code)).toEqual(['past']);
+    expect(row.suggestion).toEqual({
+      filename: '10-12 December2026 Classical Paris, France.pdf',
+      note: 'If the year is a typo',
+    });
+  });
+
+  it('does not suggest a year that has also passed', () => {
+    const row = issuesFor('10-12 October2024 Classical Paris, France.pdf', new Date(2026, 8, 1));
+    expect(row.issues.map(issue => issue.code)).toEqual(['past']);
+    expect(row.suggestion).toBeNull();
+  });
+
+  it('suggests fixes for misspelt types and countries', () => {
+    const row = issuesFor('14-15 June2027 Clasical Paris, Frnace.pdf');
+    expect(row.issues.map(issue => issue.code)).toEqual(['type', 'country']);
+    expect(row.suggestion.filename).toBe('14-15 June2027 Classical Paris, France.pdf');
+  });
+
+  it('flags duplicates without suggesting a new name', () => {
+    const tournaments = ['a', 'b'].map(id => tournamentFromFilename(id, '14-15 June2027 Classical Paris, France.pdf'));
+    const rows = findQualityIssues(tournaments, NOW);
+    expect(rows.map(row => row.issues.map(issue => issue.code))).toEqual([['duplicate'], ['duplicate']]);
+    expect(rows.every(row => row.suggestion === null)).toBe(true);
+  });
+});
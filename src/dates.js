@@ -0,0 +1,139 @@
+// Date helpers for tournament dates. All tournament dates are local-time
+// midnights; an event occupies every calendar day from startDate to endDate.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+export function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+export function startOfMonth(date) {
+  return new Date(date.getFullYear(), date.getMonth(), 1);
+}
+
+export function addMonths(date, months) {
+  return new Date(date.getFullYear(), date.getMonth() + months, 1);
+}
+
+// Whole calendar days from `from` to `to`; rounding absorbs DST shifts.
+export function daysBetween(from, to) {
+  return Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+}
+
+// 'Upcoming', 'Ongoing' or 'Completed' relative to today, or null when undated.
+export function getTournamentStatus({ startDate, endDate }, now = new Date()) {
+  if (!startDate) return null;
+  const today = startOfDay(now);
+  const end = endDate || startDate;
+
+  if (startDate > today) return 'Upcoming';
+  if (end >= today) return 'Ongoing';
+  return 'Completed';
+}
+
+// "14 June 2025", "14–15 June 2025", "30 June – 2 July 2025", "30 December 2025 – 2 January 2026".
+export function formatDateRange(startDate, endDate, locale = 'en-GB') {
+  const format = new Intl.DateTimeFormat(locale, { day: 'numeric', month: 'long', year: 'numeric' });
+  if (!endDate || daysBetween(startDate, endDate) === 0) {
+    return format.format(startDate);
+  }
+  return format.formatRange(startDate, endDate);
+}
+
+// Parses an <input type="date"> value ("2025-06-14") as a local date, or null.
+export function parseISODate(value) {
+  const match = value && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  return new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+}
+
+// Inclusive { start, end } day range for the calendar-based windows; either bound may be null.
+function getWindowRange(timeWindow, today, custom) {
+  switch (timeWindow) {
+    case 'ThisWeekend': {
+      // On a Sunday the weekend in progress is the one that started yesterday.
+      const saturday = today.getDay() === 0 ? addDays(today, -1) : addDays(today, 6 - today.getDay());
+      return { start: saturday, end: addDays(saturday, 1) };
+    }
+    case 'Next7':
+      return { start: today, end: addDays(today, 6) };
+    case 'Next30':
+      return { start: today, end: addDays(today, 29) };
+    case 'Custom':
+      return { start: parseISODate(custom.from), end: parseISODate(custom.to) };
+    default:
+      return null;
+  }
+}
+
+// Whether a parsed tournament falls in the selected time window. Status windows
+// compare against today; range windows match any event overlapping the range.
+// Upcoming includes Ongoing events, since they haven't finished yet.
+export function matchesTimeWindow(parsed, timeWindow, now = new Date(), custom = {}) {
+  if (timeWindow === 'All') return true;
+
+  const status = getTournamentStatus(parsed, now);
+  if (!status) return false;
+
+  switch (timeWindow) {
+    case 'Upcoming':
+      return status === 'Upcoming' || status === 'Ongoing';
+    case 'Ongoing':
+    case 'Completed':
+      return status === timeWindow;
+    default: {
+      const range = getWindowRange(timeWindow, startOfDay(now), custom);
+      if (!range) return true;
+      const end = parsed.endDate || parsed.startDate;
+      return (!range.start || end >= range.start) && (!range.end || parsed.startDate <= range.end);
+    }
+  }
+}
+
+// Local calendar date as "2025-06-14", the inverse of parseISODate.
+export function toISODate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// "2025-06" <-> the first of that month, for month-level URL state.
+export function toISOMonth(date) {
+  return toISODate(date).slice(0, 7);
+}
+
+export function parseISOMonth(value) {
+  return /^\d{4}-\d{2}$/.test(value || '') ? parseISODate(`${value}-01`) : null;
+}
+
+// "just now", "5 minutes ago", "yesterday", "3 days ago".
+export function formatTimeAgo(date, now = new Date(), locale = 'en', justNow = 'just now') {
+  const seconds = Math.round((date - now) / 1000);
+  if (Math.abs(seconds) < 60) return justNow;
+
+  const format = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+  const minutes = Math.round(seconds / 60);
+  if (Math.abs(minutes) < 60) return format.format(minutes, 'minute');
+  const hours = Math.round(minutes / 60);
+  if (Math.abs(hours) < 24) return format.format(hours, 'hour');
+  return format.format(Math.round(hours / 24), 'day');
+}
+
+// Countdown for a tournament as { code, days }, with code one of 'today',
+// 'tomorrow', 'days', 'ongoing' or 'ended'; null when undated. The card turns
+// it into "Starts in 12 days" and the like in the reader's language.
+export function getCountdown(tournament, now = new Date()) {
+  const status = getTournamentStatus(tournament, now);
+  if (status === 'Ongoing') {
+    return { code: daysBetween(now, tournament.startDate) === 0 ? 'today' : 'ongoing', days: 0 };
+  }
+  if (status === 'Completed') return { code: 'ended', days: 0 };
+  if (status !== 'Upcoming') return null;
+
+  const days = daysBetween(now, tournament.startDate);
+  return { code: days === 1 ? 'tomorrow' : 'days', days };
+}
@@ -0,0 +1,129 @@
+import { describe, expect, it } from 'vitest';
+import { daysBetween, formatDateRange, getCountdown, getTournamentStatus, matchesTimeWindow, parseISODate, toISODate } from './dates';
+
+// 14-15 June 2025 is a Saturday and Sunday.
+const day = (date, hours = 0) => new Date(2025, 5, date, hours);
+const event = (start, end = start) => ({ startDate: day(start), endDate: day(end) });
+const WEEKEND = event(14, 15);
+
+describe('getTournamentStatus', () => {
+  it('is Upcoming until the start day', () => {
+    expect(getTournamentStatus(WEEKEND, day(13, 23))).toBe('Upcoming');
+  });
+
+  it('is Ongoing from the start day through the end day', () => {
+    expect(getTournamentStatus(WEEKEND, day(14))).toBe('Ongoing');
+    expect(getTournamentStatus(WEEKEND, day(15, 23))).toBe('Ongoing');
+  });
+
+  it('is Completed the day after the end day', () => {
+    expect(getTournamentStatus(WEEKEND, day(16))).toBe('Completed');
+  });
+
+  it('treats a missing end date as a one-day event', () => {
+    expect(getTournamentStatus({ startDate: day(14), endDate: null }, day(14, 20))).toBe('Ongoing');
+    expect(getTournamentStatus({ startDate: day(14), endDate: null }, day(15))).toBe('Completed');
+  });
+
+  it('is null when undated', () => {
+    expect(getTournamentStatus({ startDate: null, endDate: null }, day(14))).toBeNull();
+  });
+});
+
+describe('matchesTimeWindow', () => {
+  it('counts Ongoing events as Upcoming', () => {
+    expect(matchesTimeWindow(WEEKEND, 'Upcoming', day(13))).toBe(true);
+    expect(matchesTimeWindow(WEEKEND, 'Upcoming', day(15))).toBe(true);
+    expect(matchesTimeWindow(WEEKEND, 'Upcoming', day(16))).toBe(false);
+  });
+
+  it('matches Ongoing and Completed exactly', () => {
+    expect(matchesTimeWindow(WEEKEND, 'Ongoing', day(13))).toBe(false);
+    expect(matchesTimeWindow(WEEKEND, 'Ongoing', day(14))).toBe(true);
+    expect(matchesTimeWindow(WEEKEND, 'Completed', day(15))).toBe(false);
+    expect(matchesTimeWindow(WEEKEND, 'Completed', day(16))).toBe(true);
+  });
+
+  it('matches everything, undated included, for All', () => {
+    expect(matchesTimeWindow({ startDate: null, endDate: null }, 'All', day(14))).toBe(true);
+    expect(matchesTimeWindow({ startDate: null, endDate: null }, 'Upcoming', day(14))).toBe(false);
+  });
+
+  describe('ThisWeekend', () => {
+    it('looks ahead to Saturday and Sunday on a weekday', () => {
+      expect(matchesTimeWindow(event(14), 'ThisWeekend', day(11))).toBe(true);
+      expect(matchesTimeWindow(event(13), 'ThisWeekend', day(11))).toBe(false);
+      expect(matchesTimeWindow(event(16), 'ThisWeekend', day(11))).toBe(false);
+    });
+
+    it('is the current weekend on a Saturday', () => {
+      expect(matchesTimeWindow(event(15), 'ThisWeekend', day(14))).toBe(true);
+      expect(matchesTimeWindow(event(21), 'ThisWeekend', day(14))).toBe(false);
+    });
+
+    it('is the weekend that started yesterday on a Sunday', () => {
+      expect(matchesTimeWindow(event(14), 'ThisWeekend', day(15))).toBe(true);
+      expect(matchesTimeWindow(event(21), 'ThisWeekend', day(15))).toBe(false);
+    });
+
+    it('matches events that overlap the weekend', () => {
+      expect(matchesTimeWindow(event(12, 14), 'ThisWeekend', day(11))).toBe(true);
+      expect(matchesTimeWindow(event(15, 17), 'ThisWeekend', day(11))).toBe(true);
+    });
+  });
+
+  it('includes today and the 29 days after it in Next30', () => {
+    expect(matchesTimeWindow(event(1), 'Next30', day(1))).toBe(true);
+    expect(matchesTimeWindow(event(30), 'Next30', day(1))).toBe(true);
+    expect(matchesTimeWindow(event(31), 'Next30', day(1))).toBe(false);
+    expect(matchesTimeWindow({ startDate: day(-2), endDate: day(1) }, 'Next30', day(1))).toBe(true);
+  });
+
+  it('includes today and the 6 days after it in Next7', () => {
+    expect(matchesTimeWindow(event(7), 'Next7', day(1))).toBe(true);
+    expect(matchesTimeWindow(event(8), 'Next7', day(1))).toBe(false);
+  });
+
+  it('uses inclusive custom dates, either of which may be left open', () => {
+    const custom = { from: '2025-06-14', to: '2025-06-15' };
+    expect(matchesTimeWindow(event(15, 16), 'Custom', day(1), custom)).toBe(true);
+    expect(matchesTimeWindow(event(16), 'Custom', day(1), custom)).toBe(false);
+    expect(matchesTimeWindow(event(13), 'Custom', day(1), custom)).toBe(false);
+    expect(matchesTimeWindow(event(30), 'Custom', day(1), { from: '2025-06-14', to: '' })).toBe(true);
+    expect(matchesTimeWindow(event(1), 'Custom', day(1), { from: '', to: '2025-06-14' })).toBe(true);
+  });
+});
+
+describe('getCountdown', () => {
+  it('counts the days to the start', () => {
+    expect(getCountdown(WEEKEND, day(1, 18))).toEqual({ code: 'days', days: 13 });
+    expect(getCountdown(WEEKEND, day(13, 23))).toEqual({ code: 'tomorrow', days: 1 });
+  });
+
+  it('says today on the start day and ongoing after it', () => {
+    expect(getCountdown(WEEKEND, day(14, 9))).toEqual({ code: 'today', days: 0 });
+    expect(getCountdown(WEEKEND, day(15))).toEqual({ code: 'ongoing', days: 0 });
+  });
+
+  it('says ended once the event is over, and nothing when undated', () => {
+    expect(getCountdown(WEEKEND, day(16))).toEqual({ code: 'ended', days: 0 });
+    expect(getCountdown({ startDate: null, endDate: null }, day(16))).toBeNull();
+  });
+});
+
+describe('formatting and parsing', () => {
+  it('formats single days and ranges', () => {
+    expect(formatDateRange(day(14), day(14))).toBe('14 June 2025');
+    expect(formatDateRange(day(14), day(15))).toBe('14–15 June 2025');
+  });
+
+  it('round-trips ISO dates and rejects others', () => {
+    expect(toISODate(parseISODate('2025-06-14'))).toBe('2025-06-14');
+    expect(parseISODate('14/06/2025')).toBeNull();
+  });
+
+  it('counts calendar days', () => {
+    expect(daysBetween(day(14, 23), day(15, 1))).toBe(1);
+    expect(daysBetween(new Date(2025, 2, 29), new Date(2025, 2, 31))).toBe(2);
+  });
+});
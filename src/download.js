@@ -0,0 +1,90 @@
+import { driveMediaUrl } from './data/googleDrive';
+
+// Saves a Blob to the user's device under the given filename.
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Strips characters that aren't allowed in filenames on common systems.
+export function safeFilename(name) {
+  return name.replace(/[\\/:*?"<>|]+/g, '-').replace(/\s+/g, ' ').trim() || 'download';
+}
+
+// The organizer's filename when we have it ("14-15 June2025 Classical Paris, France.pdf"),
+// otherwise one made from the title.
+export function pdfFilename(tournament) {
+  const base = (tournament.filename || tournament.title || '').replace(/\.pdf$/i, '');
+  return `${safeFilename(base)}.pdf`;
+}
+
+// A CORS-readable URL for the tournament's PDF, or null when there is none:
+// links.pdf, resolved against `siteUrl` when given for cards shown on other
+// sites, or else Drive's media link for the file. Drive's webViewLink is an
+// HTML viewer page and webContentLink redirects without CORS.
+export function pdfUrl(tournament, siteUrl) {
+  const { pdf, driveId } = tournament.links;
+  if (pdf) return siteUrl ? new URL(pdf, siteUrl).href : pdf;
+  const apiKey = import.meta.env.VITE_API_KEY;
+  return driveId && apiKey ? driveMediaUrl(driveId, apiKey) : null;
+}
+
+// Fetches a tournament's PDF from pdfUrl().
+export async function fetchPdf(tournament, siteUrl) {
+  const url = pdfUrl(tournament, siteUrl);
+  if (!url) {
+    throw new Error('No downloadable PDF for this tournament');
+  }
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.blob();
+}
+
+// Saves a tournament's PDF under pdfFilename(). When the PDF can't be fetched,
+// falls back to the direct download link, where the server picks the name.
+export async function downloadPdf(tournament, siteUrl) {
+  try {
+    downloadBlob(await fetchPdf(tournament, siteUrl), pdfFilename(tournament));
+  } catch (error) {
+    if (!tournament.links.download) throw error;
+    console.warn('Falling back to the direct download link:', error);
+    window.location.assign(tournament.links.download);
+  }
+}
+
+// Fetches the tournaments' PDFs one at a time and zips them, calling
+// onProgress(done, total) after each. Returns { blob, failed }, where `failed`
+// lists the tournaments whose PDF couldn't be fetched.
+export async function zipPdfs(tournaments, onProgress = () => {}) {
+  const { zipSync } = await import('fflate');
+  const files = {};
+  const failed = [];
+
+  for (const [index, tournament] of tournaments.entries()) {
+    try {
+      const data = new Uint8Array(await (await fetchPdf(tournament)).arrayBuffer());
+      let filename = pdfFilename(tournament);
+      for (let copy = 2; filename in files; copy++) {
+        filename = pdfFilename(tournament).replace(/\.pdf$/, ` (${copy}).pdf`);
+      }
+      files[filename] = data;
+    } catch (error) {
+      console.warn(`Could not fetch the PDF for "${tournament.title}":`, error);
+      failed.push(tournament);
+    }
+    onProgress(index + 1, tournaments.length);
+  }
+
+  // PDFs are already compressed, so store them as they are.
+  const zipped = zipSync(files, { level: 0 });
+  return { blob: new Blob([zipped], { type: 'application/zip' }), failed };
+}
@@ -0,0 +1,245 @@
+import { formatDateRange, matchesTimeWindow, toISODate, toISOMonth } from './dates';
+import { parseMonthYear } from './parseFilename';
+import { tournamentPath, slugify } from './routes';
+import { DEFAULT_FILTERS, filtersToSearch } from './urlFilters';
+import { SITE_NAME } from './pageMeta';
+
+// RSS 2.0, Atom and JSON Feed versions of the list, written at build time by
+// scripts/build-static.mjs. There is one feed per status and combination of
+// at most one country, type and month that has any tournaments:
+//
+//   /feeds/upcoming/country-india/type-classical/rss.xml
+//   /feeds/all/month-2025-06/atom.xml
+//   /feeds/completed/feed.json
+//
+// FEED_INDEX_PATH lists the feed directories, so the app only links to feeds
+// that exist. Feed readers need absolute links, so feeds are only built with
+// a site URL.
+
+export const FEED_INDEX_PATH = '/feeds/index.json';
+
+export const FEED_FORMATS = {
+  rss: { file: 'rss.xml', type: 'application/rss+xml' },
+  atom: { file: 'atom.xml', type: 'application/atom+xml' },
+  json: { file: 'feed.json', type: 'application/feed+json' },
+};
+
+// Path segment -> the Status filter value it stands for.
+const FEED_STATUSES = { upcoming: 'Upcoming', ongoing: 'Ongoing', completed: 'Completed', all: 'All' };
+
+const STATUS_WORDS = { Upcoming: 'Upcoming', Ongoing: 'Ongoing', Completed: 'Past', All: 'All' };
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function monthSlug(monthYear) {
+  const date = parseMonthYear(monthYear);
+  return date ? toISOMonth(date) : null;
+}
+
+// "/feeds/upcoming/country-india/type-classical" for { status, country, type,
+// month }, where the last three are single values or empty; null when a value
+// has no usable slug or the status has no feed.
+export function feedDirectory({ status, country, type, month }) {
+  const statusSlug = Object.keys(FEED_STATUSES).find(slug => FEED_STATUSES[slug] === status);
+  const parts = [
+    [country, 'country', slugify],
+    [type, 'type', slugify],
+    [month, 'month', monthSlug],
+  ].filter(([value]) => value);
+  const segments = parts.map(([value, name, toSlug]) => {
+    const slug = toSlug(value);
+    return slug ? `${name}-${slug}` : null;
+  });
+  if (!statusSlug || segments.includes(null)) return null;
+  return ['/feeds', statusSlug, ...segments].join('/');
+}
+
+// The feed for the list's current filters, as { rss, atom, json } paths, or
+// null when there is none in `directories` (from FEED_INDEX_PATH) or the
+// filters can't be expressed as a feed: more than one value in a facet, a date
+// window other than the statuses, or any filter feeds don't have.
+export function feedPathsForFilters(filters, directories) {
+  const extras = ['search', 'near', 'saved', 'fide', 'fee'];
+  if (extras.some(key => filters[key] !== DEFAULT_FILTERS[key])) return null;
+  if ([filters.country, filters.type, filters.month].some(values => values.length > 1)) return null;
+
+  const directory = feedDirectory({ status: filters.status, country: filters.country[0], type: filters.type[0], month: filters.month[0] });
+  if (!directory || !directories.includes(directory)) return null;
+  return Object.fromEntries(Object.entries(FEED_FORMATS).map(([format, { file }]) => [format, `${directory}/${file}`]));
+}
+
+// Every { country, type, month } combination (each value or empty) that at
+// least one tournament has.
+function facetCombinations(tournaments) {
+  const keys = ['country', 'type', 'month'];
+  const combinations = new Map();
+  tournaments.forEach(t => {
+    const values = { country: t.country, type: t.type, month: monthSlug(t.monthYear) ? t.monthYear : null };
+    // Each bit of `mask` picks one facet to narrow by.
+    for (let mask = 0; mask < 2 ** keys.length; mask++) {
+      const picked = keys.filter((key, bit) => mask & (1 << bit));
+      if (picked.some(key => !values[key])) continue;
+      const combination = Object.fromEntries(keys.map(key => [key, picked.includes(key) ? values[key] : null]));
+      combinations.set(JSON.stringify(combination), combination);
+    }
+  });
+  return Array.from(combinations.values());
+}
+
+// "Upcoming Classical chess tournaments in India, June 2025".
+export function describeFeed({ status, country, type, month }) {
+  const monthDate = month && parseMonthYear(month);
+  const where = [country, monthDate && new Intl.DateTimeFormat('en-GB', { month: 'long', year: 'numeric' }).format(monthDate)]
+    .filter(Boolean)
+    .join(', ');
+  return `${STATUS_WORDS[status]} ${type ? `${type} ` : ''}chess tournaments${where ? ` in ${where}` : ''}`;
+}
+
+function byDate(a, b) {
+  const time = t => (t.startDate ? t.startDate.getTime() : Number.MAX_SAFE_INTEGER);
+  return time(a) - time(b) || a.title.localeCompare(b.title);
+}
+
+// The facts every format carries for one tournament.
+function feedEntry(t, siteUrl) {
+  const when = t.startDate ? formatDateRange(t.startDate, t.endDate) : `${t.dateRange} ${t.monthYear}`.trim();
+  const where = [t.city, t.country].filter(Boolean).join(', ');
+  return {
+    tournament: t,
+    url: `${siteUrl}${tournamentPath(t.id)}`,
+    summary: [when, where, t.type].filter(Boolean).join(' · '),
+    // Drive's direct download link; the viewer page when there is none.
+    pdf: t.links.download || t.links.view || null,
+    tags: [t.type, t.country].filter(Boolean),
+  };
+}
+
+function renderRss(feed, entries) {
+  const items = entries.map(({ tournament, url, summary, pdf, tags }) => [
+    '    <item>',
+    `      <title>${escapeXml(tournament.title)}</title>`,
+    `      <link>${escapeXml(url)}</link>`,
+    `      <guid isPermaLink="true">${escapeXml(url)}</guid>`,
+    `      <description>${escapeXml(summary)}</description>`,
+    ...tags.map(tag => `      <category>${escapeXml(tag)}</category>`),
+    // RSS requires a length; 0 is the usual value when it isn't known.
+    pdf && `      <enclosure url="${escapeXml(pdf)}" length="0" type="application/pdf" />`,
+    '    </item>',
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.homeUrl)}</link>`,
+    `    <description>${escapeXml(`${feed.title} from the ${SITE_NAME}.`)}</description>`,
+    '    <language>en</language>',
+    `    <lastBuildDate>${feed.generatedAt.toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(feed.urls.rss)}" rel="self" type="${FEED_FORMATS.rss.type}" />`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+function renderAtom(feed, entries) {
+  const updated = feed.generatedAt.toISOString();
+  const items = entries.map(({ tournament, url, summary, pdf, tags }) => [
+    '  <entry>',
+    `    <id>${escapeXml(url)}</id>`,
+    `    <title>${escapeXml(tournament.title)}</title>`,
+    `    <updated>${updated}</updated>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(url)}" />`,
+    pdf && `    <link rel="enclosure" type="application/pdf" href="${escapeXml(pdf)}" />`,
+    `    <summary>${escapeXml(summary)}</summary>`,
+    ...tags.map(tag => `    <category term="${escapeXml(tag)}" />`),
+    '  </entry>',
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">',
+    `  <id>${escapeXml(feed.urls.atom)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <updated>${updated}</updated>`,
+    `  <author><name>${escapeXml(SITE_NAME)}</name></author>`,
+    `  <link rel="self" type="${FEED_FORMATS.atom.type}" href="${escapeXml(feed.urls.atom)}" />`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}" />`,
+    ...items,
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+function renderJsonFeed(feed, entries) {
+  return `${JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.urls.json,
+    description: `${feed.title} from the ${SITE_NAME}.`,
+    language: 'en',
+    items: entries.map(({ tournament: t, url, summary, pdf, tags }) => ({
+      id: url,
+      url,
+      title: t.title,
+      content_text: summary,
+      tags,
+      ...(pdf ? { attachments: [{ url: pdf, mime_type: 'application/pdf' }] } : {}),
+      // Structured fields for sites that embed the list rather than read it.
+      _tournament: {
+        start_date: t.startDate ? toISODate(t.startDate) : null,
+        end_date: t.endDate ? toISODate(t.endDate) : null,
+        city: t.city || null,
+        country: t.country,
+        type: t.type || null,
+        pdf,
+      },
+    })),
+  }, null, 2)}\n`;
+}
+
+// Every feed file as { path, body }, followed by the FEED_INDEX_PATH listing.
+// `generatedAt` decides which tournaments are upcoming, ongoing or completed.
+export function renderFeeds(tournaments, { siteUrl, generatedAt = new Date() }) {
+  const sorted = [...tournaments].sort(byDate);
+  const directories = [];
+  const files = facetCombinations(sorted).flatMap(combination => Object.values(FEED_STATUSES).flatMap((status) => {
+    const facets = { ...combination, status };
+    const directory = feedDirectory(facets);
+    const entries = sorted
+      .filter(t => (!facets.country || t.country === facets.country)
+        && (!facets.type || t.type === facets.type)
+        && (!facets.month || t.monthYear === facets.month)
+        && matchesTimeWindow(t, status, generatedAt))
+      .map(t => feedEntry(t, siteUrl));
+    if (!directory || entries.length === 0) return [];
+    directories.push(directory);
+    const feed = {
+      title: describeFeed(facets),
+      homeUrl: `${siteUrl}/${filtersToSearch({
+        ...DEFAULT_FILTERS,
+        status,
+        country: facets.country ? [facets.country] : [],
+        type: facets.type ? [facets.type] : [],
+        month: facets.month ? [facets.month] : [],
+      })}`,
+      urls: Object.fromEntries(Object.entries(FEED_FORMATS).map(([format, { file }]) => [format, `${siteUrl}${directory}/${file}`])),
+      generatedAt,
+    };
+    return [
+      { path: `${directory}/${FEED_FORMATS.rss.file}`, body: renderRss(feed, entries) },
+      { path: `${directory}/${FEED_FORMATS.atom.file}`, body: renderAtom(feed, entries) },
+      { path: `${directory}/${FEED_FORMATS.json.file}`, body: renderJsonFeed(feed, entries) },
+    ];
+  }));
+  return [...files, { path: FEED_INDEX_PATH, body: `${JSON.stringify(directories.sort())}\n` }];
+}
@@ -0,0 +1,128 @@
+import { describe, expect, it } from 'vitest';
+import { FEED_INDEX_PATH, describeFeed, feedDirectory, feedPathsForFilters, renderFeeds } from './feeds';
+import { DEFAULT_FILTERS } from './urlFilters';
+import { tournamentFromRecord } from './data/tournament';
+
+const SITE_URL = 'https://example.org';
+const GENERATED_AT = new Date(2025, 5, 1, 12);
+
+const CURACAO = tournamentFromRecord({
+  id: 'curacao',
+  title: 'Rook & Pawn <Open> "Classic"',
+  type: 'Classical',
+  city: 'Willemstad',
+  country: 'Curaçao',
+  startDate: '2025-06-14',
+  endDate: '2025-06-15',
+  downloadUrl: 'https://drive.example.com/uc?id=curacao&export=download',
+});
+const DELHI = tournamentFromRecord({
+  id: 'delhi',
+  title: 'Delhi Rapid',
+  type: 'Rapid',
+  city: 'New Delhi',
+  country: 'India',
+  startDate: '2025-05-10',
+  endDate: '2025-05-10',
+});
+
+describe('feedDirectory', () => {
+  it('slugs the status and each facet', () => {
+    expect(feedDirectory({ status: 'Upcoming' })).toBe('/feeds/upcoming');
+    expect(feedDirectory({ status: 'Completed', country: 'Curaçao', type: 'Classical' }))
+      .toBe('/feeds/completed/country-curacao/type-classical');
+    expect(feedDirectory({ status: 'All', country: 'Bosnia and Herzegovina' }))
+      .toBe('/feeds/all/country-bosnia-and-herzegovina');
+  });
+
+  it('keys months by their ISO month', () => {
+    expect(feedDirectory({ status: 'All', month: 'June2025' })).toBe('/feeds/all/month-2025-06');
+    expect(feedDirectory({ status: 'All', month: 'Junio2025' })).toBe('/feeds/all/month-2025-06');
+    expect(feedDirectory({ status: 'All', month: 'Sometime2025' })).toBeNull();
+  });
+
+  it('has no feed for date windows', () => {
+    expect(feedDirectory({ status: 'ThisWeekend' })).toBeNull();
+  });
+});
+
+describe('feedPathsForFilters', () => {
+  const DIRECTORIES = ['/feeds/upcoming', '/feeds/upcoming/country-india', '/feeds/all/month-2025-06'];
+  const filters = overrides => ({ ...DEFAULT_FILTERS, ...overrides });
+
+  it('returns every format for a listed feed', () => {
+    expect(feedPathsForFilters(filters({ country: ['India'] }), DIRECTORIES)).toEqual({
+      rss: '/feeds/upcoming/country-india/rss.xml',
+      atom: '/feeds/upcoming/country-india/atom.xml',
+      json: '/feeds/upcoming/country-india/feed.json',
+    });
+    expect(feedPathsForFilters(filters({ status: 'All', month: ['June2025'] }), DIRECTORIES).rss)
+      .toBe('/feeds/all/month-2025-06/rss.xml');
+  });
+
+  it('ignores view settings', () => {
+    expect(feedPathsForFilters(filters({ sort: 'date', view: 'list', map: true }), DIRECTORIES).rss)
+      .toBe('/feeds/upcoming/rss.xml');
+  });
+
+  it('is null for more than one value in a facet', () => {
+    expect(feedPathsForFilters(filters({ country: ['India', 'Spain'] }), DIRECTORIES)).toBeNull();
+    expect(feedPathsForFilters(filters({ type: ['Blitz', 'Rapid'] }), DIRECTORIES)).toBeNull();
+  });
+
+  it('is null for filters feeds do not have, or feeds that were not built', () => {
+    expect(feedPathsForFilters(filters({ search: 'open' }), DIRECTORIES)).toBeNull();
+    expect(feedPathsForFilters(filters({ fide: true }), DIRECTORIES)).toBeNull();
+    expect(feedPathsForFilters(filters({ status: 'Next7' }), DIRECTORIES)).toBeNull();
+    expect(feedPathsForFilters(filters({ country: ['Spain'] }), DIRECTORIES)).toBeNull();
+  });
+});
+
+describe('describeFeed', () => {
+  it('names the status, type, country and month', () => {
+    expect(describeFeed({ status: 'Upcoming', type: 'Classical', country: 'India', month: 'June2025' }))
+      .toBe('Upcoming Classical chess tournaments in India, June 2025');
+    expect(describeFeed({ status: 'Completed' })).toBe('Past chess tournaments');
+  });
+});
+
+describe('renderFeeds', () => {
+  const files = renderFeeds([CURACAO, DELHI], { siteUrl: SITE_URL, generatedAt: GENERATED_AT });
+  const file = path => files.find(f => f.path === path)?.body;
+
+  it('writes a feed for each status and facet combination that has tournaments', () => {
+    const index = JSON.parse(file(FEED_INDEX_PATH));
+    expect(index).toContain('/feeds/upcoming/country-curacao/type-classical/month-2025-06');
+    expect(index).toContain('/feeds/completed/country-india');
+    expect(index).not.toContain('/feeds/upcoming/country-india');
+    expect(index).not.toContain('/feeds/ongoing');
+    expect(files.at(-1).path).toBe(FEED_INDEX_PATH);
+  });
+
+  it('escapes titles and enclosure URLs in RSS', () => {
+    const rss = file('/feeds/upcoming/country-curacao/rss.xml');
+    expect(rss).toContain('<title>Rook &amp; Pawn &lt;Open&gt; &quot;Classic&quot;</title>');
+    expect(rss).toContain('<enclosure url="https://drive.example.com/uc?id=curacao&amp;export=download" length="0" type="application/pdf" />');
+    expect(rss).toContain('<link>https://example.org/t/curacao</link>');
+    expect(rss).not.toMatch(/&(?!amp;|lt;|gt;|quot;)/);
+  });
+
+  it('escapes titles and enclosure URLs in Atom', () => {
+    const atom = file('/feeds/upcoming/country-curacao/atom.xml');
+    expect(atom).toContain('<title>Rook &amp; Pawn &lt;Open&gt; &quot;Classic&quot;</title>');
+    expect(atom).toContain('href="https://drive.example.com/uc?id=curacao&amp;export=download"');
+    expect(atom).not.toMatch(/&(?!amp;|lt;|gt;|quot;)/);
+  });
+
+  it('leaves the JSON feed to JSON escaping', () => {
+    const json = JSON.parse(file('/feeds/upcoming/country-curacao/feed.json'));
+    expect(json.items).toHaveLength(1);
+    expect(json.items[0].title).toBe('Rook & Pawn <Open> "Classic"');
+    expect(json.items[0].attachments).toEqual([{ url: 'https://drive.example.com/uc?id=curacao&export=download', mime_type: 'application/pdf' }]);
+    expect(json.items[0]._tournament).toMatchObject({ start_date: '2025-06-14', end_date: '2025-06-15', country: 'Curaçao' });
+  });
+
+  it('leaves the enclosure out when there is no PDF link', () => {
+    expect(file('/feeds/completed/rss.xml')).not.toContain('<enclosure');
+  });
+});
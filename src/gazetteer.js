@@ -0,0 +1,434 @@
+import { COUNTRY_CODES, findCountry } from './countries';
+
+// Offline gazetteer: coordinates for cities that host tournaments, plus a rough
+// centre point per country as a fallback. Bundled so the map and distance
+// filter never call a geocoding service. Add a city here when a new venue
+// shows up as "approximate" on the map.
+//
+// [city, country as written in filenames, latitude, longitude]
+const CITIES = [
+  // France
+  ['Paris', 'France', 48.8566, 2.3522],
+  ['Lyon', 'France', 45.764, 4.8357],
+  ['Marseille', 'France', 43.2965, 5.3698],
+  ['Nice', 'France', 43.7102, 7.262],
+  ['Cannes', 'France', 43.5528, 7.0174],
+  ['Toulouse', 'France', 43.6047, 1.4442],
+  ['Bordeaux', 'France', 44.8378, -0.5792],
+  ['Strasbourg', 'France', 48.5734, 7.7521],
+  ['Lille', 'France', 50.6292, 3.0573],
+  ['Montpellier', 'France', 43.6108, 3.8767],
+  ['Nantes', 'France', 47.2184, -1.5536],
+  ['Aix-les-Bains', 'France', 45.6886, 5.9153],
+  ['Cap d\'Agde', 'France', 43.3108, 3.4758],
+  // Spain
+  ['Madrid', 'Spain', 40.4168, -3.7038],
+  ['Barcelona', 'Spain', 41.3874, 2.1686],
+  ['Valencia', 'Spain', 39.4699, -0.3763],
+  ['Seville', 'Spain', 37.3891, -5.9845],
+  ['Bilbao', 'Spain', 43.263, -2.935],
+  ['Malaga', 'Spain', 36.7213, -4.4214],
+  ['Zaragoza', 'Spain', 41.6488, -0.8891],
+  ['Palma', 'Spain', 39.5696, 2.6502],
+  ['Benidorm', 'Spain', 38.5411, -0.1225],
+  ['Sitges', 'Spain', 41.2372, 1.8059],
+  ['Linares', 'Spain', 38.0952, -3.6362],
+  ['Pamplona', 'Spain', 42.8125, -1.6458],
+  ['Granada', 'Spain', 37.1773, -3.5986],
+  ['Alicante', 'Spain', 38.3452, -0.481],
+  ['Salamanca', 'Spain', 40.9701, -5.6635],
+  ['Las Palmas', 'Spain', 28.1235, -15.4363],
+  ['Santa Cruz de Tenerife', 'Spain', 28.4636, -16.2518],
+  // Portugal
+  ['Lisbon', 'Portugal', 38.7223, -9.1393],
+  ['Porto', 'Portugal', 41.1579, -8.6291],
+  ['Braga', 'Portugal', 41.5454, -8.4265],
+  ['Coimbra', 'Portugal', 40.2033, -8.4103],
+  ['Faro', 'Portugal', 37.0194, -7.9304],
+  ['Funchal', 'Portugal', 32.6669, -16.9241],
+  // Germany
+  ['Berlin', 'Germany', 52.52, 13.405],
+  ['Hamburg', 'Germany', 53.5511, 9.9937],
+  ['Munich', 'Germany', 48.1351, 11.582],
+  ['Cologne', 'Germany', 50.9375, 6.9603],
+  ['Frankfurt', 'Germany', 50.1109, 8.6821],
+  ['Dresden', 'Germany', 51.0504, 13.7373],
+  ['Leipzig', 'Germany', 51.3397, 12.3731],
+  ['Stuttgart', 'Germany', 48.7758, 9.1829],
+  ['Düsseldorf', 'Germany', 51.2277, 6.7735],
+  ['Bad Wiessee', 'Germany', 47.7167, 11.7167],
+  ['Baden-Baden', 'Germany', 48.7606, 8.2398],
+  // Switzerland, Austria, Benelux
+  ['Zürich', 'Switzerland', 47.3769, 8.5417],
+  ['Geneva', 'Switzerland', 46.2044, 6.1432],
+  ['Bern', 'Switzerland', 46.948, 7.4474],
+  ['Basel', 'Switzerland', 47.5596, 7.5886],
+  ['Lausanne', 'Switzerland', 46.5197, 6.6323],
+  ['Biel', 'Switzerland', 47.1368, 7.2468],
+  ['Lugano', 'Switzerland', 46.0037, 8.9511],
+  ['Vienna', 'Austria', 48.2082, 16.3738],
+  ['Graz', 'Austria', 47.0707, 15.4395],
+  ['Salzburg', 'Austria', 47.8095, 13.055],
+  ['Innsbruck', 'Austria', 47.2692, 11.4041],
+  ['Linz', 'Austria', 48.3069, 14.2858],
+  ['Amsterdam', 'Netherlands', 52.3676, 4.9041],
+  ['Rotterdam', 'Netherlands', 51.9244, 4.4777],
+  ['The Hague', 'Netherlands', 52.0705, 4.3007],
+  ['Utrecht', 'Netherlands', 52.0907, 5.1214],
+  ['Wijk aan Zee', 'Netherlands', 52.4936, 4.5969],
+  ['Groningen', 'Netherlands', 53.2194, 6.5665],
+  ['Brussels', 'Belgium', 50.8503, 4.3517],
+  ['Antwerp', 'Belgium', 51.2194, 4.4025],
+  ['Ghent', 'Belgium', 51.0543, 3.7174],
+  ['Leuven', 'Belgium', 50.8798, 4.7005],
+  ['Luxembourg', 'Luxembourg', 49.6116, 6.1319],
+  // British Isles
+  ['London', 'England', 51.5074, -0.1278],
+  ['Manchester', 'England', 53.4808, -2.2426],
+  ['Birmingham', 'England', 52.4862, -1.8904],
+  ['Liverpool', 'England', 53.4084, -2.9916],
+  ['Leeds', 'England', 53.8008, -1.5491],
+  ['Oxford', 'England', 51.752, -1.2577],
+  ['Cambridge', 'England', 52.2053, 0.1218],
+  ['Hastings', 'England', 50.8543, 0.5735],
+  ['Torquay', 'England', 50.4619, -3.5253],
+  ['Edinburgh', 'Scotland', 55.9533, -3.1883],
+  ['Glasgow', 'Scotland', 55.8642, -4.2518],
+  ['Cardiff', 'Wales', 51.4816, -3.1791],
+  ['Dublin', 'Ireland', 53.3498, -6.2603],
+  ['Cork', 'Ireland', 51.8985, -8.4756],
+  // Italy and the Mediterranean
+  ['Rome', 'Italy', 41.9028, 12.4964],
+  ['Milan', 'Italy', 45.4642, 9.19],
+  ['Turin', 'Italy', 45.0703, 7.6869],
+  ['Venice', 'Italy', 45.4408, 12.3155],
+  ['Florence', 'Italy', 43.7696, 11.2558],
+  ['Naples', 'Italy', 40.8518, 14.2681],
+  ['Bologna', 'Italy', 44.4949, 11.3426],
+  ['Genoa', 'Italy', 44.4056, 8.9463],
+  ['Verona', 'Italy', 45.4384, 10.9916],
+  ['Reggio Emilia', 'Italy', 44.6989, 10.6297],
+  ['Palermo', 'Italy', 38.1157, 13.3615],
+  ['Monaco', 'Monaco', 43.7384, 7.4246],
+  ['Andorra la Vella', 'Andorra', 42.5063, 1.5218],
+  ['San Marino', 'San Marino', 43.9424, 12.4578],
+  ['Valletta', 'Malta', 35.8989, 14.5146],
+  ['Athens', 'Greece', 37.9838, 23.7275],
+  ['Thessaloniki', 'Greece', 40.6401, 22.9444],
+  ['Rhodes', 'Greece', 36.4349, 28.2176],
+  ['Nicosia', 'Cyprus', 35.1856, 33.3823],
+  ['Limassol', 'Cyprus', 34.7071, 33.0226],
+  ['Istanbul', 'Turkey', 41.0082, 28.9784],
+  ['Ankara', 'Turkey', 39.9334, 32.8597],
+  ['Izmir', 'Turkey', 38.4237, 27.1428],
+  ['Antalya', 'Turkey', 36.8969, 30.7133],
+  // Central and Eastern Europe
+  ['Prague', 'Czech Republic', 50.0755, 14.4378],
+  ['Brno', 'Czech Republic', 49.1951, 16.6068],
+  ['Ostrava', 'Czech Republic', 49.8209, 18.2625],
+  ['Pardubice', 'Czech Republic', 50.0343, 15.7812],
+  ['Warsaw', 'Poland', 52.2297, 21.0122],
+  ['Kraków', 'Poland', 50.0647, 19.945],
+  ['Wrocław', 'Poland', 51.1079, 17.0385],
+  ['Gdańsk', 'Poland', 54.352, 18.6466],
+  ['Poznań', 'Poland', 52.4064, 16.9252],
+  ['Łódź', 'Poland', 51.7592, 19.456],
+  ['Budapest', 'Hungary', 47.4979, 19.0402],
+  ['Debrecen', 'Hungary', 47.5316, 21.6273],
+  ['Szeged', 'Hungary', 46.253, 20.1414],
+  ['Bratislava', 'Slovakia', 48.1486, 17.1077],
+  ['Košice', 'Slovakia', 48.7164, 21.2611],
+  ['Ljubljana', 'Slovenia', 46.0569, 14.5058],
+  ['Bled', 'Slovenia', 46.3683, 14.1146],
+  ['Zagreb', 'Croatia', 45.815, 15.9819],
+  ['Split', 'Croatia', 43.5081, 16.4402],
+  ['Rijeka', 'Croatia', 45.3271, 14.4422],
+  ['Belgrade', 'Serbia', 44.7866, 20.4489],
+  ['Novi Sad', 'Serbia', 45.2671, 19.8335],
+  ['Sarajevo', 'Bosnia and Herzegovina', 43.8563, 18.4131],
+  ['Podgorica', 'Montenegro', 42.4304, 19.2594],
+  ['Skopje', 'North Macedonia', 41.9981, 21.4254],
+  ['Tirana', 'Albania', 41.3275, 19.8187],
+  ['Bucharest', 'Romania', 44.4268, 26.1025],
+  ['Cluj-Napoca', 'Romania', 46.7712, 23.6236],
+  ['Iași', 'Romania', 47.1585, 27.6014],
+  ['Timișoara', 'Romania', 45.7489, 21.2087],
+  ['Sofia', 'Bulgaria', 42.6977, 23.3219],
+  ['Plovdiv', 'Bulgaria', 42.1354, 24.7453],
+  ['Varna', 'Bulgaria', 43.2141, 27.9147],
+  ['Chișinău', 'Moldova', 47.0105, 28.8638],
+  ['Kyiv', 'Ukraine', 50.4501, 30.5234],
+  ['Lviv', 'Ukraine', 49.8397, 24.0297],
+  ['Odesa', 'Ukraine', 46.4825, 30.7233],
+  ['Minsk', 'Belarus', 53.9006, 27.559],
+  ['Moscow', 'Russia', 55.7558, 37.6173],
+  ['Saint Petersburg', 'Russia', 59.9311, 30.3609],
+  ['Kazan', 'Russia', 55.7887, 49.1221],
+  // Nordic and Baltic
+  ['Copenhagen', 'Denmark', 55.6761, 12.5683],
+  ['Aarhus', 'Denmark', 56.1629, 10.2039],
+  ['Stockholm', 'Sweden', 59.3293, 18.0686],
+  ['Gothenburg', 'Sweden', 57.7089, 11.9746],
+  ['Malmö', 'Sweden', 55.605, 13.0038],
+  ['Oslo', 'Norway', 59.9139, 10.7522],
+  ['Stavanger', 'Norway', 58.97, 5.7331],
+  ['Bergen', 'Norway', 60.3913, 5.3221],
+  ['Helsinki', 'Finland', 60.1699, 24.9384],
+  ['Reykjavik', 'Iceland', 64.1466, -21.9426],
+  ['Tórshavn', 'Faroe Islands', 62.0079, -6.7909],
+  ['Tallinn', 'Estonia', 59.437, 24.7536],
+  ['Riga', 'Latvia', 56.9496, 24.1052],
+  ['Vilnius', 'Lithuania', 54.6872, 25.2797],
+  // Caucasus and Central Asia
+  ['Tbilisi', 'Georgia', 41.7151, 44.8271],
+  ['Batumi', 'Georgia', 41.6168, 41.6367],
+  ['Yerevan', 'Armenia', 40.1792, 44.4991],
+  ['Baku', 'Azerbaijan', 40.4093, 49.8671],
+  ['Almaty', 'Kazakhstan', 43.222, 76.8512],
+  ['Astana', 'Kazakhstan', 51.1694, 71.4491],
+  ['Tashkent', 'Uzbekistan', 41.2995, 69.2401],
+  ['Samarkand', 'Uzbekistan', 39.627, 66.975],
+  // India and South Asia
+  ['New Delhi', 'India', 28.6139, 77.209],
+  ['Delhi', 'India', 28.7041, 77.1025],
+  ['Mumbai', 'India', 19.076, 72.8777],
+  ['Chennai', 'India', 13.0827, 80.2707],
+  ['Kolkata', 'India', 22.5726, 88.3639],
+  ['Bengaluru', 'India', 12.9716, 77.5946],
+  ['Bangalore', 'India', 12.9716, 77.5946],
+  ['Hyderabad', 'India', 17.385, 78.4867],
+  ['Pune', 'India', 18.5204, 73.8567],
+  ['Ahmedabad', 'India', 23.0225, 72.5714],
+  ['Jaipur', 'India', 26.9124, 75.7873],
+  ['Lucknow', 'India', 26.8467, 80.9462],
+  ['Kochi', 'India', 9.9312, 76.2673],
+  ['Thiruvananthapuram', 'India', 8.5241, 76.9366],
+  ['Coimbatore', 'India', 11.0168, 76.9558],
+  ['Madurai', 'India', 9.9252, 78.1198],
+  ['Nagpur', 'India', 21.1458, 79.0882],
+  ['Bhubaneswar', 'India', 20.2961, 85.8245],
+  ['Panaji', 'India', 15.4909, 73.8278],
+  ['Goa', 'India', 15.2993, 74.124],
+  ['Chandigarh', 'India', 30.7333, 76.7794],
+  ['Bhopal', 'India', 23.2599, 77.4126],
+  ['Indore', 'India', 22.7196, 75.8577],
+  ['Visakhapatnam', 'India', 17.6868, 83.2185],
+  ['Vijayawada', 'India', 16.5062, 80.648],
+  ['Mangaluru', 'India', 12.9141, 74.856],
+  ['Mysuru', 'India', 12.2958, 76.6394],
+  ['Surat', 'India', 21.1702, 72.8311],
+  ['Patna', 'India', 25.5941, 85.1376],
+  ['Guwahati', 'India', 26.1445, 91.7362],
+  ['Noida', 'India', 28.5355, 77.391],
+  ['Gurugram', 'India', 28.4595, 77.0266],
+  ['Kolhapur', 'India', 16.705, 74.2433],
+  ['Nashik', 'India', 19.9975, 73.7898],
+  ['Thane', 'India', 19.2183, 72.9781],
+  ['Colombo', 'Sri Lanka', 6.9271, 79.8612],
+  ['Dhaka', 'Bangladesh', 23.8103, 90.4125],
+  ['Kathmandu', 'Nepal', 27.7172, 85.324],
+  ['Karachi', 'Pakistan', 24.8607, 67.0011],
+  ['Lahore', 'Pakistan', 31.5204, 74.3587],
+  ['Islamabad', 'Pakistan', 33.6844, 73.0479],
+  // Middle East and Africa
+  ['Dubai', 'UAE', 25.2048, 55.2708],
+  ['Abu Dhabi', 'UAE', 24.4539, 54.3773],
+  ['Sharjah', 'UAE', 25.3463, 55.4209],
+  ['Al Ain', 'UAE', 24.2075, 55.7447],
+  ['Doha', 'Qatar', 25.2854, 51.531],
+  ['Riyadh', 'Saudi Arabia', 24.7136, 46.6753],
+  ['Jeddah', 'Saudi Arabia', 21.4858, 39.1925],
+  ['Manama', 'Bahrain', 26.2285, 50.586],
+  ['Muscat', 'Oman', 23.588, 58.3829],
+  ['Kuwait City', 'Kuwait', 29.3759, 47.9774],
+  ['Amman', 'Jordan', 31.9454, 35.9284],
+  ['Jerusalem', 'Israel', 31.7683, 35.2137],
+  ['Tel Aviv', 'Israel', 32.0853, 34.7818],
+  ['Tehran', 'Iran', 35.6892, 51.389],
+  ['Cairo', 'Egypt', 30.0444, 31.2357],
+  ['Casablanca', 'Morocco', 33.5731, -7.5898],
+  ['Rabat', 'Morocco', 34.0209, -6.8416],
+  ['Marrakesh', 'Morocco', 31.6295, -7.9811],
+  ['Tunis', 'Tunisia', 36.8065, 10.1815],
+  ['Algiers', 'Algeria', 36.7538, 3.0588],
+  ['Johannesburg', 'South Africa', -26.2041, 28.0473],
+  ['Cape Town', 'South Africa', -33.9249, 18.4241],
+  ['Durban', 'South Africa', -29.8587, 31.0218],
+  ['Pretoria', 'South Africa', -25.7479, 28.2293],
+  ['Lagos', 'Nigeria', 6.5244, 3.3792],
+  ['Abuja', 'Nigeria', 9.0765, 7.3986],
+  ['Nairobi', 'Kenya', -1.2921, 36.8219],
+  ['Kampala', 'Uganda', 0.3476, 32.5825],
+  ['Lusaka', 'Zambia', -15.3875, 28.3228],
+  ['Harare', 'Zimbabwe', -17.8252, 31.0335],
+  ['Accra', 'Ghana', 5.6037, -0.187],
+  ['Addis Ababa', 'Ethiopia', 9.03, 38.74],
+  // East and Southeast Asia
+  ['Singapore', 'Singapore', 1.3521, 103.8198],
+  ['Kuala Lumpur', 'Malaysia', 3.139, 101.6869],
+  ['Bangkok', 'Thailand', 13.7563, 100.5018],
+  ['Pattaya', 'Thailand', 12.9236, 100.8825],
+  ['Jakarta', 'Indonesia', -6.2088, 106.8456],
+  ['Manila', 'Philippines', 14.5995, 120.9842],
+  ['Hanoi', 'Vietnam', 21.0278, 105.8342],
+  ['Ho Chi Minh City', 'Vietnam', 10.8231, 106.6297],
+  ['Hong Kong', 'Hong Kong', 22.3193, 114.1694],
+  ['Macau', 'Macau', 22.1987, 113.5439],
+  ['Taipei', 'Taiwan', 25.033, 121.5654],
+  ['Beijing', 'China', 39.9042, 116.4074],
+  ['Shanghai', 'China', 31.2304, 121.4737],
+  ['Shenzhen', 'China', 22.5431, 114.0579],
+  ['Tokyo', 'Japan', 35.6762, 139.6503],
+  ['Seoul', 'South Korea', 37.5665, 126.978],
+  ['Ulaanbaatar', 'Mongolia', 47.8864, 106.9057],
+  // Americas
+  ['New York', 'USA', 40.7128, -74.006],
+  ['Saint Louis', 'USA', 38.627, -90.1994],
+  ['St. Louis', 'USA', 38.627, -90.1994],
+  ['Chicago', 'USA', 41.8781, -87.6298],
+  ['Los Angeles', 'USA', 34.0522, -118.2437],
+  ['San Francisco', 'USA', 37.7749, -122.4194],
+  ['Philadelphia', 'USA', 39.9526, -75.1652],
+  ['Washington', 'USA', 38.9072, -77.0369],
+  ['Las Vegas', 'USA', 36.1699, -115.1398],
+  ['Boston', 'USA', 42.3601, -71.0589],
+  ['Miami', 'USA', 25.7617, -80.1918],
+  ['Dallas', 'USA', 32.7767, -96.797],
+  ['Houston', 'USA', 29.7604, -95.3698],
+  ['Atlanta', 'USA', 33.749, -84.388],
+  ['Seattle', 'USA', 47.6062, -122.3321],
+  ['Toronto', 'Canada', 43.6532, -79.3832],
+  ['Montreal', 'Canada', 45.5017, -73.5673],
+  ['Vancouver', 'Canada', 49.2827, -123.1207],
+  ['Ottawa', 'Canada', 45.4215, -75.6972],
+  ['Mexico City', 'Mexico', 19.4326, -99.1332],
+  ['Havana', 'Cuba', 23.1136, -82.3666],
+  ['Bogotá', 'Colombia', 4.711, -74.0721],
+  ['Caracas', 'Venezuela', 10.4806, -66.9036],
+  ['Quito', 'Ecuador', -0.1807, -78.4678],
+  ['Lima', 'Peru', -12.0464, -77.0428],
+  ['La Paz', 'Bolivia', -16.4897, -68.1193],
+  ['Santiago', 'Chile', -33.4489, -70.6693],
+  ['Buenos Aires', 'Argentina', -34.6037, -58.3816],
+  ['Montevideo', 'Uruguay', -34.9011, -56.1645],
+  ['Asunción', 'Paraguay', -25.2637, -57.5759],
+  ['São Paulo', 'Brazil', -23.5505, -46.6333],
+  ['Rio de Janeiro', 'Brazil', -22.9068, -43.1729],
+  // Oceania
+  ['Sydney', 'Australia', -33.8688, 151.2093],
+  ['Melbourne', 'Australia', -37.8136, 144.9631],
+  ['Brisbane', 'Australia', -27.4698, 153.0251],
+  ['Perth', 'Australia', -31.9505, 115.8605],
+  ['Adelaide', 'Australia', -34.9285, 138.6007],
+  ['Canberra', 'Australia', -35.2809, 149.13],
+  ['Auckland', 'New Zealand', -36.8485, 174.7633],
+  ['Wellington', 'New Zealand', -41.2865, 174.7762],
+];
+
+// Rough geographic centre of each country, keyed by ISO code.
+const COUNTRY_CENTRES = {
+  AD: [42.55, 1.6], AE: [23.42, 53.85], AF: [33.94, 67.71], AL: [41.15, 20.17],
+  AM: [40.07, 45.04], AO: [-11.2, 17.87], AR: [-38.42, -63.62], AT: [47.52, 14.55],
+  AU: [-25.27, 133.78], AZ: [40.14, 47.58], BA: [43.92, 17.68], BD: [23.68, 90.36],
+  BE: [50.5, 4.47], BG: [42.73, 25.49], BH: [26.07, 50.56], BO: [-16.29, -63.59],
+  BR: [-14.24, -51.93], BT: [27.51, 90.43], BW: [-22.33, 24.68], BY: [53.71, 27.95],
+  CA: [56.13, -106.35], CH: [46.82, 8.23], CL: [-35.68, -71.54], CM: [7.37, 12.35],
+  CN: [35.86, 104.2], CO: [4.57, -74.3], CR: [9.75, -83.75], CU: [21.52, -77.78],
+  CY: [35.13, 33.43], CZ: [49.82, 15.47], DE: [51.17, 10.45], DK: [56.26, 9.5],
+  DO: [18.74, -70.16], DZ: [28.03, 1.66], EC: [-1.83, -78.18], EE: [58.6, 25.01],
+  EG: [26.82, 30.8], ES: [40.46, -3.75], ET: [9.15, 40.49], FI: [61.92, 25.75],
+  FJ: [-17.71, 178.07], FO: [61.89, -6.91], FR: [46.23, 2.21], GB: [54.0, -2.5],
+  GE: [42.32, 43.36], GH: [7.95, -1.02], GR: [39.07, 21.82], GT: [15.78, -90.23],
+  HK: [22.4, 114.11], HR: [45.1, 15.2], HU: [47.16, 19.5], ID: [-0.79, 113.92],
+  IE: [53.41, -8.24], IL: [31.05, 34.85], IN: [20.59, 78.96], IQ: [33.22, 43.68],
+  IR: [32.43, 53.69], IS: [64.96, -19.02], IT: [41.87, 12.57], JM: [18.11, -77.3],
+  JO: [30.59, 36.24], JP: [36.2, 138.25], KE: [-0.02, 37.91], KG: [41.2, 74.77],
+  KH: [12.57, 104.99], KR: [35.91, 127.77], KW: [29.31, 47.48], KZ: [48.02, 66.92],
+  LB: [33.85, 35.86], LI: [47.17, 9.56], LK: [7.87, 80.77], LT: [55.17, 23.88],
+  LU: [49.82, 6.13], LV: [56.88, 24.6], LY: [26.34, 17.23], MA: [31.79, -7.09],
+  MC: [43.75, 7.41], MD: [47.41, 28.37], ME: [42.71, 19.37], MG: [-18.77, 46.87],
+  MK: [41.61, 21.75], MM: [21.91, 95.96], MN: [46.86, 103.85], MO: [22.2, 113.54],
+  MT: [35.94, 14.38], MU: [-20.35, 57.55], MV: [3.2, 73.22], MW: [-13.25, 34.3],
+  MX: [23.63, -102.55], MY: [4.21, 101.98], MZ: [-18.67, 35.53], NA: [-22.96, 18.49],
+  NG: [9.08, 8.68], NL: [52.13, 5.29], NO: [60.47, 8.47], NP: [28.39, 84.12],
+  NZ: [-40.9, 174.89], OM: [21.51, 55.92], PA: [8.54, -80.78], PE: [-9.19, -75.02],
+  PH: [12.88, 121.77], PK: [30.38, 69.35], PL: [51.92, 19.15], PS: [31.95, 35.23],
+  PT: [39.4, -8.22], PY: [-23.44, -58.44], QA: [25.35, 51.18], RO: [45.94, 24.97],
+  RS: [44.02, 21.01], RU: [61.52, 105.32], RW: [-1.94, 29.87], SA: [23.89, 45.08],
+  SD: [12.86, 30.22], SE: [60.13, 18.64], SG: [1.35, 103.82], SI: [46.15, 14.99],
+  SK: [48.67, 19.7], SM: [43.94, 12.46], SY: [34.8, 38.99], TH: [15.87, 100.99],
+  TJ: [38.86, 71.28], TM: [38.97, 59.56], TN: [33.89, 9.54], TR: [38.96, 35.24],
+  TT: [10.69, -61.22], TW: [23.7, 120.96], TZ: [-6.37, 34.89], UA: [48.38, 31.17],
+  UG: [1.37, 32.29], US: [37.09, -95.71], UY: [-32.52, -55.77], UZ: [41.38, 64.59],
+  VE: [6.42, -66.59], VN: [14.06, 108.28], XK: [42.6, 20.9], YE: [15.55, 48.52],
+  ZA: [-30.56, 22.94], ZM: [-13.13, 27.85], ZW: [-19.02, 29.15],
+};
+
+// Case- and accent-insensitive key, so "Zurich" finds "Zürich".
+export function foldName(name) {
+  return name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function countryCode(country) {
+  const canonical = findCountry(country);
+  return canonical ? COUNTRY_CODES[canonical] : null;
+}
+
+export const GAZETTEER_CITIES = CITIES.map(([city, country, lat, lon]) => ({
+  label: `${city}, ${country}`,
+  city,
+  country,
+  code: countryCode(country),
+  lat,
+  lon,
+}));
+
+const CITY_LOOKUP = new Map();
+const CITY_NAME_LOOKUP = new Map();
+GAZETTEER_CITIES.forEach(entry => {
+  CITY_LOOKUP.set(`${foldName(entry.city)}|${entry.code}`, entry);
+  if (!CITY_NAME_LOOKUP.has(foldName(entry.city))) {
+    CITY_NAME_LOOKUP.set(foldName(entry.city), entry);
+  }
+});
+
+const LABEL_LOOKUP = new Map(GAZETTEER_CITIES.map(entry => [foldName(entry.label), entry]));
+
+// Finds a gazetteer city by its "City, Country" label.
+export function findGazetteerCity(label) {
+  return label ? LABEL_LOOKUP.get(foldName(label)) || null : null;
+}
+
+// { lat, lon, approximate } for a tournament's city and country. Falls back to
+// the country's centre (approximate: true) when the city isn't listed, and to
+// null when neither is known.
+export function locate(city, country) {
+  const code = country ? countryCode(country) : null;
+
+  if (city) {
+    // Locations like "Hotel Ritz, Paris" name the venue first, so try each part too.
+    const candidates = [city, ...city.split(',').map(part => part.trim())];
+    for (const candidate of candidates) {
+      const key = foldName(candidate);
+      const entry = code ? CITY_LOOKUP.get(`${key}|${code}`) : CITY_NAME_LOOKUP.get(key);
+      if (entry) {
+        return { lat: entry.lat, lon: entry.lon, approximate: false };
+      }
+    }
+  }
+
+  const centre = code && COUNTRY_CENTRES[code];
+  return centre ? { lat: centre[0], lon: centre[1], approximate: true } : null;
+}
+
+const EARTH_RADIUS_KM = 6371;
+const toRadians = degrees => degrees * Math.PI / 180;
+
+// Great-circle distance in kilometres (haversine formula).
+export function distanceKm(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
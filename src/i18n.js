@@ -0,0 +1,120 @@
+import { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { LANGUAGES, MESSAGES } from './messages';
+import { COUNTRY_CODES } from './countries';
+import { formatDateRange } from './dates';
+import { parseMonthYear } from './parseFilename';
+
+// The interface language: message lookup plus the locale-aware formatting the
+// list needs. Tournament data stays as organizers wrote it; only country and
+// type names, dates and months are shown in the reader's language.
+const STORAGE_KEY = 'language';
+const DEFAULT_LANGUAGE = 'en';
+
+// Countries the filename convention names below the country level; Intl
+// would show them all as the United Kingdom.
+const KEEP_AS_WRITTEN = new Set(['England', 'Scotland', 'Wales']);
+
+function findLanguage(code) {
+  return LANGUAGES.find(language => language.code === code);
+}
+
+// The saved choice, else the first of the browser's languages we have.
+export function detectLanguage() {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    if (findLanguage(saved)) return saved;
+  } catch {
+    // Storage can be blocked; fall through to the browser's languages.
+  }
+  const preferred = typeof navigator === 'undefined' ? [] : navigator.languages || [navigator.language];
+  const match = preferred.map(tag => (tag || '').split('-')[0].toLowerCase()).find(findLanguage);
+  return match || DEFAULT_LANGUAGE;
+}
+
+function interpolate(message, vars) {
+  return message.replace(/\{(\w+)\}/g, (token, name) => (name in vars ? String(vars[name]) : token));
+}
+
+export function createI18n(code) {
+  const { code: language, locale } = findLanguage(code) || findLanguage(DEFAULT_LANGUAGE);
+  const messages = MESSAGES[language];
+  const plurals = new Intl.PluralRules(locale);
+  const regions = new Intl.DisplayNames([locale], { type: 'region' });
+  const monthFormat = new Intl.DateTimeFormat(locale, { month: 'long' });
+  const monthYearFormat = new Intl.DateTimeFormat(locale, { month: 'long', year: 'numeric' });
+  const shortMonthFormat = new Intl.DateTimeFormat(locale, { month: 'short' });
+  // Short weekday names from Monday; 2 January 2023 was a Monday.
+  const weekdayFormat = new Intl.DateTimeFormat(locale, { weekday: 'short' });
+  const weekdays = Array.from({ length: 7 }, (_, i) => weekdayFormat.format(new Date(2023, 0, 2 + i)));
+
+  // t('list.count', { count: 3 }) -> "3 tournaments". Plural messages pick the
+  // form for `count`; anything missing falls back to English, then to the key.
+  const t = (key, vars = {}) => {
+    let message = messages[key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+    if (typeof message === 'object') {
+      message = message[plurals.select(vars.count)] ?? message.other;
+    }
+    return interpolate(message, vars);
+  };
+
+  const countryName = (name) => {
+    if (!name || language === DEFAULT_LANGUAGE || KEEP_AS_WRITTEN.has(name)) return name;
+    const code = COUNTRY_CODES[name];
+    try {
+      return (code && regions.of(code)) || name;
+    } catch {
+      return name;
+    }
+  };
+
+  // "Rapid/Blitz" -> "Rápido/Blitz"; types we don't know stay as written.
+  const typeName = type => (type || '').split('/').map(part => messages[`type.${part}`] || part).join('/');
+
+  return {
+    language,
+    locale,
+    t,
+    countryName,
+    typeName,
+    formatDateRange: (startDate, endDate) => formatDateRange(startDate, endDate, locale),
+    weekdays,
+    formatMonth: date => monthFormat.format(date),
+    formatShortMonth: date => shortMonthFormat.format(date),
+    // "June2025" (or a date in June 2025) -> "junio de 2025"; keys that don't
+    // parse are shown as they are.
+    formatMonthYear: (monthYear) => {
+      const date = monthYear instanceof Date ? monthYear : parseMonthYear(monthYear);
+      return date ? monthYearFormat.format(date) : monthYear;
+    },
+  };
+}
+
+// English until a provider says otherwise, so pages rendered outside the
+// list (and the prerenderer) keep working unchanged.
+export const I18nContext = createContext(createI18n(DEFAULT_LANGUAGE));
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
+
+// The app's language and a setter that remembers an explicit choice. The
+// browser's language is only a default, so it isn't written to storage.
+export function useLanguage() {
+  const [language, setLanguageState] = useState(detectLanguage);
+  const i18n = useMemo(() => createI18n(language), [language]);
+
+  useEffect(() => {
+    document.documentElement.lang = i18n.language;
+  }, [i18n.language]);
+
+  const setLanguage = (code) => {
+    setLanguageState(code);
+    try {
+      window.localStorage.setItem(STORAGE_KEY, code);
+    } catch (error) {
+      console.warn('Could not save the language:', error);
+    }
+  };
+
+  return { i18n, setLanguage };
+}
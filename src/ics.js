@@ -0,0 +1,91 @@
+import { addDays } from './dates';
+
+// iCalendar (RFC 5545) export. Tournaments become all-day events: DTEND is the
+// day after the last day, as the spec makes it exclusive.
+
+const PRODID = '-//Global Chess Tournament Finder//EN';
+
+function formatDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}${month}${day}`;
+}
+
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// TEXT values escape backslashes, semicolons, commas and newlines.
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines that start
+// with a space, without splitting a multi-byte character.
+const encoder = new TextEncoder();
+function foldLine(line) {
+  if (encoder.encode(line).length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  let limit = 75;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+      limit = 74;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function eventLines(tournament, stamp) {
+  const { id, title, type, city, country, startDate, endDate, links } = tournament;
+  const location = [city, country].filter(Boolean).join(', ');
+  const url = [links.view, links.download].find(link => /^https?:\/\//.test(link || ''));
+  const description = [type && `${type} tournament`, url && `Details: ${url}`].filter(Boolean).join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${escapeText(id)}@chess-tournament-finder`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${formatDate(startDate)}`,
+    `DTEND;VALUE=DATE:${formatDate(addDays(endDate || startDate, 1))}`,
+    `SUMMARY:${escapeText(title)}`,
+    location && `LOCATION:${escapeText(location)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    url && `URL:${url}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT',
+  ].filter(Boolean);
+}
+
+// Builds a VCALENDAR with one event per dated tournament; undated ones are skipped.
+export function buildCalendar(tournaments, { name = 'Chess tournaments', now = new Date() } = {}) {
+  const stamp = formatTimestamp(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...tournaments.filter(t => t.startDate).flatMap(t => eventLines(t, stamp)),
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+export function calendarBlob(tournaments, options) {
+  return new Blob([buildCalendar(tournaments, options)], { type: 'text/calendar;charset=utf-8' });
+}
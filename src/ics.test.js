@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import { buildCalendar } from './ics';
+import { tournamentFromRecord } from './data/tournament';
+
+const NOW = new Date(Date.UTC(2025, 4, 1, 12, 30, 0));
+
+function tournament(fields) {
+  return tournamentFromRecord({ id: 't1', title: 'Paris Open', startDate: '2025-06-14', country: 'France', ...fields });
+}
+
+const calendar = (tournaments, options) => buildCalendar(tournaments, { now: NOW, ...options });
+// Unfolded content lines.
+const lines = text => text.replace(/\r\n /g, '').split('\r\n');
+
+describe('buildCalendar', () => {
+  it('ends every line with CRLF', () => {
+    const text = calendar([tournament({ endDate: '2025-06-15' })]);
+    expect(text.endsWith('\r\n')).toBe(true);
+    expect(text.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+  });
+
+  it('writes an all-day event with an exclusive end date', () => {
+    const text = calendar([tournament({ endDate: '2025-06-15' })]);
+    expect(lines(text)).toEqual(expect.arrayContaining([
+      'BEGIN:VEVENT',
+      'UID:t1@chess-tournament-finder',
+      'DTSTAMP:20250501T123000Z',
+      'DTSTART;VALUE=DATE:20250614',
+      'DTEND;VALUE=DATE:20250616',
+      'SUMMARY:Paris Open',
+      'END:VEVENT',
+    ]));
+  });
+
+  it('ends a one-day event on the next day, across month ends', () => {
+    const text = calendar([tournament({ startDate: '2025-06-30' })]);
+    expect(lines(text)).toContain('DTEND;VALUE=DATE:20250701');
+  });
+
+  it('skips undated tournaments', () => {
+    const text = calendar([tournament({ startDate: '' })]);
+    expect(text).not.toContain('BEGIN:VEVENT');
+  });
+
+  it('escapes TEXT values', () => {
+    const text = calendar([tournament({ title: 'Open; A, B\\C\nD', city: 'Paris' })], { name: 'Mine, all' });
+    expect(lines(text)).toContain(String.raw`SUMMARY:Open\; A\, B\\C\nD`);
+    expect(lines(text)).toContain(String.raw`LOCATION:Paris\, France`);
+    expect(lines(text)).toContain(String.raw`X-WR-CALNAME:Mine\, all`);
+  });
+
+  it('folds lines at 75 octets', () => {
+    const text = calendar([tournament({ title: 'A'.repeat(200) })]);
+    text.split('\r\n').forEach(line => {
+      expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75);
+    });
+    expect(lines(text)).toContain(`SUMMARY:${'A'.repeat(200)}`);
+  });
+
+  it('does not split multi-byte characters when folding', () => {
+    const title = 'Zürich 🏆 Schachfestival '.repeat(8);
+    const text = calendar([tournament({ title })]);
+    const physical = text.split('\r\n');
+    physical.forEach(line => {
+      expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75);
+      expect(line).not.toContain('�');
+    });
+    expect(physical.some(line => line.startsWith(' '))).toBe(true);
+    expect(lines(text)).toContain(`SUMMARY:${title}`);
+  });
+});
@@ -2,9 +2,17 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { registerServiceWorker } from './offline'
+import { redirectLandingPage } from './routes'
+
+redirectLandingPage()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <App />
   </StrictMode>,
 )
+
+if (import.meta.env.PROD) {
+  registerServiceWorker()
+}
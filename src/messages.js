@@ -0,0 +1,1104 @@
+// UI text per language, keyed by message id. "{name}" is filled in from the
+// values passed to t(); messages that depend on a count are objects keyed by
+// Intl.PluralRules category ("one", "other", ...). Missing messages fall back
+// to English.
+
+export const LANGUAGES = [
+  { code: 'en', label: 'English', locale: 'en-GB' },
+  { code: 'es', label: 'Español', locale: 'es-ES' },
+  { code: 'fr', label: 'Français', locale: 'fr-FR' },
+  { code: 'de', label: 'Deutsch', locale: 'de-DE' },
+  { code: 'hi', label: 'हिन्दी', locale: 'hi-IN' },
+];
+
+const en = {
+  'app.title': 'Global Chess Tournament Finder',
+  'app.tagline': 'Simplifying your search for chess tournaments across the globe',
+  'app.submit': 'Organizing a tournament? Submit it',
+  'app.language': 'Language',
+  'app.theme': 'Theme',
+  'theme.system': 'System theme',
+  'theme.light': 'Light',
+  'theme.dark': 'Dark',
+  'app.disclaimer': 'While we strive for accuracy, event details can change. We recommend contacting organizers for confirmation.',
+
+  'filters.toggle': 'Filters',
+  'filters.clear': 'Clear',
+  'filters.clearAll': 'Clear Filters',
+  'filters.search': 'Search',
+  'filters.searchPlaceholder': 'Search, e.g. blitz country:spain',
+  'filters.searchHelp': 'Matches title, city, country and type. Use "quotes" for phrases and country:, type:, city: or title: to search one field.',
+  'filters.month': 'Month',
+  'filters.country': 'Country',
+  'filters.type': 'Type',
+  'filters.status': 'Status',
+  'filters.from': 'From',
+  'filters.to': 'To',
+  'filters.all': 'All',
+  'filters.selected': '{count} selected',
+  'filters.noOptions': 'No options',
+  'filters.clearSelection': 'Clear selection',
+  'filters.saved': 'My tournaments ({count})',
+  'filters.plan': 'Plan my season ({count})',
+  'filters.near': 'Near',
+  'filters.nearPlaceholder': 'City, Country',
+  'filters.within': 'within',
+  'filters.anyDistance': 'any distance',
+  'filters.pickCity': 'Pick a city from the list',
+  'filters.fideOnly': 'FIDE rated only',
+  'filters.fee': 'Entry fee',
+  'filters.anyFee': 'any',
+  'filters.feeUpTo': 'up to {amount}',
+  'filters.readingPdfs': 'Reading tournament PDFs… {count} left',
+  'filters.missingSaved': {
+    one: '{count} saved event is no longer listed',
+    other: '{count} saved events are no longer listed',
+  },
+
+  'status.All': 'All',
+  'status.Upcoming': 'Upcoming',
+  'status.Ongoing': 'Ongoing',
+  'status.ThisWeekend': 'This weekend',
+  'status.Next7': 'Next 7 days',
+  'status.Next30': 'Next 30 days',
+  'status.Custom': 'Custom dates…',
+  'status.Completed': 'Completed',
+
+  'type.Classical': 'Classical',
+  'type.Rapid': 'Rapid',
+  'type.Blitz': 'Blitz',
+
+  'error.title': 'Error:',
+  'error.loadFailed': 'Failed to load tournaments: {message}. Please try again later.',
+  'error.staleTitle': 'Couldn\'t refresh:',
+  'error.staleList': 'Showing the list saved {time}.',
+  'error.earlier': 'earlier',
+  'error.retry': 'Retry',
+  'error.retrying': 'Retrying…',
+
+  'updated.refreshing': 'Refreshing…',
+  'updated.last': 'Last updated {time}',
+  'updated.refresh': 'Refresh',
+  'time.justNow': 'just now',
+
+  'list.loading': 'Loading tournaments...',
+  'list.empty': 'No tournaments found!',
+  'list.emptyHint': 'Try adjusting your filters or clearing them to see more results.',
+  'list.clearAll': 'Clear All Filters',
+  'list.count': { one: '{count} tournament', other: '{count} tournaments' },
+  'list.layout': 'Layout',
+  'view.grid': 'Cards',
+  'view.calendar': 'Calendar',
+  'view.table': 'Table',
+  'sort.label': 'Sort by',
+  'sort.relevance': 'Best match',
+  'sort.date': 'Date',
+  'sort.distance': 'Distance',
+  'sort.distanceFrom': 'Distance from {city}',
+  'map.show': 'Show map',
+  'map.hide': 'Hide map',
+  'export.calendar': 'Export all to calendar',
+  'export.zip': 'Download all as ZIP',
+  'export.zipping': 'Zipping {done}/{total}…',
+  'export.zipSkipped': {
+    one: '{count} of {total} PDFs couldn\'t be downloaded and was left out of the ZIP.',
+    other: '{count} of {total} PDFs couldn\'t be downloaded and were left out of the ZIP.',
+  },
+  'export.zipFailed': 'Couldn\'t build the ZIP: {message}',
+
+  'calendar.prev': 'Prev',
+  'calendar.next': 'Next',
+  'calendar.previousMonth': 'Previous month',
+  'calendar.nextMonth': 'Next month',
+  'calendar.today': 'Today',
+  'list.saved': 'Saved',
+  'calendar.undated': {
+    one: '{count} tournament has no dates and is not shown on the calendar.',
+    other: '{count} tournaments have no dates and are not shown on the calendar.',
+  },
+  'table.dates': 'Dates',
+  'table.tournament': 'Tournament',
+  'table.location': 'Location',
+  'table.plan': 'Plan',
+  'table.planLabel': 'Plan {title}',
+  'map.approximate': 'City not in our gazetteer; placed at the country\'s centre.',
+  'map.unplaced': {
+    one: '{count} tournament has no known location and is not shown on the map.',
+    other: '{count} tournaments have no known location and are not shown on the map.',
+  },
+
+  'plan.title': 'Season plan ({count})',
+  'plan.clear': 'Clear plan',
+  'plan.empty': 'Use “{action}” on the tournaments below to build your season. Clashing dates and tight travel between countries are flagged here.',
+  'plan.noConflicts': 'No date clashes or tight travel in your plan.',
+  'plan.overlapLabel': 'Date clash:',
+  'plan.travelLabel': 'Tight travel:',
+  'plan.overlap': {
+    one: '{first} and {second} overlap by {count} day.',
+    other: '{first} and {second} overlap by {count} days.',
+  },
+  'plan.travelNoDay': '{first} ({firstCountry}) is followed by {second} ({secondCountry}) with no free day to travel.',
+  'plan.travel': {
+    one: '{first} ({firstCountry}) is followed by {second} ({secondCountry}) with only {count} free day to travel.',
+    other: '{first} ({firstCountry}) is followed by {second} ({secondCountry}) with only {count} free days to travel.',
+  },
+  'plan.undated': 'Not on the timeline (no dates):',
+  'plan.remove': 'Remove from plan',
+  'plan.removeLabel': 'Remove {title} from the plan',
+
+  'page.loading': 'Loading tournament...',
+  'page.notFound': 'Tournament not found',
+  'page.notFoundHint': 'It may have been removed or renamed by the organizer.',
+  'page.back': 'Back to all tournaments',
+  'page.noPreview': 'No preview is available for this document.',
+  'page.openOriginal': 'Open original',
+  'page.save': '☆ Save',
+  'page.saved': '★ Saved',
+  'page.share': 'Share',
+  'page.shareNative': 'Share…',
+  'page.copyLink': 'Copy link',
+  'page.linkCopied': 'Link copied',
+  'page.email': 'Email',
+  'page.related': 'Related tournaments',
+  'page.relatedHint': 'In the same city or the same month.',
+  'meta.admin': 'Data quality',
+  'meta.submit': 'Submit a tournament',
+  'meta.submitDescription': 'Add your chess tournament to the Global Chess Tournament Finder.',
+  'meta.loading': 'Loading tournament',
+  'meta.notFound': 'Tournament not found',
+
+  'feeds.subscribe': 'Subscribe to these results:',
+  'widget.error': 'The tournament list could not be loaded.',
+  'widget.seeAll': { one: 'See it on {site}', other: 'See all {count} on {site}' },
+
+  'card.save': 'Save to my tournaments',
+  'card.unsave': 'Remove from my tournaments',
+  'card.missing': 'This event is no longer listed. It may have been cancelled or renamed; check with the organizer.',
+  'card.days': { one: '({count} day)', other: '({count} days)' },
+  'card.kmAway': '{distance} km away',
+  'card.approximate': 'Measured from the country\'s centre',
+  'card.viewPdf': 'View PDF',
+  'card.downloadPdf': 'Download PDF',
+  'card.downloading': 'Downloading…',
+  'card.downloadFailed': 'Couldn\'t download the PDF: {message}',
+  'card.addToCalendar': 'Add to calendar',
+  'card.inPlan': 'In plan ✓',
+  'card.addToPlan': 'Add to plan',
+  'card.openOffline': 'Open offline copy',
+  'card.notOffline': 'Not saved offline',
+  'card.saving': 'Saving…',
+  'card.removing': 'Removing…',
+  'card.saveOffline': 'Save for offline',
+  'card.removeOffline': 'Remove offline copy',
+  'card.offlineFailed': 'Couldn\'t update the offline copy: {message}',
+
+  'countdown.today': 'Starts today',
+  'countdown.tomorrow': 'Starts tomorrow',
+  'countdown.days': { one: 'Starts in {count} day', other: 'Starts in {count} days' },
+  'countdown.ongoing': 'Ongoing',
+  'countdown.ended': 'Ended',
+
+  'alerts.toggle': 'Alerts',
+  'alerts.unread': { one: '{count} new', other: '{count} new' },
+  'alerts.title': 'Saved searches and alerts',
+  'alerts.saved': 'Saved searches',
+  'alerts.saveLabel': 'Name for this search',
+  'alerts.save': 'Save current filters',
+  'alerts.defaultName': 'All tournaments',
+  'alerts.noSearches': 'No saved searches yet. Set the filters you want and save them to hear about new matching tournaments.',
+  'alerts.show': 'Show',
+  'alerts.remove': 'Remove',
+  'alerts.browser': 'Also show browser notifications',
+  'alerts.browserBlocked': 'Notifications are blocked in this browser\'s settings.',
+  'alerts.inbox': 'New tournaments',
+  'alerts.emptyInbox': 'Nothing new yet. New tournaments matching a saved search appear here after each refresh.',
+  'alerts.matches': 'Matches {names}',
+  'alerts.markRead': 'Mark all as read',
+  'alerts.clear': 'Clear',
+  'alerts.notifyOne': 'New tournament: {title}',
+  'alerts.notifyMany': { one: '{count} new tournament', other: '{count} new tournaments' },
+  'alerts.notifyBody': 'Matches your saved search: {names}',
+
+  'details.fideRated': 'FIDE rated',
+  'details.notFideRated': 'Not FIDE rated',
+  'details.rounds': 'Rounds:',
+  'details.timeControl': 'Time control:',
+  'details.entryFee': 'Entry fee:',
+  'details.prizeFund': 'Prize fund:',
+  'details.registerBy': 'Register by:',
+  'details.contact': 'Contact:',
+};
+
+const es = {
+  'app.title': 'Buscador mundial de torneos de ajedrez',
+  'app.tagline': 'Facilitamos la búsqueda de torneos de ajedrez en todo el mundo',
+  'app.submit': '¿Organizas un torneo? Envíalo',
+  'app.language': 'Idioma',
+  'app.theme': 'Tema',
+  'theme.system': 'Tema del sistema',
+  'theme.light': 'Claro',
+  'theme.dark': 'Oscuro',
+  'app.disclaimer': 'Aunque procuramos ser precisos, los detalles de los eventos pueden cambiar. Recomendamos confirmar con los organizadores.',
+
+  'filters.toggle': 'Filtros',
+  'filters.clear': 'Borrar',
+  'filters.clearAll': 'Borrar filtros',
+  'filters.search': 'Buscar',
+  'filters.searchPlaceholder': 'Buscar, p. ej. blitz country:spain',
+  'filters.searchHelp': 'Busca en título, ciudad, país y tipo. Usa "comillas" para frases y country:, type:, city: o title: para buscar en un solo campo.',
+  'filters.month': 'Mes',
+  'filters.country': 'País',
+  'filters.type': 'Tipo',
+  'filters.status': 'Estado',
+  'filters.from': 'Desde',
+  'filters.to': 'Hasta',
+  'filters.all': 'Todos',
+  'filters.selected': '{count} seleccionados',
+  'filters.noOptions': 'Sin opciones',
+  'filters.clearSelection': 'Quitar selección',
+  'filters.saved': 'Mis torneos ({count})',
+  'filters.plan': 'Planificar mi temporada ({count})',
+  'filters.near': 'Cerca de',
+  'filters.nearPlaceholder': 'Ciudad, País',
+  'filters.within': 'a menos de',
+  'filters.anyDistance': 'cualquier distancia',
+  'filters.pickCity': 'Elige una ciudad de la lista',
+  'filters.fideOnly': 'Solo con rating FIDE',
+  'filters.fee': 'Inscripción',
+  'filters.anyFee': 'cualquiera',
+  'filters.feeUpTo': 'hasta {amount}',
+  'filters.readingPdfs': 'Leyendo los PDF de los torneos… quedan {count}',
+  'filters.missingSaved': {
+    one: '{count} evento guardado ya no aparece en la lista',
+    other: '{count} eventos guardados ya no aparecen en la lista',
+  },
+
+  'status.All': 'Todos',
+  'status.Upcoming': 'Próximos',
+  'status.Ongoing': 'En curso',
+  'status.ThisWeekend': 'Este fin de semana',
+  'status.Next7': 'Próximos 7 días',
+  'status.Next30': 'Próximos 30 días',
+  'status.Custom': 'Fechas personalizadas…',
+  'status.Completed': 'Finalizados',
+
+  'type.Classical': 'Clásico',
+  'type.Rapid': 'Rápido',
+  'type.Blitz': 'Blitz',
+
+  'error.title': 'Error:',
+  'error.loadFailed': 'No se pudieron cargar los torneos: {message}. Inténtalo de nuevo más tarde.',
+  'error.staleTitle': 'No se pudo actualizar:',
+  'error.staleList': 'Mostrando la lista guardada {time}.',
+  'error.earlier': 'anteriormente',
+  'error.retry': 'Reintentar',
+  'error.retrying': 'Reintentando…',
+
+  'updated.refreshing': 'Actualizando…',
+  'updated.last': 'Última actualización: {time}',
+  'updated.refresh': 'Actualizar',
+  'time.justNow': 'justo ahora',
+
+  'list.loading': 'Cargando torneos...',
+  'list.empty': '¡No se encontraron torneos!',
+  'list.emptyHint': 'Prueba a ajustar o borrar los filtros para ver más resultados.',
+  'list.clearAll': 'Borrar todos los filtros',
+  'list.count': { one: '{count} torneo', other: '{count} torneos' },
+  'list.layout': 'Vista',
+  'view.grid': 'Tarjetas',
+  'view.calendar': 'Calendario',
+  'view.table': 'Tabla',
+  'sort.label': 'Ordenar por',
+  'sort.relevance': 'Más relevantes',
+  'sort.date': 'Fecha',
+  'sort.distance': 'Distancia',
+  'sort.distanceFrom': 'Distancia desde {city}',
+  'map.show': 'Mostrar mapa',
+  'map.hide': 'Ocultar mapa',
+  'export.calendar': 'Exportar todo al calendario',
+  'export.zip': 'Descargar todo en ZIP',
+  'export.zipping': 'Comprimiendo {done}/{total}…',
+  'export.zipSkipped': {
+    one: '{count} de {total} PDF no se pudo descargar y quedó fuera del ZIP.',
+    other: '{count} de {total} PDF no se pudieron descargar y quedaron fuera del ZIP.',
+  },
+  'export.zipFailed': 'No se pudo crear el ZIP: {message}',
+
+  'calendar.prev': 'Anterior',
+  'calendar.next': 'Siguiente',
+  'calendar.previousMonth': 'Mes anterior',
+  'calendar.nextMonth': 'Mes siguiente',
+  'calendar.today': 'Hoy',
+  'list.saved': 'Guardado',
+  'calendar.undated': {
+    one: '{count} torneo no tiene fechas y no aparece en el calendario.',
+    other: '{count} torneos no tienen fechas y no aparecen en el calendario.',
+  },
+  'table.dates': 'Fechas',
+  'table.tournament': 'Torneo',
+  'table.location': 'Lugar',
+  'table.plan': 'Plan',
+  'table.planLabel': 'Planificar {title}',
+  'map.approximate': 'La ciudad no está en nuestro nomenclátor; se sitúa en el centro del país.',
+  'map.unplaced': {
+    one: '{count} torneo no tiene ubicación conocida y no aparece en el mapa.',
+    other: '{count} torneos no tienen ubicación conocida y no aparecen en el mapa.',
+  },
+
+  'plan.title': 'Plan de temporada ({count})',
+  'plan.clear': 'Vaciar plan',
+  'plan.empty': 'Usa «{action}» en los torneos de abajo para preparar tu temporada. Aquí se señalan las fechas que coinciden y los viajes ajustados entre países.',
+  'plan.noConflicts': 'Tu plan no tiene fechas que coincidan ni viajes ajustados.',
+  'plan.overlapLabel': 'Fechas que coinciden:',
+  'plan.travelLabel': 'Viaje ajustado:',
+  'plan.overlap': {
+    one: '{first} y {second} coinciden {count} día.',
+    other: '{first} y {second} coinciden {count} días.',
+  },
+  'plan.travelNoDay': 'Después de {first} ({firstCountry}) viene {second} ({secondCountry}) sin ningún día libre para viajar.',
+  'plan.travel': {
+    one: 'Después de {first} ({firstCountry}) viene {second} ({secondCountry}) con solo {count} día libre para viajar.',
+    other: 'Después de {first} ({firstCountry}) viene {second} ({secondCountry}) con solo {count} días libres para viajar.',
+  },
+  'plan.undated': 'Fuera de la cronología (sin fechas):',
+  'plan.remove': 'Quitar del plan',
+  'plan.removeLabel': 'Quitar {title} del plan',
+
+  'page.loading': 'Cargando torneo...',
+  'page.notFound': 'Torneo no encontrado',
+  'page.notFoundHint': 'Puede que el organizador lo haya retirado o cambiado de nombre.',
+  'page.back': 'Volver a todos los torneos',
+  'page.noPreview': 'No hay vista previa disponible para este documento.',
+  'page.openOriginal': 'Abrir original',
+  'page.save': '☆ Guardar',
+  'page.saved': '★ Guardado',
+  'page.share': 'Compartir',
+  'page.shareNative': 'Compartir…',
+  'page.copyLink': 'Copiar enlace',
+  'page.linkCopied': 'Enlace copiado',
+  'page.email': 'Correo',
+  'page.related': 'Torneos relacionados',
+  'page.relatedHint': 'En la misma ciudad o el mismo mes.',
+  'meta.admin': 'Calidad de los datos',
+  'meta.submit': 'Enviar un torneo',
+  'meta.submitDescription': 'Añade tu torneo de ajedrez al Global Chess Tournament Finder.',
+  'meta.loading': 'Cargando torneo',
+  'meta.notFound': 'Torneo no encontrado',
+
+  'feeds.subscribe': 'Suscríbete a estos resultados:',
+  'widget.error': 'No se pudo cargar la lista de torneos.',
+  'widget.seeAll': { one: 'Verlo en {site}', other: 'Ver los {count} en {site}' },
+
+  'card.save': 'Guardar en mis torneos',
+  'card.unsave': 'Quitar de mis torneos',
+  'card.missing': 'Este evento ya no aparece en la lista. Puede haberse cancelado o renombrado; consulta con el organizador.',
+  'card.days': { one: '({count} día)', other: '({count} días)' },
+  'card.kmAway': 'a {distance} km',
+  'card.approximate': 'Medido desde el centro del país',
+  'card.viewPdf': 'Ver PDF',
+  'card.downloadPdf': 'Descargar PDF',
+  'card.downloading': 'Descargando…',
+  'card.downloadFailed': 'No se pudo descargar el PDF: {message}',
+  'card.addToCalendar': 'Añadir al calendario',
+  'card.inPlan': 'En el plan ✓',
+  'card.addToPlan': 'Añadir al plan',
+  'card.openOffline': 'Abrir copia sin conexión',
+  'card.notOffline': 'No guardado sin conexión',
+  'card.saving': 'Guardando…',
+  'card.removing': 'Eliminando…',
+  'card.saveOffline': 'Guardar sin conexión',
+  'card.removeOffline': 'Eliminar copia sin conexión',
+  'card.offlineFailed': 'No se pudo actualizar la copia sin conexión: {message}',
+
+  'countdown.today': 'Empieza hoy',
+  'countdown.tomorrow': 'Empieza mañana',
+  'countdown.days': { one: 'Empieza en {count} día', other: 'Empieza en {count} días' },
+  'countdown.ongoing': 'En curso',
+  'countdown.ended': 'Finalizado',
+
+  'alerts.toggle': 'Alertas',
+  'alerts.unread': { one: '{count} nueva', other: '{count} nuevas' },
+  'alerts.title': 'Búsquedas guardadas y alertas',
+  'alerts.saved': 'Búsquedas guardadas',
+  'alerts.saveLabel': 'Nombre de esta búsqueda',
+  'alerts.save': 'Guardar filtros actuales',
+  'alerts.defaultName': 'Todos los torneos',
+  'alerts.noSearches': 'Aún no hay búsquedas guardadas. Ajusta los filtros y guárdalos para enterarte de los nuevos torneos que coincidan.',
+  'alerts.show': 'Mostrar',
+  'alerts.remove': 'Quitar',
+  'alerts.browser': 'Mostrar también notificaciones del navegador',
+  'alerts.browserBlocked': 'Las notificaciones están bloqueadas en la configuración del navegador.',
+  'alerts.inbox': 'Torneos nuevos',
+  'alerts.emptyInbox': 'Nada nuevo por ahora. Los torneos nuevos que coincidan con una búsqueda guardada aparecen aquí tras cada actualización.',
+  'alerts.matches': 'Coincide con {names}',
+  'alerts.markRead': 'Marcar todo como leído',
+  'alerts.clear': 'Borrar',
+  'alerts.notifyOne': 'Nuevo torneo: {title}',
+  'alerts.notifyMany': { one: '{count} torneo nuevo', other: '{count} torneos nuevos' },
+  'alerts.notifyBody': 'Coincide con tu búsqueda guardada: {names}',
+
+  'details.fideRated': 'Con rating FIDE',
+  'details.notFideRated': 'Sin rating FIDE',
+  'details.rounds': 'Rondas:',
+  'details.timeControl': 'Ritmo de juego:',
+  'details.entryFee': 'Inscripción:',
+  'details.prizeFund': 'Premios:',
+  'details.registerBy': 'Inscripción hasta:',
+  'details.contact': 'Contacto:',
+};
+
+const fr = {
+  'app.title': 'Recherche mondiale de tournois d\'échecs',
+  'app.tagline': 'Trouvez facilement des tournois d\'échecs dans le monde entier',
+  'app.submit': 'Vous organisez un tournoi ? Proposez-le',
+  'app.language': 'Langue',
+  'app.theme': 'Thème',
+  'theme.system': 'Thème du système',
+  'theme.light': 'Clair',
+  'theme.dark': 'Sombre',
+  'app.disclaimer': 'Nous veillons à l\'exactitude des informations, mais les détails peuvent changer. Nous vous conseillons de vérifier auprès des organisateurs.',
+
+  'filters.toggle': 'Filtres',
+  'filters.clear': 'Effacer',
+  'filters.clearAll': 'Effacer les filtres',
+  'filters.search': 'Rechercher',
+  'filters.searchPlaceholder': 'Rechercher, ex. blitz country:spain',
+  'filters.searchHelp': 'Cherche dans le titre, la ville, le pays et le type. Utilisez des "guillemets" pour une expression et country:, type:, city: ou title: pour un seul champ.',
+  'filters.month': 'Mois',
+  'filters.country': 'Pays',
+  'filters.type': 'Type',
+  'filters.status': 'Statut',
+  'filters.from': 'Du',
+  'filters.to': 'Au',
+  'filters.all': 'Tous',
+  'filters.selected': '{count} sélectionnés',
+  'filters.noOptions': 'Aucune option',
+  'filters.clearSelection': 'Effacer la sélection',
+  'filters.saved': 'Mes tournois ({count})',
+  'filters.plan': 'Planifier ma saison ({count})',
+  'filters.near': 'Près de',
+  'filters.nearPlaceholder': 'Ville, Pays',
+  'filters.within': 'dans un rayon de',
+  'filters.anyDistance': 'toute distance',
+  'filters.pickCity': 'Choisissez une ville dans la liste',
+  'filters.fideOnly': 'Homologués FIDE uniquement',
+  'filters.fee': 'Inscription',
+  'filters.anyFee': 'tous',
+  'filters.feeUpTo': 'jusqu\'à {amount}',
+  'filters.readingPdfs': 'Lecture des PDF des tournois… encore {count}',
+  'filters.missingSaved': {
+    one: '{count} événement enregistré n\'est plus listé',
+    other: '{count} événements enregistrés ne sont plus listés',
+  },
+
+  'status.All': 'Tous',
+  'status.Upcoming': 'À venir',
+  'status.Ongoing': 'En cours',
+  'status.ThisWeekend': 'Ce week-end',
+  'status.Next7': '7 prochains jours',
+  'status.Next30': '30 prochains jours',
+  'status.Custom': 'Dates personnalisées…',
+  'status.Completed': 'Terminés',
+
+  'type.Classical': 'Classique',
+  'type.Rapid': 'Rapide',
+  'type.Blitz': 'Blitz',
+
+  'error.title': 'Erreur :',
+  'error.loadFailed': 'Impossible de charger les tournois : {message}. Veuillez réessayer plus tard.',
+  'error.staleTitle': 'Actualisation impossible :',
+  'error.staleList': 'Affichage de la liste enregistrée {time}.',
+  'error.earlier': 'précédemment',
+  'error.retry': 'Réessayer',
+  'error.retrying': 'Nouvel essai…',
+
+  'updated.refreshing': 'Actualisation…',
+  'updated.last': 'Mis à jour {time}',
+  'updated.refresh': 'Actualiser',
+  'time.justNow': 'à l\'instant',
+
+  'list.loading': 'Chargement des tournois...',
+  'list.empty': 'Aucun tournoi trouvé !',
+  'list.emptyHint': 'Modifiez ou effacez les filtres pour voir plus de résultats.',
+  'list.clearAll': 'Effacer tous les filtres',
+  'list.count': { one: '{count} tournoi', other: '{count} tournois' },
+  'list.layout': 'Affichage',
+  'view.grid': 'Cartes',
+  'view.calendar': 'Calendrier',
+  'view.table': 'Tableau',
+  'sort.label': 'Trier par',
+  'sort.relevance': 'Pertinence',
+  'sort.date': 'Date',
+  'sort.distance': 'Distance',
+  'sort.distanceFrom': 'Distance depuis {city}',
+  'map.show': 'Afficher la carte',
+  'map.hide': 'Masquer la carte',
+  'export.calendar': 'Tout exporter vers le calendrier',
+  'export.zip': 'Tout télécharger en ZIP',
+  'export.zipping': 'Compression {done}/{total}…',
+  'export.zipSkipped': {
+    one: '{count} PDF sur {total} n\'a pas pu être téléchargé et a été exclu du ZIP.',
+    other: '{count} PDF sur {total} n\'ont pas pu être téléchargés et ont été exclus du ZIP.',
+  },
+  'export.zipFailed': 'Impossible de créer le ZIP : {message}',
+
+  'calendar.prev': 'Préc.',
+  'calendar.next': 'Suiv.',
+  'calendar.previousMonth': 'Mois précédent',
+  'calendar.nextMonth': 'Mois suivant',
+  'calendar.today': 'Aujourd\'hui',
+  'list.saved': 'Enregistré',
+  'calendar.undated': {
+    one: '{count} tournoi n\'a pas de dates et n\'apparaît pas dans le calendrier.',
+    other: '{count} tournois n\'ont pas de dates et n\'apparaissent pas dans le calendrier.',
+  },
+  'table.dates': 'Dates',
+  'table.tournament': 'Tournoi',
+  'table.location': 'Lieu',
+  'table.plan': 'Programme',
+  'table.planLabel': 'Programmer {title}',
+  'map.approximate': 'Ville absente de notre répertoire ; placée au centre du pays.',
+  'map.unplaced': {
+    one: '{count} tournoi n\'a pas de lieu connu et n\'apparaît pas sur la carte.',
+    other: '{count} tournois n\'ont pas de lieu connu et n\'apparaissent pas sur la carte.',
+  },
+
+  'plan.title': 'Programme de la saison ({count})',
+  'plan.clear': 'Vider le programme',
+  'plan.empty': 'Utilisez « {action} » sur les tournois ci-dessous pour construire votre saison. Les dates qui se chevauchent et les voyages trop serrés entre pays sont signalés ici.',
+  'plan.noConflicts': 'Aucun chevauchement de dates ni voyage serré dans votre programme.',
+  'plan.overlapLabel': 'Dates en conflit :',
+  'plan.travelLabel': 'Voyage serré :',
+  'plan.overlap': {
+    one: '{first} et {second} se chevauchent sur {count} jour.',
+    other: '{first} et {second} se chevauchent sur {count} jours.',
+  },
+  'plan.travelNoDay': '{first} ({firstCountry}) est suivi de {second} ({secondCountry}) sans aucun jour libre pour voyager.',
+  'plan.travel': {
+    one: '{first} ({firstCountry}) est suivi de {second} ({secondCountry}) avec seulement {count} jour libre pour voyager.',
+    other: '{first} ({firstCountry}) est suivi de {second} ({secondCountry}) avec seulement {count} jours libres pour voyager.',
+  },
+  'plan.undated': 'Hors de la frise (sans dates) :',
+  'plan.remove': 'Retirer du programme',
+  'plan.removeLabel': 'Retirer {title} du programme',
+
+  'page.loading': 'Chargement du tournoi...',
+  'page.notFound': 'Tournoi introuvable',
+  'page.notFoundHint': 'L\'organisateur l\'a peut-être retiré ou renommé.',
+  'page.back': 'Retour à tous les tournois',
+  'page.noPreview': 'Aucun aperçu n\'est disponible pour ce document.',
+  'page.openOriginal': 'Ouvrir l\'original',
+  'page.save': '☆ Enregistrer',
+  'page.saved': '★ Enregistré',
+  'page.share': 'Partager',
+  'page.shareNative': 'Partager…',
+  'page.copyLink': 'Copier le lien',
+  'page.linkCopied': 'Lien copié',
+  'page.email': 'E-mail',
+  'page.related': 'Tournois similaires',
+  'page.relatedHint': 'Dans la même ville ou le même mois.',
+  'meta.admin': 'Qualité des données',
+  'meta.submit': 'Proposer un tournoi',
+  'meta.submitDescription': 'Ajoutez votre tournoi d\'échecs au Global Chess Tournament Finder.',
+  'meta.loading': 'Chargement du tournoi',
+  'meta.notFound': 'Tournoi introuvable',
+
+  'feeds.subscribe': 'S\'abonner à ces résultats :',
+  'widget.error': 'La liste des tournois n\'a pas pu être chargée.',
+  'widget.seeAll': { one: 'Le voir sur {site}', other: 'Voir les {count} sur {site}' },
+
+  'card.save': 'Ajouter à mes tournois',
+  'card.unsave': 'Retirer de mes tournois',
+  'card.missing': 'Cet événement n\'est plus listé. Il a peut-être été annulé ou renommé ; vérifiez auprès de l\'organisateur.',
+  'card.days': { one: '({count} jour)', other: '({count} jours)' },
+  'card.kmAway': 'à {distance} km',
+  'card.approximate': 'Mesuré depuis le centre du pays',
+  'card.viewPdf': 'Voir le PDF',
+  'card.downloadPdf': 'Télécharger le PDF',
+  'card.downloading': 'Téléchargement…',
+  'card.downloadFailed': 'Impossible de télécharger le PDF : {message}',
+  'card.addToCalendar': 'Ajouter au calendrier',
+  'card.inPlan': 'Dans le plan ✓',
+  'card.addToPlan': 'Ajouter au plan',
+  'card.openOffline': 'Ouvrir la copie hors ligne',
+  'card.notOffline': 'Non disponible hors ligne',
+  'card.saving': 'Enregistrement…',
+  'card.removing': 'Suppression…',
+  'card.saveOffline': 'Enregistrer hors ligne',
+  'card.removeOffline': 'Supprimer la copie hors ligne',
+  'card.offlineFailed': 'Impossible de mettre à jour la copie hors ligne : {message}',
+
+  'countdown.today': 'Commence aujourd\'hui',
+  'countdown.tomorrow': 'Commence demain',
+  'countdown.days': { one: 'Commence dans {count} jour', other: 'Commence dans {count} jours' },
+  'countdown.ongoing': 'En cours',
+  'countdown.ended': 'Terminé',
+
+  'alerts.toggle': 'Alertes',
+  'alerts.unread': { one: '{count} nouvelle', other: '{count} nouvelles' },
+  'alerts.title': 'Recherches enregistrées et alertes',
+  'alerts.saved': 'Recherches enregistrées',
+  'alerts.saveLabel': 'Nom de cette recherche',
+  'alerts.save': 'Enregistrer les filtres actuels',
+  'alerts.defaultName': 'Tous les tournois',
+  'alerts.noSearches': 'Aucune recherche enregistrée. Choisissez vos filtres et enregistrez-les pour être prévenu des nouveaux tournois correspondants.',
+  'alerts.show': 'Afficher',
+  'alerts.remove': 'Supprimer',
+  'alerts.browser': 'Afficher aussi les notifications du navigateur',
+  'alerts.browserBlocked': 'Les notifications sont bloquées dans les réglages du navigateur.',
+  'alerts.inbox': 'Nouveaux tournois',
+  'alerts.emptyInbox': 'Rien de nouveau. Les nouveaux tournois correspondant à une recherche enregistrée apparaissent ici après chaque actualisation.',
+  'alerts.matches': 'Correspond à {names}',
+  'alerts.markRead': 'Tout marquer comme lu',
+  'alerts.clear': 'Effacer',
+  'alerts.notifyOne': 'Nouveau tournoi : {title}',
+  'alerts.notifyMany': { one: '{count} nouveau tournoi', other: '{count} nouveaux tournois' },
+  'alerts.notifyBody': 'Correspond à votre recherche enregistrée : {names}',
+
+  'details.fideRated': 'Homologué FIDE',
+  'details.notFideRated': 'Non homologué FIDE',
+  'details.rounds': 'Rondes :',
+  'details.timeControl': 'Cadence :',
+  'details.entryFee': 'Inscription :',
+  'details.prizeFund': 'Prix :',
+  'details.registerBy': 'Inscription avant le :',
+  'details.contact': 'Contact :',
+};
+
+const de = {
+  'app.title': 'Weltweite Schachturnier-Suche',
+  'app.tagline': 'Schachturniere auf der ganzen Welt einfach finden',
+  'app.submit': 'Sie veranstalten ein Turnier? Reichen Sie es ein',
+  'app.language': 'Sprache',
+  'app.theme': 'Design',
+  'theme.system': 'Systemdesign',
+  'theme.light': 'Hell',
+  'theme.dark': 'Dunkel',
+  'app.disclaimer': 'Wir achten auf Genauigkeit, doch Turnierdetails können sich ändern. Bitte lassen Sie sich Angaben von den Veranstaltern bestätigen.',
+
+  'filters.toggle': 'Filter',
+  'filters.clear': 'Zurücksetzen',
+  'filters.clearAll': 'Filter zurücksetzen',
+  'filters.search': 'Suche',
+  'filters.searchPlaceholder': 'Suchen, z. B. blitz country:spain',
+  'filters.searchHelp': 'Durchsucht Titel, Stadt, Land und Typ. "Anführungszeichen" für Wortgruppen, country:, type:, city: oder title: für ein einzelnes Feld.',
+  'filters.month': 'Monat',
+  'filters.country': 'Land',
+  'filters.type': 'Typ',
+  'filters.status': 'Status',
+  'filters.from': 'Von',
+  'filters.to': 'Bis',
+  'filters.all': 'Alle',
+  'filters.selected': '{count} ausgewählt',
+  'filters.noOptions': 'Keine Optionen',
+  'filters.clearSelection': 'Auswahl aufheben',
+  'filters.saved': 'Meine Turniere ({count})',
+  'filters.plan': 'Saison planen ({count})',
+  'filters.near': 'In der Nähe von',
+  'filters.nearPlaceholder': 'Stadt, Land',
+  'filters.within': 'im Umkreis von',
+  'filters.anyDistance': 'beliebiger Entfernung',
+  'filters.pickCity': 'Wählen Sie eine Stadt aus der Liste',
+  'filters.fideOnly': 'Nur FIDE-gewertet',
+  'filters.fee': 'Startgeld',
+  'filters.anyFee': 'beliebig',
+  'filters.feeUpTo': 'bis {amount}',
+  'filters.readingPdfs': 'Turnier-PDFs werden gelesen… noch {count}',
+  'filters.missingSaved': {
+    one: '{count} gespeichertes Turnier ist nicht mehr gelistet',
+    other: '{count} gespeicherte Turniere sind nicht mehr gelistet',
+  },
+
+  'status.All': 'Alle',
+  'status.Upcoming': 'Bevorstehend',
+  'status.Ongoing': 'Laufend',
+  'status.ThisWeekend': 'Dieses Wochenende',
+  'status.Next7': 'Nächste 7 Tage',
+  'status.Next30': 'Nächste 30 Tage',
+  'status.Custom': 'Eigener Zeitraum…',
+  'status.Completed': 'Beendet',
+
+  'type.Classical': 'Klassisch',
+  'type.Rapid': 'Schnellschach',
+  'type.Blitz': 'Blitz',
+
+  'error.title': 'Fehler:',
+  'error.loadFailed': 'Turniere konnten nicht geladen werden: {message}. Bitte versuchen Sie es später erneut.',
+  'error.staleTitle': 'Aktualisierung fehlgeschlagen:',
+  'error.staleList': 'Angezeigt wird die Liste von {time}.',
+  'error.earlier': 'früher',
+  'error.retry': 'Erneut versuchen',
+  'error.retrying': 'Neuer Versuch…',
+
+  'updated.refreshing': 'Wird aktualisiert…',
+  'updated.last': 'Zuletzt aktualisiert {time}',
+  'updated.refresh': 'Aktualisieren',
+  'time.justNow': 'gerade eben',
+
+  'list.loading': 'Turniere werden geladen...',
+  'list.empty': 'Keine Turniere gefunden!',
+  'list.emptyHint': 'Passen Sie die Filter an oder setzen Sie sie zurück, um mehr Ergebnisse zu sehen.',
+  'list.clearAll': 'Alle Filter zurücksetzen',
+  'list.count': { one: '{count} Turnier', other: '{count} Turniere' },
+  'list.layout': 'Ansicht',
+  'view.grid': 'Karten',
+  'view.calendar': 'Kalender',
+  'view.table': 'Tabelle',
+  'sort.label': 'Sortieren nach',
+  'sort.relevance': 'Relevanz',
+  'sort.date': 'Datum',
+  'sort.distance': 'Entfernung',
+  'sort.distanceFrom': 'Entfernung von {city}',
+  'map.show': 'Karte anzeigen',
+  'map.hide': 'Karte ausblenden',
+  'export.calendar': 'Alle in den Kalender exportieren',
+  'export.zip': 'Alle als ZIP herunterladen',
+  'export.zipping': 'ZIP wird erstellt {done}/{total}…',
+  'export.zipSkipped': {
+    one: '{count} von {total} PDFs konnte nicht heruntergeladen werden und fehlt im ZIP.',
+    other: '{count} von {total} PDFs konnten nicht heruntergeladen werden und fehlen im ZIP.',
+  },
+  'export.zipFailed': 'ZIP konnte nicht erstellt werden: {message}',
+
+  'calendar.prev': 'Zurück',
+  'calendar.next': 'Weiter',
+  'calendar.previousMonth': 'Vorheriger Monat',
+  'calendar.nextMonth': 'Nächster Monat',
+  'calendar.today': 'Heute',
+  'list.saved': 'Gespeichert',
+  'calendar.undated': {
+    one: '{count} Turnier hat keine Daten und wird im Kalender nicht angezeigt.',
+    other: '{count} Turniere haben keine Daten und werden im Kalender nicht angezeigt.',
+  },
+  'table.dates': 'Daten',
+  'table.tournament': 'Turnier',
+  'table.location': 'Ort',
+  'table.plan': 'Plan',
+  'table.planLabel': '{title} einplanen',
+  'map.approximate': 'Stadt nicht in unserem Ortsverzeichnis; in der Landesmitte platziert.',
+  'map.unplaced': {
+    one: '{count} Turnier hat keinen bekannten Ort und wird auf der Karte nicht angezeigt.',
+    other: '{count} Turniere haben keinen bekannten Ort und werden auf der Karte nicht angezeigt.',
+  },
+
+  'plan.title': 'Saisonplan ({count})',
+  'plan.clear': 'Plan leeren',
+  'plan.empty': 'Mit „{action}“ bei den Turnieren unten stellen Sie Ihre Saison zusammen. Überschneidende Termine und knappe Reisen zwischen Ländern werden hier markiert.',
+  'plan.noConflicts': 'Keine Terminüberschneidungen oder knappen Reisen in Ihrem Plan.',
+  'plan.overlapLabel': 'Terminüberschneidung:',
+  'plan.travelLabel': 'Knappe Reise:',
+  'plan.overlap': {
+    one: '{first} und {second} überschneiden sich um {count} Tag.',
+    other: '{first} und {second} überschneiden sich um {count} Tage.',
+  },
+  'plan.travelNoDay': 'Auf {first} ({firstCountry}) folgt {second} ({secondCountry}) ohne freien Tag für die Reise.',
+  'plan.travel': {
+    one: 'Auf {first} ({firstCountry}) folgt {second} ({secondCountry}) mit nur {count} freien Tag für die Reise.',
+    other: 'Auf {first} ({firstCountry}) folgt {second} ({secondCountry}) mit nur {count} freien Tagen für die Reise.',
+  },
+  'plan.undated': 'Nicht auf der Zeitleiste (ohne Daten):',
+  'plan.remove': 'Aus dem Plan entfernen',
+  'plan.removeLabel': '{title} aus dem Plan entfernen',
+
+  'page.loading': 'Turnier wird geladen...',
+  'page.notFound': 'Turnier nicht gefunden',
+  'page.notFoundHint': 'Der Veranstalter hat es möglicherweise entfernt oder umbenannt.',
+  'page.back': 'Zurück zu allen Turnieren',
+  'page.noPreview': 'Für dieses Dokument ist keine Vorschau verfügbar.',
+  'page.openOriginal': 'Original öffnen',
+  'page.save': '☆ Merken',
+  'page.saved': '★ Gemerkt',
+  'page.share': 'Teilen',
+  'page.shareNative': 'Teilen…',
+  'page.copyLink': 'Link kopieren',
+  'page.linkCopied': 'Link kopiert',
+  'page.email': 'E-Mail',
+  'page.related': 'Ähnliche Turniere',
+  'page.relatedHint': 'In derselben Stadt oder im selben Monat.',
+  'meta.admin': 'Datenqualität',
+  'meta.submit': 'Turnier einreichen',
+  'meta.submitDescription': 'Tragen Sie Ihr Schachturnier im Global Chess Tournament Finder ein.',
+  'meta.loading': 'Turnier wird geladen',
+  'meta.notFound': 'Turnier nicht gefunden',
+
+  'feeds.subscribe': 'Diese Ergebnisse abonnieren:',
+  'widget.error': 'Die Turnierliste konnte nicht geladen werden.',
+  'widget.seeAll': { one: 'Auf {site} ansehen', other: 'Alle {count} auf {site} ansehen' },
+
+  'card.save': 'Zu meinen Turnieren hinzufügen',
+  'card.unsave': 'Aus meinen Turnieren entfernen',
+  'card.missing': 'Dieses Turnier ist nicht mehr gelistet. Es wurde möglicherweise abgesagt oder umbenannt; fragen Sie beim Veranstalter nach.',
+  'card.days': { one: '({count} Tag)', other: '({count} Tage)' },
+  'card.kmAway': '{distance} km entfernt',
+  'card.approximate': 'Gemessen ab der Landesmitte',
+  'card.viewPdf': 'PDF ansehen',
+  'card.downloadPdf': 'PDF herunterladen',
+  'card.downloading': 'Wird heruntergeladen…',
+  'card.downloadFailed': 'PDF konnte nicht heruntergeladen werden: {message}',
+  'card.addToCalendar': 'Zum Kalender hinzufügen',
+  'card.inPlan': 'Im Plan ✓',
+  'card.addToPlan': 'Zum Plan hinzufügen',
+  'card.openOffline': 'Offline-Kopie öffnen',
+  'card.notOffline': 'Nicht offline gespeichert',
+  'card.saving': 'Wird gespeichert…',
+  'card.removing': 'Wird entfernt…',
+  'card.saveOffline': 'Offline speichern',
+  'card.removeOffline': 'Offline-Kopie entfernen',
+  'card.offlineFailed': 'Offline-Kopie konnte nicht aktualisiert werden: {message}',
+
+  'countdown.today': 'Beginnt heute',
+  'countdown.tomorrow': 'Beginnt morgen',
+  'countdown.days': { one: 'Beginnt in {count} Tag', other: 'Beginnt in {count} Tagen' },
+  'countdown.ongoing': 'Läuft',
+  'countdown.ended': 'Beendet',
+
+  'alerts.toggle': 'Benachrichtigungen',
+  'alerts.unread': { one: '{count} neu', other: '{count} neu' },
+  'alerts.title': 'Gespeicherte Suchen und Benachrichtigungen',
+  'alerts.saved': 'Gespeicherte Suchen',
+  'alerts.saveLabel': 'Name dieser Suche',
+  'alerts.save': 'Aktuelle Filter speichern',
+  'alerts.defaultName': 'Alle Turniere',
+  'alerts.noSearches': 'Noch keine gespeicherten Suchen. Stellen Sie die gewünschten Filter ein und speichern Sie sie, um von neuen passenden Turnieren zu erfahren.',
+  'alerts.show': 'Anzeigen',
+  'alerts.remove': 'Entfernen',
+  'alerts.browser': 'Auch Browser-Benachrichtigungen anzeigen',
+  'alerts.browserBlocked': 'Benachrichtigungen sind in den Browser-Einstellungen blockiert.',
+  'alerts.inbox': 'Neue Turniere',
+  'alerts.emptyInbox': 'Noch nichts Neues. Neue Turniere, die zu einer gespeicherten Suche passen, erscheinen hier nach jeder Aktualisierung.',
+  'alerts.matches': 'Passt zu {names}',
+  'alerts.markRead': 'Alle als gelesen markieren',
+  'alerts.clear': 'Leeren',
+  'alerts.notifyOne': 'Neues Turnier: {title}',
+  'alerts.notifyMany': { one: '{count} neues Turnier', other: '{count} neue Turniere' },
+  'alerts.notifyBody': 'Passt zu Ihrer gespeicherten Suche: {names}',
+
+  'details.fideRated': 'FIDE-gewertet',
+  'details.notFideRated': 'Nicht FIDE-gewertet',
+  'details.rounds': 'Runden:',
+  'details.timeControl': 'Bedenkzeit:',
+  'details.entryFee': 'Startgeld:',
+  'details.prizeFund': 'Preisfonds:',
+  'details.registerBy': 'Anmeldung bis:',
+  'details.contact': 'Kontakt:',
+};
+
+const hi = {
+  'app.title': 'वैश्विक शतरंज टूर्नामेंट खोजक',
+  'app.tagline': 'दुनिया भर में शतरंज टूर्नामेंट खोजना अब आसान',
+  'app.submit': 'टूर्नामेंट आयोजित कर रहे हैं? उसे जमा करें',
+  'app.language': 'भाषा',
+  'app.theme': 'थीम',
+  'theme.system': 'सिस्टम थीम',
+  'theme.light': 'लाइट',
+  'theme.dark': 'डार्क',
+  'app.disclaimer': 'हम सटीक जानकारी देने का प्रयास करते हैं, लेकिन टूर्नामेंट का विवरण बदल सकता है। कृपया आयोजकों से पुष्टि करें।',
+
+  'filters.toggle': 'फ़िल्टर',
+  'filters.clear': 'हटाएँ',
+  'filters.clearAll': 'फ़िल्टर हटाएँ',
+  'filters.search': 'खोजें',
+  'filters.searchPlaceholder': 'खोजें, जैसे blitz country:spain',
+  'filters.searchHelp': 'शीर्षक, शहर, देश और प्रकार में खोजता है। वाक्यांश के लिए "उद्धरण चिह्न" और एक ही फ़ील्ड के लिए country:, type:, city: या title: का उपयोग करें।',
+  'filters.month': 'महीना',
+  'filters.country': 'देश',
+  'filters.type': 'प्रकार',
+  'filters.status': 'स्थिति',
+  'filters.from': 'से',
+  'filters.to': 'तक',
+  'filters.all': 'सभी',
+  'filters.selected': '{count} चुने गए',
+  'filters.noOptions': 'कोई विकल्प नहीं',
+  'filters.clearSelection': 'चयन हटाएँ',
+  'filters.saved': 'मेरे टूर्नामेंट ({count})',
+  'filters.plan': 'मेरा सीज़न प्लान करें ({count})',
+  'filters.near': 'पास में',
+  'filters.nearPlaceholder': 'शहर, देश',
+  'filters.within': 'दूरी',
+  'filters.anyDistance': 'कोई भी दूरी',
+  'filters.pickCity': 'सूची से कोई शहर चुनें',
+  'filters.fideOnly': 'केवल FIDE रेटेड',
+  'filters.fee': 'प्रवेश शुल्क',
+  'filters.anyFee': 'कोई भी',
+  'filters.feeUpTo': '{amount} तक',
+  'filters.readingPdfs': 'टूर्नामेंट PDF पढ़े जा रहे हैं… {count} बाकी',
+  'filters.missingSaved': {
+    one: '{count} सहेजा गया टूर्नामेंट अब सूची में नहीं है',
+    other: '{count} सहेजे गए टूर्नामेंट अब सूची में नहीं हैं',
+  },
+
+  'status.All': 'सभी',
+  'status.Upcoming': 'आगामी',
+  'status.Ongoing': 'जारी',
+  'status.ThisWeekend': 'इस सप्ताहांत',
+  'status.Next7': 'अगले 7 दिन',
+  'status.Next30': 'अगले 30 दिन',
+  'status.Custom': 'अपनी तारीखें…',
+  'status.Completed': 'समाप्त',
+
+  'type.Classical': 'क्लासिकल',
+  'type.Rapid': 'रैपिड',
+  'type.Blitz': 'ब्लिट्ज़',
+
+  'error.title': 'त्रुटि:',
+  'error.loadFailed': 'टूर्नामेंट लोड नहीं हो सके: {message}। कृपया बाद में फिर से प्रयास करें।',
+  'error.staleTitle': 'रीफ़्रेश नहीं हो सका:',
+  'error.staleList': '{time} सहेजी गई सूची दिखाई जा रही है।',
+  'error.earlier': 'पहले',
+  'error.retry': 'फिर से प्रयास करें',
+  'error.retrying': 'फिर से प्रयास हो रहा है…',
+
+  'updated.refreshing': 'रीफ़्रेश हो रहा है…',
+  'updated.last': 'अंतिम अपडेट {time}',
+  'updated.refresh': 'रीफ़्रेश करें',
+  'time.justNow': 'अभी-अभी',
+
+  'list.loading': 'टूर्नामेंट लोड हो रहे हैं...',
+  'list.empty': 'कोई टूर्नामेंट नहीं मिला!',
+  'list.emptyHint': 'ज़्यादा परिणाम देखने के लिए फ़िल्टर बदलें या हटाएँ।',
+  'list.clearAll': 'सभी फ़िल्टर हटाएँ',
+  'list.count': { one: '{count} टूर्नामेंट', other: '{count} टूर्नामेंट' },
+  'list.layout': 'दृश्य',
+  'view.grid': 'कार्ड',
+  'view.calendar': 'कैलेंडर',
+  'view.table': 'तालिका',
+  'sort.label': 'क्रम',
+  'sort.relevance': 'सबसे प्रासंगिक',
+  'sort.date': 'तारीख',
+  'sort.distance': 'दूरी',
+  'sort.distanceFrom': '{city} से दूरी',
+  'map.show': 'नक्शा दिखाएँ',
+  'map.hide': 'नक्शा छिपाएँ',
+  'export.calendar': 'सभी को कैलेंडर में जोड़ें',
+  'export.zip': 'सभी को ZIP में डाउनलोड करें',
+  'export.zipping': 'ZIP बन रहा है {done}/{total}…',
+  'export.zipSkipped': {
+    one: '{total} में से {count} PDF डाउनलोड नहीं हो सकी और ZIP में शामिल नहीं है।',
+    other: '{total} में से {count} PDF डाउनलोड नहीं हो सकीं और ZIP में शामिल नहीं हैं।',
+  },
+  'export.zipFailed': 'ZIP नहीं बन सका: {message}',
+
+  'calendar.prev': 'पिछला',
+  'calendar.next': 'अगला',
+  'calendar.previousMonth': 'पिछला महीना',
+  'calendar.nextMonth': 'अगला महीना',
+  'calendar.today': 'आज',
+  'list.saved': 'सहेजा गया',
+  'calendar.undated': {
+    one: '{count} टूर्नामेंट की कोई तारीख नहीं है और वह कैलेंडर पर नहीं दिखाया गया है।',
+    other: '{count} टूर्नामेंट की कोई तारीख नहीं है और वे कैलेंडर पर नहीं दिखाए गए हैं।',
+  },
+  'table.dates': 'तारीखें',
+  'table.tournament': 'टूर्नामेंट',
+  'table.location': 'स्थान',
+  'table.plan': 'योजना',
+  'table.planLabel': '{title} को योजना में जोड़ें',
+  'map.approximate': 'शहर हमारी सूची में नहीं है; देश के केंद्र पर दिखाया गया है।',
+  'map.unplaced': {
+    one: '{count} टूर्नामेंट का स्थान ज्ञात नहीं है और वह मानचित्र पर नहीं दिखाया गया है।',
+    other: '{count} टूर्नामेंट का स्थान ज्ञात नहीं है और वे मानचित्र पर नहीं दिखाए गए हैं।',
+  },
+
+  'plan.title': 'सीज़न योजना ({count})',
+  'plan.clear': 'योजना खाली करें',
+  'plan.empty': 'अपना सीज़न बनाने के लिए नीचे दिए टूर्नामेंट पर “{action}” का उपयोग करें। टकराती तारीखें और देशों के बीच कम समय वाली यात्रा यहाँ दिखाई जाती हैं।',
+  'plan.noConflicts': 'आपकी योजना में न तारीखें टकराती हैं, न यात्रा का समय कम है।',
+  'plan.overlapLabel': 'तारीखें टकराती हैं:',
+  'plan.travelLabel': 'यात्रा का समय कम:',
+  'plan.overlap': {
+    one: '{first} और {second} {count} दिन एक साथ पड़ते हैं।',
+    other: '{first} और {second} {count} दिन एक साथ पड़ते हैं।',
+  },
+  'plan.travelNoDay': '{first} ({firstCountry}) के बाद {second} ({secondCountry}) है, यात्रा के लिए कोई खाली दिन नहीं।',
+  'plan.travel': {
+    one: '{first} ({firstCountry}) के बाद {second} ({secondCountry}) है, यात्रा के लिए केवल {count} खाली दिन।',
+    other: '{first} ({firstCountry}) के बाद {second} ({secondCountry}) है, यात्रा के लिए केवल {count} खाली दिन।',
+  },
+  'plan.undated': 'समयरेखा पर नहीं (कोई तारीख नहीं):',
+  'plan.remove': 'योजना से हटाएँ',
+  'plan.removeLabel': '{title} को योजना से हटाएँ',
+
+  'page.loading': 'टूर्नामेंट लोड हो रहा है...',
+  'page.notFound': 'टूर्नामेंट नहीं मिला',
+  'page.notFoundHint': 'हो सकता है आयोजक ने इसे हटा दिया हो या इसका नाम बदल दिया हो।',
+  'page.back': 'सभी टूर्नामेंट पर वापस जाएँ',
+  'page.noPreview': 'इस दस्तावेज़ का पूर्वावलोकन उपलब्ध नहीं है।',
+  'page.openOriginal': 'मूल खोलें',
+  'page.save': '☆ सहेजें',
+  'page.saved': '★ सहेजा गया',
+  'page.share': 'साझा करें',
+  'page.shareNative': 'साझा करें…',
+  'page.copyLink': 'लिंक कॉपी करें',
+  'page.linkCopied': 'लिंक कॉपी हो गया',
+  'page.email': 'ईमेल',
+  'page.related': 'संबंधित टूर्नामेंट',
+  'page.relatedHint': 'उसी शहर में या उसी महीने में।',
+  'meta.admin': 'डेटा गुणवत्ता',
+  'meta.submit': 'टूर्नामेंट जमा करें',
+  'meta.submitDescription': 'अपना शतरंज टूर्नामेंट Global Chess Tournament Finder में जोड़ें।',
+  'meta.loading': 'टूर्नामेंट लोड हो रहा है',
+  'meta.notFound': 'टूर्नामेंट नहीं मिला',
+
+  'feeds.subscribe': 'इन परिणामों की सदस्यता लें:',
+  'widget.error': 'टूर्नामेंट सूची लोड नहीं हो सकी।',
+  'widget.seeAll': { one: '{site} पर देखें', other: '{site} पर सभी {count} देखें' },
+
+  'card.save': 'मेरे टूर्नामेंट में सहेजें',
+  'card.unsave': 'मेरे टूर्नामेंट से हटाएँ',
+  'card.missing': 'यह टूर्नामेंट अब सूची में नहीं है। हो सकता है यह रद्द हो गया हो या इसका नाम बदल गया हो; आयोजक से पूछें।',
+  'card.days': { one: '({count} दिन)', other: '({count} दिन)' },
+  'card.kmAway': '{distance} किमी दूर',
+  'card.approximate': 'देश के केंद्र से मापा गया',
+  'card.viewPdf': 'PDF देखें',
+  'card.downloadPdf': 'PDF डाउनलोड करें',
+  'card.downloading': 'डाउनलोड हो रहा है…',
+  'card.downloadFailed': 'PDF डाउनलोड नहीं हो सकी: {message}',
+  'card.addToCalendar': 'कैलेंडर में जोड़ें',
+  'card.inPlan': 'प्लान में ✓',
+  'card.addToPlan': 'प्लान में जोड़ें',
+  'card.openOffline': 'ऑफ़लाइन कॉपी खोलें',
+  'card.notOffline': 'ऑफ़लाइन सहेजा नहीं गया',
+  'card.saving': 'सहेजा जा रहा है…',
+  'card.removing': 'हटाया जा रहा है…',
+  'card.saveOffline': 'ऑफ़लाइन के लिए सहेजें',
+  'card.removeOffline': 'ऑफ़लाइन कॉपी हटाएँ',
+  'card.offlineFailed': 'ऑफ़लाइन कॉपी अपडेट नहीं हो सकी: {message}',
+
+  'countdown.today': 'आज शुरू',
+  'countdown.tomorrow': 'कल शुरू',
+  'countdown.days': { one: '{count} दिन में शुरू', other: '{count} दिन में शुरू' },
+  'countdown.ongoing': 'जारी',
+  'countdown.ended': 'समाप्त',
+
+  'alerts.toggle': 'सूचनाएँ',
+  'alerts.unread': { one: '{count} नई', other: '{count} नई' },
+  'alerts.title': 'सहेजी गई खोजें और सूचनाएँ',
+  'alerts.saved': 'सहेजी गई खोजें',
+  'alerts.saveLabel': 'इस खोज का नाम',
+  'alerts.save': 'मौजूदा फ़िल्टर सहेजें',
+  'alerts.defaultName': 'सभी टूर्नामेंट',
+  'alerts.noSearches': 'अभी कोई खोज सहेजी नहीं गई है। मनचाहे फ़िल्टर चुनें और उन्हें सहेजें, ताकि मेल खाने वाले नए टूर्नामेंट की सूचना मिले।',
+  'alerts.show': 'दिखाएँ',
+  'alerts.remove': 'हटाएँ',
+  'alerts.browser': 'ब्राउज़र सूचनाएँ भी दिखाएँ',
+  'alerts.browserBlocked': 'इस ब्राउज़र की सेटिंग में सूचनाएँ बंद हैं।',
+  'alerts.inbox': 'नए टूर्नामेंट',
+  'alerts.emptyInbox': 'अभी कुछ नया नहीं है। सहेजी गई खोज से मेल खाने वाले नए टूर्नामेंट हर रीफ़्रेश के बाद यहाँ दिखेंगे।',
+  'alerts.matches': '{names} से मेल खाता है',
+  'alerts.markRead': 'सभी को पढ़ा हुआ मानें',
+  'alerts.clear': 'हटाएँ',
+  'alerts.notifyOne': 'नया टूर्नामेंट: {title}',
+  'alerts.notifyMany': { one: '{count} नया टूर्नामेंट', other: '{count} नए टूर्नामेंट' },
+  'alerts.notifyBody': 'आपकी सहेजी गई खोज से मेल खाता है: {names}',
+
+  'details.fideRated': 'FIDE रेटेड',
+  'details.notFideRated': 'FIDE रेटेड नहीं',
+  'details.rounds': 'राउंड:',
+  'details.timeControl': 'टाइम कंट्रोल:',
+  'details.entryFee': 'प्रवेश शुल्क:',
+  'details.prizeFund': 'पुरस्कार राशि:',
+  'details.registerBy': 'पंजीकरण की अंतिम तिथि:',
+  'details.contact': 'संपर्क:',
+};
+
+export const MESSAGES = { en, es, fr, de, hi };
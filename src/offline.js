@@ -0,0 +1,99 @@
+import { useState, useEffect, useCallback } from 'react';
+import { fetchPdf } from './download';
+
+// PDFs saved for offline use are stored in Cache Storage under /offline/<id>.pdf.
+// public/sw.js answers those URLs from the cache, so a saved PDF opens like any
+// other link even without a connection. Must match PDF_CACHE in public/sw.js.
+const PDF_CACHE = 'saved-pdfs';
+
+export const isOfflineSupported = typeof window !== 'undefined' && 'caches' in window && 'serviceWorker' in navigator;
+
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.error('Service worker registration failed:', error);
+    });
+  });
+}
+
+export function offlineUrl(id) {
+  return `/offline/${encodeURIComponent(id)}.pdf`;
+}
+
+function idFromOfflineUrl(url) {
+  const match = new URL(url, window.location.origin).pathname.match(/^\/offline\/(.+)\.pdf$/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+export async function listSavedPdfs() {
+  const cache = await caches.open(PDF_CACHE);
+  const requests = await cache.keys();
+  return requests.map(request => idFromOfflineUrl(request.url)).filter(Boolean);
+}
+
+// Downloads the tournament's PDF and stores it. Needs a CORS-readable PDF URL
+// (see pdfUrl() in download.js).
+export async function savePdf(tournament) {
+  const blob = await fetchPdf(tournament);
+  const cache = await caches.open(PDF_CACHE);
+  await cache.put(offlineUrl(tournament.id), new Response(blob, {
+    headers: { 'Content-Type': 'application/pdf' },
+  }));
+}
+
+export async function removePdf(id) {
+  const cache = await caches.open(PDF_CACHE);
+  await cache.delete(offlineUrl(id));
+}
+
+// Tracks which tournaments have a saved PDF. `pending` holds ids being saved
+// or removed, so cards can disable their toggle meanwhile; `errors` maps ids to
+// the message of their last failed attempt.
+export function useSavedPdfs() {
+  const [savedIds, setSavedIds] = useState(() => new Set());
+  const [pending, setPending] = useState(() => new Set());
+  const [errors, setErrors] = useState(() => new Map());
+
+  useEffect(() => {
+    if (!isOfflineSupported) return;
+    listSavedPdfs()
+      .then(ids => setSavedIds(new Set(ids)))
+      .catch(error => console.error('Error reading saved PDFs:', error));
+  }, []);
+
+  const toggleSaved = useCallback(async (tournament) => {
+    const { id } = tournament;
+    const setError = (message) => setErrors(prev => {
+      const next = new Map(prev);
+      if (message) next.set(id, message); else next.delete(id);
+      return next;
+    });
+
+    setPending(prev => new Set(prev).add(id));
+    setError(null);
+    try {
+      if (savedIds.has(id)) {
+        await removePdf(id);
+        setSavedIds(prev => {
+          const next = new Set(prev);
+          next.delete(id);
+          return next;
+        });
+      } else {
+        await savePdf(tournament);
+        setSavedIds(prev => new Set(prev).add(id));
+      }
+    } catch (error) {
+      console.error('Error updating offline PDF:', error);
+      setError(error.message);
+    }
+    setPending(prev => {
+      const next = new Set(prev);
+      next.delete(id);
+      return next;
+    });
+  }, [savedIds]);
+
+  return { savedIds, pending, errors, toggleSaved };
+}
@@ -0,0 +1,41 @@
+// Document title and the meta tags link previews read. Crawlers that don't run
+// JavaScript see what the build prerendered (src/prerender.jsx), or else the
+// defaults in index.html.
+
+import { formatDateRange } from './dates';
+
+export const SITE_NAME = 'Global Chess Tournament Finder';
+export const SITE_DESCRIPTION = 'Simplifying your search for chess tournaments across the globe';
+
+// One line for link previews: "14–15 June 2025 · Paris, France · Classical chess tournament".
+export function describeTournament(t) {
+  return [
+    t.startDate && formatDateRange(t.startDate, t.endDate),
+    [t.city, t.country].filter(Boolean).join(', '),
+    t.type && `${t.type} chess tournament`,
+  ].filter(Boolean).join(' · ');
+}
+
+function setMeta(attribute, key, content) {
+  let tag = document.head.querySelector(`meta[${attribute}="${key}"]`);
+  if (!tag) {
+    tag = document.createElement('meta');
+    tag.setAttribute(attribute, key);
+    document.head.appendChild(tag);
+  }
+  tag.setAttribute('content', content);
+}
+
+export function setPageMeta({ title, description = SITE_DESCRIPTION, url = window.location.href, type = 'website' } = {}) {
+  const fullTitle = title ? `${title} | ${SITE_NAME}` : SITE_NAME;
+  document.title = fullTitle;
+  setMeta('name', 'description', description);
+  setMeta('property', 'og:title', title || SITE_NAME);
+  setMeta('property', 'og:description', description);
+  setMeta('property', 'og:url', url);
+  setMeta('property', 'og:type', type);
+  setMeta('property', 'og:site_name', SITE_NAME);
+  setMeta('name', 'twitter:card', 'summary');
+  setMeta('name', 'twitter:title', title || SITE_NAME);
+  setMeta('name', 'twitter:description', description);
+}
@@ -0,0 +1,272 @@
+import { findCountry, MAX_COUNTRY_WORDS } from './countries';
+import { daysBetween } from './dates';
+
+export const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Month names organizers write in Spanish, French, German and Hindi, with
+// common abbreviations and variant spellings, by month index.
+const LOCALIZED_MONTHS = [
+  ['enero', 'ene', 'janvier', 'janv', 'januar', 'jänner', 'जनवरी'],
+  ['febrero', 'février', 'févr', 'fév', 'februar', 'फ़रवरी', 'फरवरी'],
+  ['marzo', 'mars', 'märz', 'maerz', 'mär', 'मार्च'],
+  ['abril', 'abr', 'avril', 'avr', 'अप्रैल'],
+  ['mayo', 'mai', 'मई'],
+  ['junio', 'juin', 'juni', 'जून'],
+  ['julio', 'juillet', 'juil', 'juli', 'जुलाई'],
+  ['agosto', 'ago', 'août', 'अगस्त'],
+  ['septiembre', 'setiembre', 'set', 'septembre', 'सितंबर', 'सितम्बर'],
+  ['octubre', 'octobre', 'oktober', 'okt', 'अक्टूबर', 'अक्तूबर'],
+  ['noviembre', 'novembre', 'नवंबर', 'नवम्बर'],
+  ['diciembre', 'dic', 'décembre', 'déc', 'dezember', 'dez', 'दिसंबर', 'दिसम्बर'],
+];
+
+// Lookup keys ignore case and accents, so "Fevrier" finds "février".
+function monthKey(name) {
+  return name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+const MONTH_LOOKUP = new Map();
+MONTH_NAMES.forEach((month, index) => {
+  MONTH_LOOKUP.set(monthKey(month), index);
+  MONTH_LOOKUP.set(monthKey(month.slice(0, 3)), index);
+});
+MONTH_LOOKUP.set('sept', 8);
+LOCALIZED_MONTHS.forEach((names, index) => {
+  names.forEach(name => MONTH_LOOKUP.set(monthKey(name), index));
+});
+
+// Returns the 0-based month index for a full or abbreviated month name, in
+// English or one of LOCALIZED_MONTHS' languages, or -1.
+export function monthIndex(name) {
+  if (!name) return -1;
+  const index = MONTH_LOOKUP.get(monthKey(name));
+  return index === undefined ? -1 : index;
+}
+
+// The first of the month for a facet key such as "June2025", or null.
+export function parseMonthYear(monthYear) {
+  const match = (monthYear || '').match(/^(\D+?)\s*(\d{4})$/);
+  const month = match ? monthIndex(match[1]) : -1;
+  return month === -1 ? null : new Date(parseInt(match[2], 10), month, 1);
+}
+
+export const KNOWN_TYPES = ['Classical', 'Rapid', 'Blitz'];
+
+// Leading date block: "14 June2025", "14-15 June2025", "30-2 July2025", "30 June-2 July2025",
+// "30 Dec 2025-2 Jan2026", "June 2025". The optional start month (and year) must be followed
+// by a dash so "14 June2025" isn't split inside "June". Month names may be in any script
+// ("14-15 Juni2025", "3 जून2025"), so letters include combining marks.
+const DATE_HEAD = /^(?:(\d{1,2})(?:\s*([\p{L}\p{M}]+)(?:\s*(\d{4}))?(?=\s*-))?(?:\s*-\s*(\d{1,2}))?\s*)?([\p{L}\p{M}]+)\.?\s*,?\s*(\d{4})(?=\s|$)/u;
+
+function buildDate(year, month, day, warn) {
+  const date = new Date(year, month, day);
+  if (day < 1 || date.getMonth() !== month) {
+    warn('date', 'invalid-day', `${MONTH_NAMES[month]} ${year} has no day ${day}`);
+    return null;
+  }
+  return date;
+}
+
+function parseDateHead(text, warn) {
+  const match = text.match(DATE_HEAD);
+
+  if (!match) {
+    // Fall back to the positional layout so odd names still show something.
+    const parts = text.split(' ');
+    warn('date', 'missing-date', 'No "<days> <Month><Year>" date found at the start of the name');
+    return {
+      dateRange: parts[0] || '',
+      monthYear: parts[1] || '',
+      startDate: null,
+      endDate: null,
+      rest: parts.slice(2).join(' ')
+    };
+  }
+
+  const [head, startDayRaw, startMonthRaw, startYearRaw, endDayRaw, monthRaw, yearRaw] = match;
+  const month = monthIndex(monthRaw);
+  const year = parseInt(yearRaw, 10);
+  let startMonth = startMonthRaw ? monthIndex(startMonthRaw) : month;
+
+  if (month === -1) {
+    warn('date', 'unknown-month', `Unrecognized month "${monthRaw}"`);
+  }
+  if (startMonthRaw && startMonth === -1) {
+    warn('date', 'unknown-month', `Unrecognized month "${startMonthRaw}"`);
+  }
+
+  const monthYear = month === -1 ? `${monthRaw}${yearRaw}` : `${MONTH_NAMES[month]}${yearRaw}`;
+
+  let dateRange = '';
+  if (startDayRaw) {
+    dateRange = startDayRaw;
+    if (startMonthRaw) {
+      dateRange += ` ${startMonth === -1 ? startMonthRaw : MONTH_NAMES[startMonth]}`;
+    }
+    if (startYearRaw) {
+      dateRange += ` ${startYearRaw}`;
+    }
+    if (endDayRaw) {
+      dateRange += `-${endDayRaw}`;
+    }
+  }
+
+  const result = { dateRange, monthYear, startDate: null, endDate: null, rest: text.slice(head.length).trim() };
+
+  if (!startDayRaw) {
+    warn('date', 'missing-day', 'Only a month and year were given, no day');
+    return result;
+  }
+  if (month === -1 || startMonth === -1) {
+    return result;
+  }
+
+  const startDay = parseInt(startDayRaw, 10);
+  if (!endDayRaw) {
+    result.startDate = buildDate(year, startMonth, startDay, warn);
+    result.endDate = result.startDate;
+    return result;
+  }
+
+  const endDay = parseInt(endDayRaw, 10);
+  let startYear = startYearRaw ? parseInt(startYearRaw, 10) : year;
+  if (!startMonthRaw && startDay > endDay) {
+    // "30-2 July2025": the range began in the previous month.
+    startMonth = month === 0 ? 11 : month - 1;
+  }
+  if (!startYearRaw && startMonth > month) {
+    // "30 Dec-2 Jan2026": the range began in the previous year.
+    startYear = year - 1;
+  }
+
+  const startDate = buildDate(startYear, startMonth, startDay, warn);
+  const endDate = buildDate(year, month, endDay, warn);
+  if (startDate && endDate && endDate < startDate) {
+    warn('date', 'end-before-start', `The range "${dateRange}" ends before it starts`);
+    result.startDate = startDate;
+    result.endDate = startDate;
+    return result;
+  }
+
+  result.startDate = startDate;
+  result.endDate = endDate || startDate;
+  return result;
+}
+
+function parseType(token, warn) {
+  if (!token) {
+    warn('type', 'missing-type', 'No tournament type found');
+    return '';
+  }
+
+  // Combined types are written "Rapid/Blitz", "Rapid&Blitz" or "Rapid+Blitz".
+  const parts = token.split(/[/&+]/).filter(Boolean).map(part => {
+    const known = KNOWN_TYPES.find(t => t.toLowerCase() === part.toLowerCase());
+    if (!known) {
+      warn('type', 'unknown-type', `Unrecognized tournament type "${part}"`);
+    }
+    return known || part;
+  });
+
+  return parts.join('/');
+}
+
+function parseLocation(text, warn) {
+  if (!text) {
+    warn('location', 'missing-location', 'No city found');
+    warn('country', 'missing-country', 'No country found');
+    return { location: '', country: null };
+  }
+
+  const commaIndex = text.lastIndexOf(',');
+  if (commaIndex !== -1) {
+    const location = text.slice(0, commaIndex).trim();
+    const countryText = text.slice(commaIndex + 1).trim();
+
+    if (!location) {
+      warn('location', 'missing-location', 'No city found');
+    }
+    if (!countryText) {
+      warn('country', 'missing-country', 'Nothing follows the comma before the country');
+      return { location, country: null };
+    }
+
+    const country = findCountry(countryText);
+    if (!country) {
+      warn('country', 'unknown-country', `Unrecognized country "${countryText}"`);
+    }
+    return { location, country: country || countryText };
+  }
+
+  // No comma: look for a known country name at the end, e.g. "New Delhi India".
+  const words = text.split(' ');
+  for (let n = Math.min(MAX_COUNTRY_WORDS, words.length); n > 0; n--) {
+    const country = findCountry(words.slice(-n).join(' '));
+    if (country) {
+      const location = words.slice(0, -n).join(' ');
+      if (!location) {
+        warn('location', 'missing-location', 'No city found');
+      }
+      return { location, country };
+    }
+  }
+
+  warn('country', 'missing-country', `No country found in "${text}"`);
+  return { location: text, country: null };
+}
+
+// Writes a date range the way organizers name their files.
+export function formatFilenameDates(start, end) {
+  const endPart = `${end.getDate()} ${MONTH_NAMES[end.getMonth()]}${end.getFullYear()}`;
+  if (start.getTime() === end.getTime()) {
+    return endPart;
+  }
+  if (start.getMonth() === end.getMonth()) {
+    return `${start.getDate()}-${endPart}`;
+  }
+  return `${start.getDate()} ${MONTH_NAMES[start.getMonth()]}-${endPart}`;
+}
+
+// The canonical filename, "14-15 June2025 Classical Paris, France.pdf".
+// Combined types are joined with "&" rather than "/", which can't appear in
+// a saved file's name.
+export function formatFilename({ startDate, endDate, types, city, country }) {
+  const type = KNOWN_TYPES.filter(t => types.includes(t)).join('&');
+  return `${formatFilenameDates(startDate, endDate || startDate)} ${type} ${city.trim().replace(/\s+/g, ' ')}, ${country}.pdf`;
+}
+
+// Parses "14-15 June2025 Classical Paris, France.pdf" into its parts.
+// Problems are reported in `warnings` as { field, code, message } rather than
+// being papered over, so callers can decide how to display partial results.
+export function parseFilename(name) {
+  const title = name.replace(/\.pdf$/i, '').replace(/\s+/g, ' ').trim();
+  const warnings = [];
+  const warn = (field, code, message) => warnings.push({ field, code, message });
+
+  const { dateRange, monthYear, startDate, endDate, rest } = parseDateHead(title, warn);
+
+  // A first word ending in a comma is the city, meaning the type was left out.
+  const [firstWord = '', ...otherWords] = rest ? rest.split(' ') : [];
+  const typeOmitted = firstWord.endsWith(',');
+  const type = parseType(typeOmitted ? '' : firstWord, warn);
+  const { location, country } = parseLocation(
+    typeOmitted ? rest : otherWords.join(' '),
+    warn
+  );
+
+  return {
+    title,
+    dateRange,
+    monthYear,
+    type,
+    location,
+    country,
+    startDate,
+    endDate,
+    durationDays: startDate && endDate ? daysBetween(startDate, endDate) + 1 : null,
+    warnings
+  };
+}
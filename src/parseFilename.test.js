@@ -0,0 +1,171 @@
+import { describe, expect, it } from 'vitest';
+import { formatFilename, parseFilename, parseMonthYear } from './parseFilename';
+
+const codes = result => result.warnings.map(warning => warning.code);
+
+describe('parseFilename', () => {
+  it('parses a day range within one month', () => {
+    const result = parseFilename('14-15 June2025 Classical Paris, France.pdf');
+    expect(result).toMatchObject({
+      title: '14-15 June2025 Classical Paris, France',
+      dateRange: '14-15',
+      monthYear: 'June2025',
+      type: 'Classical',
+      location: 'Paris',
+      country: 'France',
+      startDate: new Date(2025, 5, 14),
+      endDate: new Date(2025, 5, 15),
+      durationDays: 2,
+      warnings: [],
+    });
+  });
+
+  it('parses a single day', () => {
+    const result = parseFilename('14 June2025 Blitz Madrid, Spain.pdf');
+    expect(result.startDate).toEqual(new Date(2025, 5, 14));
+    expect(result.endDate).toEqual(new Date(2025, 5, 14));
+    expect(result.durationDays).toBe(1);
+  });
+
+  it('parses a range across months', () => {
+    const result = parseFilename('30 June-2 July2025 Rapid Berlin, Germany.pdf');
+    expect(result.dateRange).toBe('30 June-2');
+    expect(result.monthYear).toBe('July2025');
+    expect(result.startDate).toEqual(new Date(2025, 5, 30));
+    expect(result.endDate).toEqual(new Date(2025, 6, 2));
+    expect(result.durationDays).toBe(3);
+    expect(result.warnings).toEqual([]);
+  });
+
+  it('takes a shorter end day as the following month', () => {
+    const result = parseFilename('30-2 July2025 Classical Berlin, Germany.pdf');
+    expect(result.startDate).toEqual(new Date(2025, 5, 30));
+    expect(result.endDate).toEqual(new Date(2025, 6, 2));
+  });
+
+  it('parses a range across years', () => {
+    const result = parseFilename('30 Dec-2 Jan2026 Classical Hastings, England.pdf');
+    expect(result.startDate).toEqual(new Date(2025, 11, 30));
+    expect(result.endDate).toEqual(new Date(2026, 0, 2));
+  });
+
+  it('accepts a space between month and year, with a missing-day warning', () => {
+    const result = parseFilename('June 2025 Classical Paris, France.pdf');
+    expect(result.monthYear).toBe('June2025');
+    expect(result.dateRange).toBe('');
+    expect(result.startDate).toBeNull();
+    expect(result.type).toBe('Classical');
+    expect(codes(result)).toEqual(['missing-day']);
+  });
+
+  it('parses combined types', () => {
+    expect(parseFilename('14 June2025 Rapid/Blitz Paris, France.pdf').type).toBe('Rapid/Blitz');
+    expect(parseFilename('14 June2025 Rapid&Blitz Paris, France.pdf').type).toBe('Rapid/Blitz');
+    expect(parseFilename('14 June2025 rapid+blitz Paris, France.pdf').type).toBe('Rapid/Blitz');
+  });
+
+  it('finds the country without a comma', () => {
+    const result = parseFilename('14-15 June2025 Classical New Delhi India.pdf');
+    expect(result.location).toBe('New Delhi');
+    expect(result.country).toBe('India');
+    expect(result.warnings).toEqual([]);
+  });
+
+  it('reads localized month names', () => {
+    const result = parseFilename('14-15 Juni2025 Classical Berlin, Germany.pdf');
+    expect(result.monthYear).toBe('June2025');
+    expect(result.startDate).toEqual(new Date(2025, 5, 14));
+  });
+
+  it('treats a first word ending in a comma as the city', () => {
+    const result = parseFilename('14 June2025 Paris, France.pdf');
+    expect(result.type).toBe('');
+    expect(result.location).toBe('Paris');
+    expect(codes(result)).toEqual(['missing-type']);
+  });
+
+  describe('warnings', () => {
+    it('missing-date', () => {
+      const result = parseFilename('Classical Paris, France.pdf');
+      expect(codes(result)).toContain('missing-date');
+      expect(result.startDate).toBeNull();
+    });
+
+    it('unknown-month', () => {
+      const result = parseFilename('14 Juno2025 Classical Paris, France.pdf');
+      expect(codes(result)).toEqual(['unknown-month']);
+      expect(result.monthYear).toBe('Juno2025');
+      expect(result.startDate).toBeNull();
+    });
+
+    it('invalid-day', () => {
+      const result = parseFilename('31 June2025 Classical Paris, France.pdf');
+      expect(codes(result)).toEqual(['invalid-day']);
+      expect(result.startDate).toBeNull();
+    });
+
+    it('end-before-start', () => {
+      const result = parseFilename('30 July 2025-2 June2025 Classical Paris, France.pdf');
+      expect(codes(result)).toEqual(['end-before-start']);
+      expect(result.endDate).toEqual(result.startDate);
+    });
+
+    it('unknown-type', () => {
+      const result = parseFilename('14 June2025 Bullet Paris, France.pdf');
+      expect(codes(result)).toEqual(['unknown-type']);
+      expect(result.type).toBe('Bullet');
+    });
+
+    it('missing-location and missing-country', () => {
+      const result = parseFilename('14 June2025 Classical.pdf');
+      expect(codes(result)).toEqual(['missing-location', 'missing-country']);
+      expect(result.country).toBeNull();
+    });
+
+    it('missing-country after a trailing comma', () => {
+      const result = parseFilename('14 June2025 Classical Paris,.pdf');
+      expect(codes(result)).toEqual(['missing-country']);
+      expect(result.location).toBe('Paris');
+    });
+
+    it('unknown-country', () => {
+      const result = parseFilename('14 June2025 Classical Paris, Atlantis.pdf');
+      expect(codes(result)).toEqual(['unknown-country']);
+      expect(result.country).toBe('Atlantis');
+    });
+
+    it('missing-country without a comma', () => {
+      const result = parseFilename('14 June2025 Classical Springfield.pdf');
+      expect(codes(result)).toEqual(['missing-country']);
+      expect(result.location).toBe('Springfield');
+    });
+  });
+});
+
+describe('parseMonthYear', () => {
+  it('returns the first of the month', () => {
+    expect(parseMonthYear('June2025')).toEqual(new Date(2025, 5, 1));
+    expect(parseMonthYear('Sept 2025')).toEqual(new Date(2025, 8, 1));
+  });
+
+  it('returns null for keys that do not parse', () => {
+    expect(parseMonthYear('Juno2025')).toBeNull();
+    expect(parseMonthYear('')).toBeNull();
+  });
+});
+
+describe('formatFilename', () => {
+  it('round-trips through parseFilename', () => {
+    const name = formatFilename({
+      startDate: new Date(2025, 5, 30),
+      endDate: new Date(2025, 6, 2),
+      types: ['Rapid', 'Blitz'],
+      city: 'Paris',
+      country: 'France',
+    });
+    expect(name).toBe('30 June-2 July2025 Rapid&Blitz Paris, France.pdf');
+    const result = parseFilename(name);
+    expect(result.type).toBe('Rapid/Blitz');
+    expect(result.warnings).toEqual([]);
+  });
+});
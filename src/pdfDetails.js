@@ -0,0 +1,162 @@
+import { monthIndex } from './parseFilename';
+import { toISODate } from './dates';
+
+// Pulls structured details out of the text of a tournament's PDF flyer.
+// Flyers are free-form, so every field is a best guess and null when nothing
+// recognisable was found:
+//   rounds               9
+//   timeControl          "90 min + 30 s"
+//   entryFee, prizeFund  { amount: 40, currency: 'EUR' }
+//   fideRated            true, false, or null when the flyer doesn't say
+//   contact              { email, phone }
+//   registrationDeadline "2025-06-01" (ISO date, so details stay serializable)
+
+const CURRENCY_SYMBOLS = {
+  '€': 'EUR', 'eur': 'EUR', 'euro': 'EUR', 'euros': 'EUR',
+  '$': 'USD', 'usd': 'USD',
+  '£': 'GBP', 'gbp': 'GBP',
+  '₹': 'INR', 'inr': 'INR', 'rs': 'INR',
+  'chf': 'CHF',
+};
+
+// Rough rates for comparing fees across currencies in the fee filter only.
+const EUROS_PER_UNIT = { EUR: 1, USD: 0.9, GBP: 1.15, CHF: 1.05, INR: 0.011 };
+
+const CURRENCY = '(€|\\$|£|₹|\\b(?:eur(?:os?)?|usd|gbp|inr|chf|rs)\\b\\.?)';
+// Whole part first tries Indian grouping (1,00,000), then thousands separators.
+const AMOUNT = '(\\d{1,2}(?:,\\d{2})+,\\d{3}|\\d{1,3}(?:[.,\\s]\\d{3})+|\\d+)(?:[.,](\\d{1,2}))?';
+const MONEY_BEFORE = new RegExp(`${CURRENCY}\\s*${AMOUNT}`, 'i');
+const MONEY_AFTER = new RegExp(`${AMOUNT}\\s*${CURRENCY}`, 'i');
+
+function parseMoney(text) {
+  if (!text) return null;
+  let match = text.match(MONEY_BEFORE);
+  let currency;
+  let whole;
+  let fraction;
+  if (match) {
+    [, currency, whole, fraction] = match;
+  } else {
+    match = text.match(MONEY_AFTER);
+    if (!match) return null;
+    [, whole, fraction, currency] = match;
+  }
+  const amount = parseFloat(`${whole.replace(/[.,\s]/g, '')}.${fraction || 0}`);
+  return { amount, currency: CURRENCY_SYMBOLS[currency.toLowerCase().replace('.', '')] };
+}
+
+// The rest of the line after a label such as "Entry fee:". The label must be
+// a whole word, so "tel" doesn't match inside "Hotel".
+function labelledLine(text, label) {
+  const match = text.match(new RegExp(`\\b(?:${label})\\b\\s*[:\\-–]?\\s*([^\\n]*)`, 'i'));
+  return match ? match[1].trim() : null;
+}
+
+function parseRounds(text) {
+  const match = text.match(/\b(\d{1,2})\s*-?\s*rounds?\b/i)
+    || text.match(/\brounds?\s*[:\-–]\s*(\d{1,2})\b/i)
+    || text.match(/\b(\d{1,2})\s*R\s+swiss\b/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function parseTimeControl(text) {
+  const line = labelledLine(text, 'time control|rate of play|tempo');
+  const source = line || text;
+  const match = source.match(/(\d{1,3})\s*(?:min(?:utes)?\.?|'|’|m)\s*\+\s*(\d{1,3})\s*(?:s(?:ec(?:onds)?)?\.?|"|”|''|’’)?/i)
+    || source.match(/\b(\d{1,3})\s*\+\s*(\d{1,2})\b/);
+  if (match) return `${match[1]} min + ${match[2]} s`;
+  return line ? line.slice(0, 60) : null;
+}
+
+// "Unrated" and "not rated" also describe players ("best unrated player"), so
+// they only count when they're said of the event itself.
+const EVENT_NOT_RATED = /\b(?:tournament|event|competition)\s+(?:is\s+|will\s+)?not\s+(?:be\s+)?(?:fide[\s-]*)?rated\b|\b(?:unrated|non[\s-]*(?:fide[\s-]*)?rated)\s+(?:tournament|event|competition)\b/i;
+const FIDE_RATED = /(?<!\bnot\s+(?:be\s+)?|\bnon[\s-]*)\bfide[\s-]*rated\b|\brated\s+(?:by|for|with)\s+fide\b|\bfide\s+rating\b|\bfide\s+(?:standard|rapid|blitz)\s+rating/i;
+const NOT_FIDE_RATED = /\bnot\s+(?:be\s+)?fide[\s-]*rated\b/i;
+
+function parseFideRated(text) {
+  if (EVENT_NOT_RATED.test(text)) return false;
+  if (FIDE_RATED.test(text)) return true;
+  if (NOT_FIDE_RATED.test(text)) return false;
+  return null;
+}
+
+function parseContact(text) {
+  const email = text.match(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/)?.[0] || null;
+  const phoneLine = labelledLine(text, 'phone|tel\\.?|mobile|mob\\.?|whatsapp|contact');
+  const phone = (phoneLine && phoneLine.match(/\+?\d[\d\s\-().]{6,}\d/)?.[0].replace(/\s+/g, ' ')) || null;
+  return email || phone ? { email, phone } : null;
+}
+
+// "15 June 2025", "June 15, 2025", "15.06.2025", "15/06/2025" or "2025-06-15".
+export function parseLooseDate(text) {
+  if (!text) return null;
+  let match = text.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+  if (match) return toValidDate(+match[1], +match[2] - 1, +match[3]);
+  match = text.match(/\b(\d{1,2})[./](\d{1,2})[./](\d{4})\b/);
+  if (match) return toValidDate(+match[3], +match[2] - 1, +match[1]);
+  match = text.match(/\b(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?([A-Za-z]+)\.?,?\s+(\d{4})\b/);
+  if (match && monthIndex(match[2]) !== -1) return toValidDate(+match[3], monthIndex(match[2]), +match[1]);
+  match = text.match(/\b([A-Za-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/);
+  if (match && monthIndex(match[1]) !== -1) return toValidDate(+match[3], monthIndex(match[1]), +match[2]);
+  return null;
+}
+
+function toValidDate(year, month, day) {
+  const date = new Date(year, month, day);
+  return date.getMonth() === month && date.getDate() === day ? date : null;
+}
+
+function parseRegistrationDeadline(text) {
+  const line = labelledLine(text, 'registration deadline|deadline for (?:registration|entries)|(?:registration|entries|entry)\\s+(?:closes?|until|by|before)|register (?:by|before)|last date (?:of|for) (?:registration|entry)');
+  const date = parseLooseDate(line);
+  return date ? toISODate(date) : null;
+}
+
+// Flyers put the facts up front; later pages are usually pairings or maps.
+const MAX_PAGES = 3;
+
+// Plain text of the first pages of a pdf.js document, one line per text line.
+// The document is closed afterwards. Shared by the browser and the static build.
+export async function readPdfText(pdf) {
+  try {
+    const pages = [];
+    for (let number = 1; number <= Math.min(pdf.numPages, MAX_PAGES); number++) {
+      const page = await pdf.getPage(number);
+      const content = await page.getTextContent();
+      pages.push(content.items.map(item => item.str + (item.hasEOL ? '\n' : ' ')).join(''));
+    }
+    return pages.join('\n');
+  } finally {
+    pdf.destroy();
+  }
+}
+
+export function parseTournamentDetails(text) {
+  const normalized = (text || '').replace(/\r/g, '').replace(/[ \t\u00a0]+/g, ' ');
+  return {
+    rounds: parseRounds(normalized),
+    timeControl: parseTimeControl(normalized),
+    entryFee: parseMoney(labelledLine(normalized, 'entry fees?|registration fees?|entry(?=\\s*:)')),
+    prizeFund: parseMoney(labelledLine(normalized, 'prize fund|total prizes?|prize money|guaranteed prizes?|prizes')),
+    fideRated: parseFideRated(normalized),
+    contact: parseContact(normalized),
+    registrationDeadline: parseRegistrationDeadline(normalized),
+  };
+}
+
+// The entry fee in euros, or null when unknown, for the "fee under" filter.
+export function entryFeeInEuros(details) {
+  const fee = details && details.entryFee;
+  if (!fee || !(fee.currency in EUROS_PER_UNIT)) return null;
+  return fee.amount * EUROS_PER_UNIT[fee.currency];
+}
+
+// "€40", "₹1,500", "CHF 50".
+export function formatMoney({ amount, currency }, locale = 'en-GB') {
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency, maximumFractionDigits: amount % 1 ? 2 : 0 }).format(amount);
+  } catch {
+    return `${amount} ${currency}`;
+  }
+}
@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import { parseLooseDate, parseTournamentDetails } from './pdfDetails';
+
+const fideRated = text => parseTournamentDetails(text).fideRated;
+
+describe('parseTournamentDetails', () => {
+  it('reads a typical flyer', () => {
+    const details = parseTournamentDetails([
+      'Paris Summer Open 2025',
+      '9 rounds Swiss, FIDE rated',
+      'Time control: 90 min + 30 sec',
+      'Entry fee: €40',
+      'Prize fund: 5.000 €',
+      'Registration deadline: 1 June 2025',
+      'Contact: open@example.org, Phone: +33 1 23 45 67 89',
+    ].join('\n'));
+    expect(details).toEqual({
+      rounds: 9,
+      timeControl: '90 min + 30 s',
+      entryFee: { amount: 40, currency: 'EUR' },
+      prizeFund: { amount: 5000, currency: 'EUR' },
+      fideRated: true,
+      contact: { email: 'open@example.org', phone: '+33 1 23 45 67 89' },
+      registrationDeadline: '2025-06-01',
+    });
+  });
+
+  it('only reads whole-word labels', () => {
+    expect(parseTournamentDetails([
+      'Hotel: 14-06-2025 to 16-06-2025',
+      'Contacts: see the website',
+      'Tel. +34 600 123 456',
+    ].join('\n')).contact).toEqual({ email: null, phone: '+34 600 123 456' });
+    expect(parseTournamentDetails('Entry fee: €20\nReentry fee: €10').entryFee).toEqual({ amount: 20, currency: 'EUR' });
+  });
+
+  it('reads Indian-grouped rupee amounts', () => {
+    expect(parseTournamentDetails('Total prizes: Rs. 1,00,000').prizeFund).toEqual({ amount: 100000, currency: 'INR' });
+  });
+
+  it('returns nulls when the flyer says nothing recognisable', () => {
+    expect(parseTournamentDetails('Come and play!')).toEqual({
+      rounds: null,
+      timeControl: null,
+      entryFee: null,
+      prizeFund: null,
+      fideRated: null,
+      contact: null,
+      registrationDeadline: null,
+    });
+  });
+});
+
+describe('fideRated', () => {
+  it('is true for a rated event with a prize for unrated players', () => {
+    expect(fideRated('FIDE Rated Open\n9 rounds\nSpecial prizes: best unrated player')).toBe(true);
+  });
+
+  it('is true when a prize category is for players not FIDE rated', () => {
+    expect(fideRated('The tournament is FIDE rated.\nPrize for the best player not FIDE rated.')).toBe(true);
+  });
+
+  it('is false when the event itself is not rated', () => {
+    expect(fideRated('This tournament is not FIDE rated.')).toBe(false);
+    expect(fideRated('The event will not be rated.')).toBe(false);
+    expect(fideRated('Unrated tournament for beginners')).toBe(false);
+    expect(fideRated('Not FIDE rated')).toBe(false);
+  });
+
+  it('is null when only players are described as unrated', () => {
+    expect(fideRated('Prizes: best unrated player')).toBeNull();
+  });
+});
+
+describe('parseLooseDate', () => {
+  it('reads the common date formats', () => {
+    const june15 = new Date(2025, 5, 15);
+    expect(parseLooseDate('15 June 2025')).toEqual(june15);
+    expect(parseLooseDate('June 15th, 2025')).toEqual(june15);
+    expect(parseLooseDate('15.06.2025')).toEqual(june15);
+    expect(parseLooseDate('2025-06-15')).toEqual(june15);
+  });
+
+  it('rejects impossible dates', () => {
+    expect(parseLooseDate('31.06.2025')).toBeNull();
+  });
+});
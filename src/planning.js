@@ -0,0 +1,61 @@
+import { daysBetween } from './dates';
+
+// Events in different countries need at least this many free days between
+// them for travel; anything closer is flagged as back-to-back.
+export const MIN_TRAVEL_DAYS = 1;
+
+function endOf(t) {
+  return t.endDate || t.startDate;
+}
+
+// Dated events in the plan, earliest first.
+export function sortPlan(tournaments) {
+  return tournaments
+    .filter(t => t.startDate)
+    .sort((a, b) => a.startDate - b.startDate || endOf(a) - endOf(b));
+}
+
+// Problems with a set of planned tournaments, in date order:
+//   { code: 'overlap', first, second, days }  - the date ranges share `days` days
+//   { code: 'travel', first, second, gapDays } - different countries with fewer
+//     than MIN_TRAVEL_DAYS free days in between
+// Undated events can't be checked and are ignored; so are unknown countries.
+export function findConflicts(tournaments, minTravelDays = MIN_TRAVEL_DAYS) {
+  const planned = sortPlan([...tournaments]);
+  const conflicts = [];
+
+  planned.forEach((first, i) => {
+    planned.slice(i + 1).forEach(second => {
+      // Free days between the end of `first` and the start of `second`;
+      // negative when they overlap.
+      const gapDays = daysBetween(endOf(first), second.startDate) - 1;
+      if (gapDays < 0) {
+        const overlapEnd = endOf(first) < endOf(second) ? endOf(first) : endOf(second);
+        conflicts.push({ code: 'overlap', first, second, days: daysBetween(second.startDate, overlapEnd) + 1 });
+      } else if (
+        gapDays < minTravelDays
+        && first.country && second.country && first.country !== second.country
+      ) {
+        conflicts.push({ code: 'travel', first, second, gapDays });
+      }
+    });
+  });
+
+  return conflicts;
+}
+
+// One sentence about a conflict, in the language of `i18n` (see i18n.js).
+export function describeConflict(conflict, { t, countryName }) {
+  const { first, second } = conflict;
+  if (conflict.code === 'overlap') {
+    return t('plan.overlap', { first: first.title, second: second.title, count: conflict.days });
+  }
+  const vars = {
+    first: first.title,
+    firstCountry: countryName(first.country),
+    second: second.title,
+    secondCountry: countryName(second.country),
+    count: conflict.gapDays,
+  };
+  return t(conflict.gapDays === 0 ? 'plan.travelNoDay' : 'plan.travel', vars);
+}
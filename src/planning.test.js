@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import { findConflicts, sortPlan } from './planning';
+import { tournamentFromFilename } from './data/tournament';
+
+const plan = (id, name) => tournamentFromFilename(id, `${name}.pdf`);
+
+const MADRID = plan('madrid', '14-15 June2025 Blitz Madrid, Spain');
+const SEVILLE = plan('seville', '15-17 June2025 Rapid Seville, Spain');
+const BARCELONA = plan('barcelona', '16-17 June2025 Classical Barcelona, Spain');
+const LISBON = plan('lisbon', '16-17 June2025 Rapid Lisbon, Portugal');
+const PORTO = plan('porto', '17-18 June2025 Rapid Porto, Portugal');
+const PARIS = plan('paris', '18 June2025 Blitz Paris, France');
+const UNDATED = plan('undated', 'Blitz Madrid, Spain');
+
+describe('sortPlan', () => {
+  it('orders dated events by start date and drops undated ones', () => {
+    expect(sortPlan([PARIS, UNDATED, MADRID, LISBON]).map(t => t.id)).toEqual(['madrid', 'lisbon', 'paris']);
+  });
+});
+
+describe('findConflicts', () => {
+  it('reports overlapping ranges with the shared days', () => {
+    expect(findConflicts([SEVILLE, MADRID])).toEqual([
+      { code: 'overlap', first: MADRID, second: SEVILLE, days: 1 },
+    ]);
+    expect(findConflicts([SEVILLE, BARCELONA])).toEqual([
+      { code: 'overlap', first: SEVILLE, second: BARCELONA, days: 2 },
+    ]);
+  });
+
+  it('counts an event inside another as overlapping for its whole length', () => {
+    const week = plan('week', '14-20 June2025 Classical Madrid, Spain');
+    expect(findConflicts([week, PARIS])).toEqual([
+      { code: 'overlap', first: week, second: PARIS, days: 1 },
+    ]);
+  });
+
+  it('accepts back-to-back events in the same country', () => {
+    expect(findConflicts([MADRID, BARCELONA])).toEqual([]);
+  });
+
+  it('flags back-to-back events in different countries', () => {
+    expect(findConflicts([MADRID, LISBON])).toEqual([
+      { code: 'travel', first: MADRID, second: LISBON, gapDays: 0 },
+    ]);
+  });
+
+  it('allows a free travel day by default, or more when asked', () => {
+    expect(findConflicts([MADRID, PORTO])).toEqual([]);
+    expect(findConflicts([MADRID, PORTO], 2)).toEqual([
+      { code: 'travel', first: MADRID, second: PORTO, gapDays: 1 },
+    ]);
+  });
+
+  it('ignores undated events and unknown countries', () => {
+    const unknown = plan('unknown', '16-17 June2025 Rapid Somewhere');
+    expect(unknown.country).toBeNull();
+    expect(findConflicts([MADRID, UNDATED, unknown])).toEqual([]);
+  });
+
+  it('checks every pair, not just neighbours', () => {
+    const week = plan('week', '14-20 June2025 Classical Madrid, Spain');
+    expect(findConflicts([week, MADRID, PARIS]).map(c => [c.code, c.first.id, c.second.id])).toEqual([
+      ['overlap', 'madrid', 'week'],
+      ['overlap', 'week', 'paris'],
+    ]);
+  });
+});
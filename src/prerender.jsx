@@ -0,0 +1,226 @@
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import { formatDateRange, getTournamentStatus } from './dates';
+import { TournamentDetails } from './TournamentDetails';
+import { tournamentPath, countryPath, monthPath } from './routes';
+import { SITE_NAME, SITE_DESCRIPTION, describeTournament } from './pageMeta';
+import { FEED_FORMATS, feedDirectory, describeFeed } from './feeds';
+import { COMMON_BG, COMMON_BORDER, COMMON_TEXT, COMMON_BUTTON_PRIMARY } from './theme';
+
+// Static HTML for search engines and first paint, written by
+// scripts/build-static.mjs from the build-time snapshot. Each page is the
+// built index.html with its own title and meta tags, and plain markup in
+// #root that the app replaces once it has loaded the snapshot itself.
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function byDate(a, b) {
+  const time = t => (t.startDate ? t.startDate.getTime() : Number.MAX_SAFE_INTEGER);
+  return time(a) - time(b) || a.title.localeCompare(b.title);
+}
+
+function formatMonthYear(monthYear) {
+  return monthYear.replace(/(\d{4})$/, ' $1');
+}
+
+function formatWhen(t) {
+  return t.startDate ? formatDateRange(t.startDate, t.endDate) : `${t.dateRange} ${formatMonthYear(t.monthYear)}`.trim();
+}
+
+function StaticLayout({ heading, intro, generatedAt, children }) {
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-gradient-to-r from-orange-300 via-orange-200 to-yellow-100 px-6 py-8 shadow-xl rounded-b-3xl text-center">
+        <a href="/" className="text-4xl font-extrabold text-orange-900 tracking-tight">
+          🏆 {SITE_NAME}
+        </a>
+        <p className="mt-2 text-sm text-orange-800 italic">{SITE_DESCRIPTION}</p>
+      </header>
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 md:px-8 py-8 space-y-8">
+        <div>
+          <h1 className={`${COMMON_TEXT} text-2xl font-bold`}>{heading}</h1>
+          {intro && <p className="mt-1 text-gray-600">{intro}</p>}
+          <p className="mt-1 text-sm text-gray-500">Listing as of {formatDateRange(generatedAt)}.</p>
+        </div>
+        {children}
+      </main>
+    </div>
+  );
+}
+
+function TournamentList({ tournaments }) {
+  if (tournaments.length === 0) {
+    return <p className="text-gray-600">No upcoming tournaments are listed right now.</p>;
+  }
+  return (
+    <ul className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+      {tournaments.map(t => (
+        <li key={t.id} className={`${COMMON_BG} ${COMMON_BORDER} rounded-xl p-4 shadow`}>
+          <a href={tournamentPath(t.id)} className={`${COMMON_TEXT} font-semibold hover:text-orange-700 hover:underline`}>
+            {t.title}
+          </a>
+          <p className="text-sm text-gray-600">
+            {formatWhen(t)}
+            {t.city && ` · ${[t.city, t.country].filter(Boolean).join(', ')}`}
+            {t.type && ` · ${t.type}`}
+          </p>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function BrowseLinks({ countries, months }) {
+  return (
+    <nav aria-label="Browse tournaments" className="grid grid-cols-1 md:grid-cols-2 gap-8">
+      {[['By country', countries], ['By month', months]].map(([heading, links]) => links.length > 0 && (
+        <section key={heading}>
+          <h2 className={`${COMMON_TEXT} text-lg font-semibold mb-2`}>{heading}</h2>
+          <ul className="flex flex-wrap gap-2">
+            {links.map(({ href, label, count }) => (
+              <li key={href}>
+                <a href={href} className="inline-flex items-center px-3 py-1 rounded-full text-sm font-medium bg-orange-100 text-orange-800 hover:bg-orange-200">
+                  {label} ({count})
+                </a>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ))}
+    </nav>
+  );
+}
+
+function TournamentSummary({ tournament }) {
+  const { type, city, country, durationDays, links, details } = tournament;
+  return (
+    <div className={`${COMMON_BG} ${COMMON_BORDER} shadow-lg rounded-xl p-6 space-y-3 max-w-2xl`}>
+      {type && (
+        <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-orange-100 text-orange-800">{type}</span>
+      )}
+      <p className="text-gray-700">
+        {formatWhen(tournament)}
+        {durationDays > 1 && <span className="ml-1 text-gray-500">({durationDays} days)</span>}
+      </p>
+      {city && <p className="text-gray-700">{city}{country && `, ${country}`}</p>}
+      <TournamentDetails details={details} className="text-sm pt-2" />
+      {links.view && (
+        <a href={links.view} rel="noopener noreferrer" className={`inline-flex items-center px-4 py-2 rounded-md text-sm font-medium ${COMMON_BUTTON_PRIMARY}`}>
+          Open original
+        </a>
+      )}
+    </div>
+  );
+}
+
+// Counts `tournaments` by `keyOf`, as browse links sorted by `compare`.
+function facetLinks(tournaments, keyOf, hrefOf, labelOf, compare) {
+  const counts = new Map();
+  tournaments.forEach(t => {
+    const key = keyOf(t);
+    if (key && hrefOf(key)) counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return Array.from(counts.keys())
+    .sort(compare)
+    .map(key => ({ key, href: hrefOf(key), label: labelOf(key), count: counts.get(key) }));
+}
+
+function monthOrder(a, b) {
+  return monthPath(a).localeCompare(monthPath(b));
+}
+
+// <link rel="alternate"> tags for the upcoming-events feed of `facets`.
+function feedLinks(siteUrl, facets) {
+  const directory = feedDirectory({ status: 'Upcoming', ...facets });
+  if (!directory) return '';
+  const title = escapeHtml(describeFeed({ status: 'Upcoming', ...facets }));
+  return Object.values(FEED_FORMATS)
+    .map(({ file, type }) => `  <link rel="alternate" type="${type}" title="${title}" href="${escapeHtml(`${siteUrl}${directory}/${file}`)}" />\n  `)
+    .join('');
+}
+
+// Fills the built index.html with one page's title, meta tags and markup.
+// Pages with `feed` facets link to that feed; feeds are only built with a site URL.
+function fillTemplate(template, { title, description, path, type = 'website', body, siteUrl, feed }) {
+  const fullTitle = title ? `${title} | ${SITE_NAME}` : SITE_NAME;
+  const setContent = (html, attribute, key, value) => html.replace(
+    new RegExp(`(<meta ${attribute}="${key}" content=")[^"]*(")`),
+    `$1${escapeHtml(value)}$2`
+  );
+
+  let html = template.replace(/<title>[^<]*<\/title>/, `<title>${escapeHtml(fullTitle)}</title>`);
+  html = setContent(html, 'name', 'description', description);
+  html = setContent(html, 'property', 'og:title', title || SITE_NAME);
+  html = setContent(html, 'property', 'og:description', description);
+  html = setContent(html, 'property', 'og:type', type);
+  if (siteUrl) {
+    const url = escapeHtml(`${siteUrl}${path}`);
+    html = html.replace('</head>', `  <link rel="canonical" href="${url}" />\n    <meta property="og:url" content="${url}" />\n  ${feed ? feedLinks(siteUrl, feed) : ''}</head>`);
+  }
+  return html.replace('<div id="root"></div>', `<div id="root">${body}</div>`);
+}
+
+// Every prerendered page as { path, html }: the index, one page per country
+// and per month with upcoming events, and one per tournament. `template` is
+// the built index.html; `siteUrl` (e.g. "https://example.org") adds
+// canonical links.
+export function renderStaticPages(tournaments, { template, siteUrl = '', generatedAt = new Date() }) {
+  const sorted = [...tournaments].sort(byDate);
+  const upcoming = sorted.filter(t => getTournamentStatus(t, generatedAt) !== 'Completed');
+  const countries = facetLinks(upcoming, t => t.country, countryPath, name => name, (a, b) => a.localeCompare(b));
+  const months = facetLinks(upcoming, t => t.monthYear, monthPath, formatMonthYear, monthOrder);
+  const page = (path, meta, element) => ({
+    path,
+    html: fillTemplate(template, { ...meta, path, siteUrl, body: renderToStaticMarkup(element) }),
+  });
+
+  return [
+    page('/', { description: SITE_DESCRIPTION, feed: {} }, (
+      <StaticLayout heading="Upcoming chess tournaments" intro={`${upcoming.length} tournaments around the world.`} generatedAt={generatedAt}>
+        <BrowseLinks countries={countries} months={months} />
+        <TournamentList tournaments={upcoming} />
+      </StaticLayout>
+    )),
+    ...countries.map(({ key, href, label, count }) => page(href, {
+      title: `Chess tournaments in ${label}`,
+      description: `${count} upcoming chess tournaments in ${label}.`,
+      feed: { country: key },
+    }, (
+      <StaticLayout heading={`Chess tournaments in ${label}`} generatedAt={generatedAt}>
+        <TournamentList tournaments={upcoming.filter(t => t.country === key)} />
+        <BrowseLinks countries={countries} months={[]} />
+      </StaticLayout>
+    ))),
+    ...months.map(({ key, href, label, count }) => page(href, {
+      title: `Chess tournaments in ${label}`,
+      description: `${count} chess tournaments in ${label}.`,
+      feed: { month: key },
+    }, (
+      <StaticLayout heading={`Chess tournaments in ${label}`} generatedAt={generatedAt}>
+        <TournamentList tournaments={upcoming.filter(t => t.monthYear === key)} />
+        <BrowseLinks countries={[]} months={months} />
+      </StaticLayout>
+    ))),
+    ...sorted.map(t => page(tournamentPath(t.id), {
+      title: t.title,
+      description: describeTournament(t) || SITE_DESCRIPTION,
+      type: 'article',
+    }, (
+      <StaticLayout heading={t.title} generatedAt={generatedAt}>
+        <TournamentSummary tournament={t} />
+      </StaticLayout>
+    ))),
+  ];
+}
+
+// sitemap.xml for the prerendered pages; needs the absolute site URL.
+export function renderSitemap(pages, siteUrl) {
+  const urls = pages.map(({ path }) => `  <url><loc>${escapeHtml(`${siteUrl}${path}`)}</loc></url>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${urls.join('\n')}\n</urlset>\n`;
+}
@@ -0,0 +1,99 @@
+import { useState, useEffect } from 'react';
+import { COUNTRY_CODES } from './countries';
+import { MONTH_NAMES, monthIndex } from './parseFilename';
+import { DEFAULT_FILTERS, filtersToSearch } from './urlFilters';
+
+// Client-side routes. "/" is the tournament list (its filters live in the
+// query string, see urlFilters.js), "/t/<id>" is one tournament's page,
+// "/submit" is the organizers' submission form and "/admin" the maintainers'
+// data-quality view.
+// The host serves index.html for every path (see vercel.json and public/sw.js).
+//
+// "/country/<slug>" and "/month/<yyyy-mm>" are landing pages prerendered for
+// search engines (see src/prerender.jsx). In the app they open as the list
+// with that country or month selected.
+
+export const SUBMIT_PATH = '/submit';
+
+export function tournamentPath(id) {
+  return `/t/${encodeURIComponent(id)}`;
+}
+
+export function slugify(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+export function countryPath(country) {
+  return `/country/${slugify(country)}`;
+}
+
+// "June2025" -> "/month/2025-06", or null for a month key that isn't a date.
+export function monthPath(monthYear) {
+  const match = (monthYear || '').match(/^([A-Za-z]+)(\d{4})$/);
+  const month = match ? monthIndex(match[1]) : -1;
+  if (month === -1) return null;
+  return `/month/${match[2]}-${String(month + 1).padStart(2, '0')}`;
+}
+
+// The facet a landing page stands for, as a partial filter set, or null.
+export function landingFilters(pathname) {
+  const country = pathname.match(/^\/country\/([a-z0-9-]+)\/?$/);
+  if (country) {
+    const slug = country[1];
+    const name = Object.keys(COUNTRY_CODES).find(key => slugify(key) === slug)
+      || slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    return { country: [name] };
+  }
+  const month = pathname.match(/^\/month\/(\d{4})-(\d{2})\/?$/);
+  if (month && MONTH_NAMES[parseInt(month[2], 10) - 1]) {
+    return { month: [`${MONTH_NAMES[parseInt(month[2], 10) - 1]}${month[1]}`] };
+  }
+  return null;
+}
+
+// Swaps a landing page's URL for the list URL it stands for, before the app
+// reads its filters from the query string.
+export function redirectLandingPage(location = window.location) {
+  const filters = landingFilters(location.pathname);
+  if (filters) {
+    window.history.replaceState(null, '', `/${filtersToSearch({ ...DEFAULT_FILTERS, ...filters })}`);
+  }
+}
+
+export function routeFromLocation(location = window.location) {
+  const match = location.pathname.match(/^\/t\/([^/]+)\/?$/);
+  if (match) {
+    return { name: 'tournament', id: decodeURIComponent(match[1]) };
+  }
+  if (/^\/submit\/?$/.test(location.pathname)) {
+    return { name: 'submit' };
+  }
+  if (/^\/admin\/?$/.test(location.pathname)) {
+    return { name: 'admin' };
+  }
+  return { name: 'list' };
+}
+
+// Pushes `url` and tells listeners, as a Back/Forward navigation would.
+export function navigate(url) {
+  window.history.pushState(null, '', url);
+  window.dispatchEvent(new PopStateEvent('popstate'));
+  window.scrollTo(0, 0);
+}
+
+export function useRoute() {
+  const [route, setRoute] = useState(() => routeFromLocation());
+
+  useEffect(() => {
+    const onPopState = () => setRoute(routeFromLocation());
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  return route;
+}
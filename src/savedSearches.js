@@ -0,0 +1,196 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { serializeTournament, reviveTournament } from './data/cache';
+import { filtersFromSearch } from './urlFilters';
+import { parseQuery, matchTournament } from './search';
+import { findGazetteerCity, locate, distanceKm } from './gazetteer';
+import { matchesTimeWindow } from './dates';
+import { tournamentPath, navigate } from './routes';
+
+// Saved searches and the "new tournaments" inbox, kept in localStorage. A
+// search is stored as its list URL query, the same form the filters take in
+// the address bar. After each refresh the fetched file ids are compared with
+// the ids seen last time (tournament ids are the Drive file ids fetchAllFiles
+// lists), and new files matching a saved search land in the inbox.
+const STORAGE_KEY = 'savedSearches';
+const STORAGE_VERSION = 1;
+const MAX_INBOX = 100;
+
+export const isNotificationSupported = typeof window !== 'undefined' && 'Notification' in window;
+
+const EMPTY_STATE = { searches: [], seenIds: null, inbox: [], browserNotifications: false };
+
+function readState() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    if (!raw) return EMPTY_STATE;
+    const entry = JSON.parse(raw);
+    if (entry.version !== STORAGE_VERSION || !Array.isArray(entry.searches)) return EMPTY_STATE;
+    return {
+      searches: entry.searches,
+      seenIds: Array.isArray(entry.seenIds) ? entry.seenIds : null,
+      inbox: (entry.inbox || []).map(alert => ({ ...alert, tournament: reviveTournament(alert.tournament) })),
+      browserNotifications: !!entry.browserNotifications,
+    };
+  } catch (error) {
+    console.warn('Ignoring unreadable saved searches:', error);
+    return EMPTY_STATE;
+  }
+}
+
+function writeState(state) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      version: STORAGE_VERSION,
+      ...state,
+      inbox: state.inbox.map(alert => ({ ...alert, tournament: serializeTournament(alert.tournament) })),
+    }));
+  } catch (error) {
+    console.warn('Could not save searches:', error);
+  }
+}
+
+// Whether a tournament passes a saved search's filters. View settings (sort,
+// map, layout) and "My tournaments" don't apply, and neither do the FIDE and
+// fee filters: a new file's PDF hasn't been read yet when it is checked.
+export function matchesSavedSearch(tournament, filters, now = new Date()) {
+  const inFacet = (selected, value) => selected.length === 0 || selected.includes(value);
+  if (!inFacet(filters.month, tournament.monthYear)) return false;
+  if (!inFacet(filters.country, tournament.country)) return false;
+  if (!inFacet(filters.type, tournament.type)) return false;
+  if (!matchesTimeWindow(tournament, filters.status, now, { from: filters.from, to: filters.to })) return false;
+
+  const terms = parseQuery(filters.search);
+  if (terms.length > 0 && !matchTournament(tournament, terms)) return false;
+
+  const origin = findGazetteerCity(filters.near);
+  if (origin && filters.radius) {
+    const location = locate(tournament.city, tournament.country);
+    if (!location || distanceKm(origin, location) > Number(filters.radius)) return false;
+  }
+  return true;
+}
+
+// Tournaments whose ids weren't in the last seen set.
+export function findNewTournaments(tournaments, seenIds) {
+  const seen = new Set(seenIds);
+  return tournaments.filter(t => !seen.has(t.id));
+}
+
+// New-tournament alerts, one per tournament with the names of every saved
+// search it matches.
+export function findAlerts(tournaments, searches, now = new Date()) {
+  const parsed = searches.map(search => ({ ...search, filters: filtersFromSearch(search.query) }));
+  return tournaments.flatMap(tournament => {
+    const matching = parsed.filter(search => matchesSavedSearch(tournament, search.filters, now));
+    if (matching.length === 0) return [];
+    return [{
+      id: tournament.id,
+      searchIds: matching.map(search => search.id),
+      searchNames: matching.map(search => search.name),
+      tournament,
+      foundAt: now.toISOString(),
+      read: false,
+    }];
+  });
+}
+
+// A default name for the current filters: "Blitz · Spain".
+export function suggestSearchName(filters) {
+  return [filters.search, ...filters.type, ...filters.country, ...filters.month, filters.near]
+    .map(part => part.trim())
+    .filter(Boolean)
+    .join(' · ');
+}
+
+function showBrowserNotification(alerts, i18n) {
+  if (!isNotificationSupported || Notification.permission !== 'granted') return;
+  const { t } = i18n;
+  const [first] = alerts;
+  try {
+    const notification = new Notification(
+      alerts.length === 1 ? t('alerts.notifyOne', { title: first.tournament.title }) : t('alerts.notifyMany', { count: alerts.length }),
+      { body: t('alerts.notifyBody', { names: [...new Set(alerts.flatMap(a => a.searchNames))].join(', ') }), tag: 'new-tournaments' }
+    );
+    notification.onclick = () => {
+      window.focus();
+      if (alerts.length === 1) navigate(tournamentPath(first.tournament.id));
+      notification.close();
+    };
+  } catch (error) {
+    // Some mobile browsers only allow notifications from a service worker.
+    console.warn('Could not show a notification:', error);
+  }
+}
+
+// `i18n` words the browser notifications, which are shown outside the page.
+export function useSavedSearches(i18n) {
+  const [state, setState] = useState(readState);
+  const stateRef = useRef(state);
+  const i18nRef = useRef(i18n);
+  stateRef.current = state;
+  i18nRef.current = i18n;
+
+  useEffect(() => {
+    writeState(state);
+  }, [state]);
+
+  // `query` is the list's URL query, as filtersToSearch writes it.
+  const saveSearch = useCallback((name, query) => {
+    const search = { id: `s${Date.now().toString(36)}`, name, query, createdAt: new Date().toISOString() };
+    setState(prev => ({ ...prev, searches: [...prev.searches, search] }));
+  }, []);
+
+  const removeSearch = useCallback((id) => {
+    setState(prev => ({ ...prev, searches: prev.searches.filter(search => search.id !== id) }));
+  }, []);
+
+  // Compares a freshly fetched list with the ids seen last time. The first
+  // list only records what exists, so nothing already listed counts as new.
+  const checkForNew = useCallback((tournaments, now = new Date()) => {
+    const { seenIds, searches, browserNotifications } = stateRef.current;
+    const alerts = seenIds ? findAlerts(findNewTournaments(tournaments, seenIds), searches, now) : [];
+    setState(prev => {
+      const alertIds = new Set(alerts.map(alert => alert.id));
+      return {
+        ...prev,
+        seenIds: tournaments.map(t => t.id),
+        inbox: [...alerts, ...prev.inbox.filter(alert => !alertIds.has(alert.id))].slice(0, MAX_INBOX),
+      };
+    });
+    if (alerts.length > 0 && browserNotifications) {
+      showBrowserNotification(alerts, i18nRef.current);
+    }
+    return alerts;
+  }, []);
+
+  const markAllRead = useCallback(() => {
+    setState(prev => ({ ...prev, inbox: prev.inbox.map(alert => (alert.read ? alert : { ...alert, read: true })) }));
+  }, []);
+
+  const clearInbox = useCallback(() => {
+    setState(prev => ({ ...prev, inbox: [] }));
+  }, []);
+
+  // Asks for permission the first time; returns the resulting permission.
+  const setBrowserNotifications = useCallback(async (enabled) => {
+    let permission = isNotificationSupported ? Notification.permission : 'denied';
+    if (enabled && permission === 'default') {
+      permission = await Notification.requestPermission();
+    }
+    setState(prev => ({ ...prev, browserNotifications: enabled && permission === 'granted' }));
+    return permission;
+  }, []);
+
+  return {
+    searches: state.searches,
+    inbox: state.inbox,
+    unreadCount: state.inbox.filter(alert => !alert.read).length,
+    browserNotifications: state.browserNotifications,
+    saveSearch,
+    removeSearch,
+    checkForNew,
+    markAllRead,
+    clearInbox,
+    setBrowserNotifications,
+  };
+}
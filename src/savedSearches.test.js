@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+import { findAlerts, findNewTournaments, matchesSavedSearch, suggestSearchName } from './savedSearches';
+import { filtersFromSearch } from './urlFilters';
+import { tournamentFromFilename } from './data/tournament';
+
+const NOW = new Date(2025, 5, 1, 12);
+
+const MADRID = tournamentFromFilename('madrid', '14-15 June2025 Blitz Madrid, Spain.pdf');
+const BARCELONA = tournamentFromFilename('barcelona', '20-22 July2025 Classical Barcelona, Spain.pdf');
+const LISBON = tournamentFromFilename('lisbon', '14-15 June2025 Rapid Lisbon, Portugal.pdf');
+const PAST = tournamentFromFilename('past', '10-11 May2025 Blitz Valencia, Spain.pdf');
+
+const matches = (tournament, query) => matchesSavedSearch(tournament, filtersFromSearch(query), NOW);
+
+describe('matchesSavedSearch', () => {
+  it('matches every upcoming tournament with no filters', () => {
+    expect(matches(MADRID, '')).toBe(true);
+    expect(matches(PAST, '')).toBe(false);
+    expect(matches(PAST, '?status=All')).toBe(true);
+  });
+
+  it('applies the facets, any value within a facet', () => {
+    expect(matches(MADRID, '?country=Spain&type=Blitz')).toBe(true);
+    expect(matches(BARCELONA, '?country=Spain&type=Blitz')).toBe(false);
+    expect(matches(LISBON, '?country=Spain&country=Portugal')).toBe(true);
+    expect(matches(BARCELONA, '?month=June2025')).toBe(false);
+  });
+
+  it('applies the search text', () => {
+    expect(matches(MADRID, '?q=blitz+spain')).toBe(true);
+    expect(matches(LISBON, '?q=blitz+spain')).toBe(false);
+  });
+
+  it('applies the distance from a city', () => {
+    expect(matches(BARCELONA, '?near=Madrid%2C+Spain&radius=100')).toBe(false);
+    expect(matches(BARCELONA, '?near=Madrid%2C+Spain&radius=1000')).toBe(true);
+  });
+
+  it('ignores view settings and the PDF-based filters', () => {
+    expect(matches(MADRID, '?fide=1&fee=free&saved=1&map=1&view=list')).toBe(true);
+  });
+});
+
+describe('findNewTournaments', () => {
+  it('returns the tournaments that were not seen last time', () => {
+    expect(findNewTournaments([MADRID, LISBON, BARCELONA], ['madrid', 'gone'])).toEqual([LISBON, BARCELONA]);
+  });
+});
+
+describe('findAlerts', () => {
+  const SEARCHES = [
+    { id: 's1', name: 'Spain', query: '?country=Spain' },
+    { id: 's2', name: 'Blitz', query: '?type=Blitz' },
+  ];
+
+  it('makes one alert per tournament naming every matching search', () => {
+    expect(findAlerts([MADRID, LISBON, BARCELONA], SEARCHES, NOW)).toEqual([
+      {
+        id: 'madrid',
+        searchIds: ['s1', 's2'],
+        searchNames: ['Spain', 'Blitz'],
+        tournament: MADRID,
+        foundAt: NOW.toISOString(),
+        read: false,
+      },
+      {
+        id: 'barcelona',
+        searchIds: ['s1'],
+        searchNames: ['Spain'],
+        tournament: BARCELONA,
+        foundAt: NOW.toISOString(),
+        read: false,
+      },
+    ]);
+  });
+
+  it('only alerts about tournaments new since the last visit', () => {
+    const fresh = findNewTournaments([MADRID, LISBON, BARCELONA], ['madrid', 'lisbon']);
+    expect(findAlerts(fresh, SEARCHES, NOW).map(alert => alert.id)).toEqual(['barcelona']);
+  });
+
+  it('is empty without saved searches', () => {
+    expect(findAlerts([MADRID], [], NOW)).toEqual([]);
+  });
+});
+
+describe('suggestSearchName', () => {
+  it('joins the search text and selected facets', () => {
+    expect(suggestSearchName(filtersFromSearch('?q=+rapid+&type=Blitz&country=Spain'))).toBe('rapid · Blitz · Spain');
+  });
+});
@@ -0,0 +1,217 @@
+import { COUNTRY_CODES, findCountry } from './countries';
+
+// Free-text tournament search. Queries are split into terms that must all
+// match somewhere in the title, city, country or type, after folding case and
+// accents ("zurich" finds "Zürich"). A term can be a "quoted phrase" or be
+// limited to one field with a prefix (country:spain, type:blitz). Near misses
+// of longer words still match, ranked below exact and prefix matches.
+
+export const SEARCH_FIELDS = ['title', 'city', 'country', 'type'];
+
+const FIELD_WEIGHTS = { title: 2, city: 1.5, country: 1.5, type: 1 };
+
+const SCORE_EXACT = 3;
+const SCORE_PREFIX = 2;
+const SCORE_INFIX = 1.5;
+const SCORE_FUZZY = 1;
+
+// Letters that don't decompose into a base letter plus accents.
+const EXTRA_FOLDS = { 'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'ł': 'l', 'đ': 'd', 'ı': 'i' };
+
+function foldChar(ch) {
+  const lower = ch.toLowerCase();
+  return EXTRA_FOLDS[lower] ?? lower.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+export function foldText(text) {
+  return Array.from(text || '').map(foldChar).join('');
+}
+
+// Folded text plus, for each folded character, the [start, end) of the
+// original character it came from, so matches can be highlighted in place.
+function foldWithOffsets(text) {
+  let folded = '';
+  const starts = [];
+  const ends = [];
+  let index = 0;
+  for (const ch of text) {
+    const out = foldChar(ch);
+    for (let i = 0; i < out.length; i++) {
+      starts.push(index);
+      ends.push(index + ch.length);
+    }
+    folded += out;
+    index += ch.length;
+  }
+  return { folded, starts, ends };
+}
+
+const foldedFields = new WeakMap();
+
+function getFoldedFields(tournament) {
+  if (!foldedFields.has(tournament)) {
+    const fields = {};
+    SEARCH_FIELDS.forEach(field => {
+      const source = foldWithOffsets(tournament[field] || '');
+      const words = [];
+      for (const match of source.folded.matchAll(/[\p{L}\p{N}]+/gu)) {
+        words.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+      }
+      fields[field] = { ...source, words };
+    });
+    foldedFields.set(tournament, fields);
+  }
+  return foldedFields.get(tournament);
+}
+
+// Typos allowed for a term: none for short words, where they'd match too much.
+function maxEdits(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+// Levenshtein distance, giving up once it must exceed `max`.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// The candidate closest to `text` within `max` typos (by default what
+// maxEdits allows), or null.
+export function closestMatch(text, candidates, max = maxEdits(foldText(text))) {
+  const term = foldText(text);
+  let best = null;
+  let bestDistance = max + 1;
+  candidates.forEach(candidate => {
+    const distance = editDistance(term, foldText(candidate), max);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+// "blitz country:spain" -> [{ field: null, text: 'blitz' }, { field: 'country', text: 'spain' }].
+// A prefix that isn't a field name is kept as part of the text.
+export function parseQuery(input) {
+  const terms = [];
+  const pattern = /(?:([A-Za-z]+):)?(?:"([^"]*)"?|(\S+))/g;
+  for (const match of (input || '').matchAll(pattern)) {
+    const [, prefix, phrase, word] = match;
+    const field = prefix && SEARCH_FIELDS.includes(prefix.toLowerCase()) ? prefix.toLowerCase() : null;
+    let raw = phrase ?? word ?? '';
+    if (prefix && !field) {
+      raw = `${prefix}:${raw}`;
+    }
+    const text = foldText(raw).trim().replace(/\s+/g, ' ');
+    if (text) {
+      terms.push({ field, text, raw: raw.trim(), phrase: phrase !== undefined || text.includes(' ') });
+    }
+  }
+  return terms;
+}
+
+// Best score of one term against one field, with the folded ranges it matched.
+function matchField(field, term) {
+  if (term.phrase) {
+    const at = field.folded.indexOf(term.text);
+    return at === -1 ? null : { score: SCORE_EXACT, ranges: [[at, at + term.text.length]] };
+  }
+
+  let score = 0;
+  const ranges = [];
+  field.words.forEach(word => {
+    let wordScore = 0;
+    let range = [word.start, word.end];
+    if (word.text === term.text) {
+      wordScore = SCORE_EXACT;
+    } else if (word.text.startsWith(term.text)) {
+      wordScore = SCORE_PREFIX;
+      range = [word.start, word.start + term.text.length];
+    } else if (term.text.length >= 3 && word.text.includes(term.text)) {
+      const at = word.start + word.text.indexOf(term.text);
+      wordScore = SCORE_INFIX;
+      range = [at, at + term.text.length];
+    } else if (maxEdits(term.text) > 0 && editDistance(word.text, term.text, maxEdits(term.text)) <= maxEdits(term.text)) {
+      wordScore = SCORE_FUZZY;
+    }
+    if (wordScore > 0) {
+      score = Math.max(score, wordScore);
+      ranges.push(range);
+    }
+  });
+  return score > 0 ? { score, ranges } : null;
+}
+
+function sameCountry(query, country) {
+  const code = COUNTRY_CODES[findCountry(query)];
+  return !!code && code === COUNTRY_CODES[findCountry(country)];
+}
+
+// Maps folded ranges back to [start, end) offsets in the original field text.
+function toOriginalRanges(field, ranges) {
+  return ranges.map(([start, end]) => [field.starts[start], field.ends[end - 1]]);
+}
+
+// { score, highlights: { title: [[start, end], ...], city, country, type } }
+// when every term matches, otherwise null. Higher scores are better matches.
+export function matchTournament(tournament, terms) {
+  const fields = getFoldedFields(tournament);
+  const highlights = {};
+  let total = 0;
+
+  for (const term of terms) {
+    let best = 0;
+    (term.field ? [term.field] : SEARCH_FIELDS).forEach(name => {
+      let match = matchField(fields[name], term);
+      // Aliases like "uk" or "usa" match the country they stand for.
+      if (!match && name === 'country' && sameCountry(term.raw, tournament.country)) {
+        match = { score: SCORE_EXACT, ranges: [[0, fields.country.folded.length]] };
+      }
+      if (!match) return;
+      best = Math.max(best, match.score * FIELD_WEIGHTS[name]);
+      highlights[name] = [...(highlights[name] || []), ...toOriginalRanges(fields[name], match.ranges)];
+    });
+    if (best === 0) return null;
+    total += best;
+  }
+
+  return { score: total, highlights };
+}
+
+// Splits `text` into [{ text, highlighted }] parts for the given ranges,
+// which may overlap and come in any order.
+export function splitHighlights(text, ranges = []) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const parts = [];
+  let index = 0;
+  sorted.forEach(([start, end]) => {
+    if (end <= index) return;
+    if (start > index) {
+      parts.push({ text: text.slice(index, start), highlighted: false });
+    }
+    parts.push({ text: text.slice(Math.max(start, index), end), highlighted: true });
+    index = end;
+  });
+  if (index < text.length) {
+    parts.push({ text: text.slice(index), highlighted: false });
+  }
+  return parts;
+}
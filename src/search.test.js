@@ -0,0 +1,139 @@
+import { describe, expect, it } from 'vitest';
+import { closestMatch, foldText, matchTournament, parseQuery, splitHighlights } from './search';
+import { tournamentFromFilename } from './data/tournament';
+
+const ZURICH = tournamentFromFilename('z', '14-15 June2025 Blitz Zürich, Switzerland.pdf');
+const MADRID = tournamentFromFilename('m', '14-15 June2025 Blitz Madrid, Spain.pdf');
+const BARCELONA = tournamentFromFilename('b', '14-15 June2025 Classical Barcelona, Spain.pdf');
+
+const search = (tournament, query) => matchTournament(tournament, parseQuery(query));
+
+describe('foldText', () => {
+  it('folds case and accents', () => {
+    expect(foldText('Zürich')).toBe('zurich');
+    expect(foldText('Göteborg Straße')).toBe('goteborg strasse');
+  });
+});
+
+describe('parseQuery', () => {
+  it('splits words into terms', () => {
+    expect(parseQuery('blitz  Spain')).toEqual([
+      { field: null, text: 'blitz', raw: 'blitz', phrase: false },
+      { field: null, text: 'spain', raw: 'Spain', phrase: false },
+    ]);
+  });
+
+  it('reads field prefixes', () => {
+    expect(parseQuery('country:spain TYPE:blitz')).toEqual([
+      { field: 'country', text: 'spain', raw: 'spain', phrase: false },
+      { field: 'type', text: 'blitz', raw: 'blitz', phrase: false },
+    ]);
+  });
+
+  it('keeps unknown prefixes as text', () => {
+    expect(parseQuery('foo:bar')).toEqual([{ field: null, text: 'foo:bar', raw: 'foo:bar', phrase: false }]);
+  });
+
+  it('reads quoted phrases, closed or not', () => {
+    expect(parseQuery('"New Delhi" city:"San Sebastián')).toEqual([
+      { field: null, text: 'new delhi', raw: 'New Delhi', phrase: true },
+      { field: 'city', text: 'san sebastian', raw: 'San Sebastián', phrase: true },
+    ]);
+  });
+
+  it('ignores empty input', () => {
+    expect(parseQuery('')).toEqual([]);
+    expect(parseQuery('  "" ')).toEqual([]);
+  });
+});
+
+describe('matchTournament', () => {
+  it('matches without accents', () => {
+    const result = search(ZURICH, 'Zurich');
+    expect(result).not.toBeNull();
+    expect(result.highlights.city).toEqual([[0, 6]]);
+  });
+
+  it('needs every word of a multi-word query', () => {
+    expect(search(MADRID, 'blitz spain')).not.toBeNull();
+    expect(search(BARCELONA, 'blitz spain')).toBeNull();
+    expect(search(ZURICH, 'blitz spain')).toBeNull();
+  });
+
+  it('allows a one-letter typo in longer words', () => {
+    expect(search(MADRID, 'madird')).toBeNull();
+    expect(search(MADRID, 'madrd')).not.toBeNull();
+    expect(search(BARCELONA, 'barcelnoa')).not.toBeNull();
+  });
+
+  it('allows no typos in short words', () => {
+    expect(search(MADRID, 'bli')).not.toBeNull();
+    expect(search(MADRID, 'blx')).toBeNull();
+  });
+
+  it('ranks exact matches above prefixes and typos', () => {
+    const exact = search(MADRID, 'madrid').score;
+    const prefix = search(MADRID, 'madr').score;
+    const fuzzy = search(MADRID, 'madrud').score;
+    expect(exact).toBeGreaterThan(prefix);
+    expect(prefix).toBeGreaterThan(fuzzy);
+  });
+
+  it('limits prefixed terms to their field', () => {
+    expect(search(MADRID, 'country:spain')).not.toBeNull();
+    expect(search(MADRID, 'city:spain')).toBeNull();
+    expect(search(MADRID, 'type:blitz')).not.toBeNull();
+    expect(search(BARCELONA, 'type:blitz')).toBeNull();
+  });
+
+  it('matches country aliases', () => {
+    const london = tournamentFromFilename('l', '14 June2025 Rapid London, United Kingdom.pdf');
+    expect(search(london, 'country:uk')).not.toBeNull();
+  });
+
+  it('matches quoted phrases as a whole', () => {
+    const delhi = tournamentFromFilename('d', '14 June2025 Rapid New Delhi, India.pdf');
+    expect(search(delhi, '"new delhi"').highlights.city).toEqual([[0, 9]]);
+    expect(search(delhi, '"delhi new"')).toBeNull();
+  });
+
+  it('maps highlights on accented text back to the original offsets', () => {
+    const sebastian = tournamentFromFilename('s', '14 June2025 Rapid San Sebastián, Spain.pdf');
+    expect(search(sebastian, 'sebastian').highlights.city).toEqual([[4, 13]]);
+    // "ß" folds to two letters but is one character in the name.
+    const strasse = tournamentFromFilename('g', '14 June2025 Rapid Großstraße, Germany.pdf');
+    expect(search(strasse, 'strasse').highlights.city).toEqual([[4, 10]]);
+  });
+});
+
+describe('closestMatch', () => {
+  it('finds the candidate within the allowed typos', () => {
+    expect(closestMatch('Frnace', ['France', 'Spain'], 2)).toBe('France');
+    expect(closestMatch('Itly', ['Italy', 'Spain'])).toBe('Italy');
+    expect(closestMatch('Xyz', ['Italy', 'Spain'])).toBeNull();
+  });
+});
+
+describe('splitHighlights', () => {
+  it('splits text around the ranges', () => {
+    expect(splitHighlights('San Sebastián', [[4, 13]])).toEqual([
+      { text: 'San ', highlighted: false },
+      { text: 'Sebastián', highlighted: true },
+    ]);
+  });
+
+  it('merges overlapping and unsorted ranges', () => {
+    expect(splitHighlights('abcdefgh', [[5, 7], [1, 3], [2, 4]])).toEqual([
+      { text: 'a', highlighted: false },
+      { text: 'bc', highlighted: true },
+      { text: 'd', highlighted: true },
+      { text: 'e', highlighted: false },
+      { text: 'fg', highlighted: true },
+      { text: 'h', highlighted: false },
+    ]);
+  });
+
+  it('returns the whole text when nothing is highlighted', () => {
+    expect(splitHighlights('Zürich')).toEqual([{ text: 'Zürich', highlighted: false }]);
+  });
+});
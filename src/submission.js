@@ -0,0 +1,145 @@
+import { parseFilename, formatFilename } from './parseFilename';
+import { findCountry } from './countries';
+import { parseISODate, toISODate, startOfDay } from './dates';
+
+// Tournaments submitted by organizers. Each field is checked on its own, then
+// the filename built from them is read back with parseFilename, so a
+// submission that passes is one the site will list exactly as entered.
+
+export const MAX_PDF_BYTES = 20 * 1024 * 1024;
+
+export const EMPTY_SUBMISSION = {
+  startDate: '',
+  endDate: '',
+  types: [],
+  city: '',
+  country: '',
+  contact: '',
+  notes: '',
+  pdf: null,
+};
+
+// Characters Drive and common file systems won't take in a name.
+const UNSAFE_CHARS = /[\\/:*?"<>|]/;
+
+// Parser warning fields -> form fields.
+const WARNING_FIELDS = { date: 'startDate', type: 'types', location: 'city', country: 'country' };
+
+// formatFilename for the form's values: ISO date strings and a typed country name.
+export function submissionFilename({ startDate, endDate, types, city, country }) {
+  return formatFilename({
+    startDate: parseISODate(startDate),
+    endDate: parseISODate(endDate),
+    types,
+    city,
+    country: findCountry(country) || country.trim(),
+  });
+}
+
+function checkFields(submission, now) {
+  const errors = {};
+  const start = parseISODate(submission.startDate);
+  const end = parseISODate(submission.endDate);
+  const city = submission.city.trim();
+
+  if (!start) {
+    errors.startDate = 'Enter the first day of the tournament.';
+  }
+  if (submission.endDate && !end) {
+    errors.endDate = 'Enter a valid last day, or leave it empty for a one-day event.';
+  } else if (start && end && end < start) {
+    errors.endDate = 'The last day is before the first day.';
+  } else if (start && (end || start) < startOfDay(now)) {
+    errors.endDate = 'This tournament has already finished.';
+  }
+
+  if (submission.types.length === 0) {
+    errors.types = 'Pick at least one type.';
+  }
+
+  if (!city) {
+    errors.city = 'Enter the city.';
+  } else if (UNSAFE_CHARS.test(city)) {
+    errors.city = 'The city can\'t contain \\ / : * ? " < > |';
+  }
+
+  if (!submission.country.trim()) {
+    errors.country = 'Enter the country.';
+  } else if (!findCountry(submission.country)) {
+    errors.country = `"${submission.country.trim()}" isn't a country we recognise. Pick one from the list.`;
+  }
+
+  const { pdf } = submission;
+  if (!pdf) {
+    errors.pdf = 'Attach the tournament PDF.';
+  } else if (pdf.type !== 'application/pdf' && !/\.pdf$/i.test(pdf.name)) {
+    errors.pdf = 'The file must be a PDF.';
+  } else if (pdf.size > MAX_PDF_BYTES) {
+    errors.pdf = `The PDF is larger than ${MAX_PDF_BYTES / 1024 / 1024} MB.`;
+  }
+
+  if (submission.contact.trim() && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(submission.contact.trim())) {
+    errors.contact = 'Enter a valid email address, or leave it empty.';
+  }
+
+  return errors;
+}
+
+// Reads `filename` back as the site will, and reports every way the result
+// differs from what was entered.
+function checkRoundTrip(filename, submission) {
+  const errors = {};
+  const parsed = parseFilename(filename);
+  const add = (field, message) => {
+    if (!errors[field]) errors[field] = message;
+  };
+
+  parsed.warnings.forEach(({ field, message }) => add(WARNING_FIELDS[field] || 'startDate', `${message}.`));
+
+  const start = parseISODate(submission.startDate);
+  const end = parseISODate(submission.endDate) || start;
+  const iso = date => (date ? toISODate(date) : null);
+  if (iso(parsed.startDate) !== iso(start) || iso(parsed.endDate) !== iso(end)) {
+    add('startDate', 'These dates can\'t be written in a filename the site reads back the same way.');
+  }
+  if (parsed.location !== submission.city.trim().replace(/\s+/g, ' ')) {
+    add('city', `The site would read the city as "${parsed.location}".`);
+  }
+  if (parsed.country !== findCountry(submission.country)) {
+    add('country', `The site would read the country as "${parsed.country || 'none'}".`);
+  }
+  return { errors, parsed };
+}
+
+// { errors, filename, parsed }: `errors` maps form fields to messages, and
+// `filename` and `parsed` are set once the name-related fields are valid.
+export function validateSubmission(submission, now = new Date()) {
+  const errors = checkFields(submission, now);
+  const nameFields = ['startDate', 'endDate', 'types', 'city', 'country'];
+  if (nameFields.some(field => errors[field])) {
+    return { errors, filename: null, parsed: null };
+  }
+
+  const filename = submissionFilename(submission);
+  const roundTrip = checkRoundTrip(filename, submission);
+  return { errors: { ...roundTrip.errors, ...errors }, filename, parsed: roundTrip.parsed };
+}
+
+// The record maintainers review next to the renamed PDF. It uses the field
+// names the static data source reads, so it can be listed as it is.
+export function submissionRecord(submission, filename, now = new Date()) {
+  const parsed = parseFilename(filename);
+  return {
+    filename,
+    title: parsed.title,
+    startDate: toISODate(parsed.startDate),
+    endDate: toISODate(parsed.endDate),
+    type: parsed.type,
+    city: parsed.location,
+    country: parsed.country,
+    contact: submission.contact.trim() || null,
+    notes: submission.notes.trim() || null,
+    pdf: submission.pdf ? { name: submission.pdf.name, size: submission.pdf.size } : null,
+    submittedAt: now.toISOString(),
+  };
+}
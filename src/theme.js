@@ -0,0 +1,70 @@
+import { useEffect, useState } from 'react';
+
+// Light and dark themes. The palettes the app uses are CSS variables (see
+// tailwind.config.js) that html.dark switches to their dark shades, so one
+// set of classes serves both themes and the shared classes below only need
+// to be written once. The inline script in index.html applies the saved
+// theme before the first paint.
+const STORAGE_KEY = 'theme';
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+export const THEMES = ['system', 'light', 'dark'];
+
+// Page bands behind the cards; orange-100 is too dark for gray-500 text.
+export const COMMON_PAGE_BG      = 'bg-orange-50';
+export const COMMON_BG           = 'bg-white';
+export const COMMON_BORDER       = 'border border-gray-200';
+// Form controls need a 3:1 outline against the page in both themes.
+export const COMMON_INPUT_BORDER = 'border border-gray-500';
+export const COMMON_TEXT         = 'text-gray-800';
+export const COMMON_PLACEHOLDER  = 'placeholder-gray-500';
+export const COMMON_FOCUS        = 'focus:outline-none focus:ring-2 focus:ring-orange-600';
+export const COMMON_SHADOW       = 'shadow-lg';
+export const COMMON_TRANSITION   = 'transition';
+export const COMMON_FORM_HEIGHT  = 'h-11';
+// Orange branding. White text needs orange-700 or darker for 4.5:1.
+export const COMMON_BUTTON_PRIMARY   = 'text-white bg-orange-700 hover:bg-orange-800';
+export const COMMON_BUTTON_SECONDARY = 'border border-orange-600 text-orange-800 bg-white hover:bg-orange-50';
+
+function readTheme() {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return THEMES.includes(saved) ? saved : 'system';
+  } catch {
+    return 'system';
+  }
+}
+
+// The chosen theme ("system" follows the OS), the one in effect, and a setter
+// that remembers the choice.
+export function useTheme() {
+  const [theme, setThemeState] = useState(readTheme);
+  const [systemDark, setSystemDark] = useState(() => window.matchMedia(DARK_QUERY).matches);
+  const resolvedTheme = theme === 'system' ? (systemDark ? 'dark' : 'light') : theme;
+
+  useEffect(() => {
+    const query = window.matchMedia(DARK_QUERY);
+    const handleChange = () => setSystemDark(query.matches);
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.classList.toggle('dark', resolvedTheme === 'dark');
+  }, [resolvedTheme]);
+
+  const setTheme = (value) => {
+    setThemeState(value);
+    try {
+      if (value === 'system') {
+        window.localStorage.removeItem(STORAGE_KEY);
+      } else {
+        window.localStorage.setItem(STORAGE_KEY, value);
+      }
+    } catch (error) {
+      console.warn('Could not save the theme:', error);
+    }
+  };
+
+  return { theme, resolvedTheme, setTheme };
+}
@@ -0,0 +1,118 @@
+import { useState, useEffect, useCallback } from 'react';
+import { parseTournamentDetails, readPdfText } from './pdfDetails';
+import { pdfUrl } from './download';
+
+// Details read from each tournament's PDF, kept in localStorage by file id so
+// every PDF is only downloaded and parsed once. Bump DETAILS_VERSION when the
+// parser improves, so earlier guesses are re-read.
+const STORAGE_KEY = 'pdf-details';
+const DETAILS_VERSION = 1;
+
+function readStoredDetails() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    if (!raw) return {};
+    const entry = JSON.parse(raw);
+    if (entry.version !== DETAILS_VERSION || !entry.details) return {};
+    return entry.details;
+  } catch (error) {
+    console.warn('Ignoring unreadable PDF details:', error);
+    return {};
+  }
+}
+
+function storeDetails(id, details) {
+  try {
+    const stored = readStoredDetails();
+    stored[id] = details;
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: DETAILS_VERSION, details: stored }));
+  } catch (error) {
+    console.warn('Could not save PDF details:', error);
+  }
+}
+
+// pdf.js is large, so it's only loaded once there is a PDF to read.
+let pdfjsPromise;
+function loadPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = Promise.all([
+      import('pdfjs-dist'),
+      import('pdfjs-dist/build/pdf.worker.min.mjs?url'),
+    ]).then(([pdfjs, worker]) => {
+      pdfjs.GlobalWorkerOptions.workerSrc = worker.default;
+      return pdfjs;
+    });
+  }
+  return pdfjsPromise;
+}
+
+// Plain text of the first pages of the PDF at `url`.
+export async function extractPdfText(url) {
+  const pdfjs = await loadPdfjs();
+  return readPdfText(await pdfjs.getDocument({ url }).promise);
+}
+
+function canExtract(tournament) {
+  return !tournament.details && /^https?:/.test(pdfUrl(tournament) || '');
+}
+
+// One read per PDF, however many lists ask for it at once.
+const reading = new Map();
+function readDetails(tournament) {
+  if (!reading.has(tournament.id)) {
+    const promise = extractPdfText(pdfUrl(tournament)).then((text) => {
+      const details = parseTournamentDetails(text);
+      storeDetails(tournament.id, details);
+      return details;
+    });
+    // Not stored on failure, so a later request tries again.
+    promise.catch(() => reading.delete(tournament.id));
+    reading.set(tournament.id, promise);
+  }
+  return reading.get(tournament.id);
+}
+
+// Details for `tournaments` by id. Tournaments whose record already carries
+// details (the static build reads them) are left alone. Reading every flyer
+// means downloading every PDF, so the others are only read when asked for:
+// all of them while `readAll` is set (a filter needs them), otherwise the ones
+// passed to `requestDetails`, e.g. as their cards scroll into view. PDFs are
+// read one at a time in the background; `pending` counts those still to read.
+export function useTournamentDetails(tournaments, readAll) {
+  const [detailsById, setDetailsById] = useState(() => new Map(Object.entries(readStoredDetails())));
+  const [requestedIds, setRequestedIds] = useState(() => new Set());
+  const [pending, setPending] = useState(0);
+
+  const requestDetails = useCallback((id) => {
+    setRequestedIds(prev => (prev.has(id) ? prev : new Set(prev).add(id)));
+  }, []);
+
+  useEffect(() => {
+    const stored = readStoredDetails();
+    const queue = tournaments.filter(t => (readAll || requestedIds.has(t.id)) && canExtract(t) && !(t.id in stored));
+    let cancelled = false;
+    setPending(queue.length);
+
+    (async () => {
+      for (const tournament of queue) {
+        if (cancelled) return;
+        try {
+          const details = await readDetails(tournament);
+          // Kept even if this run was superseded, since the details are stored.
+          setDetailsById(prev => new Map(prev).set(tournament.id, details));
+        } catch (error) {
+          console.warn(`Could not read the PDF for "${tournament.title}":`, error);
+        }
+        if (!cancelled) {
+          setPending(count => count - 1);
+        }
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [tournaments, readAll, requestedIds]);
+
+  return { detailsById, pending, requestDetails };
+}
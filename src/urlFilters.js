@@ -0,0 +1,80 @@
+// Filter state <-> URL query string, so views can be bookmarked and shared.
+// Filters at their default value are left out of the URL; multi-select facets
+// repeat their parameter once per value (?country=Spain&country=Portugal).
+
+export const DEFAULT_FILTERS = {
+  search: '',
+  month: [],
+  country: [],
+  type: [],
+  status: 'Upcoming',
+  from: '',
+  to: '',
+  saved: false,
+  near: '',
+  radius: '',
+  fide: false,
+  fee: '',
+  sort: 'relevance',
+  map: false,
+  view: 'grid',
+  cal: '',
+  plan: false,
+};
+
+const PARAM_NAMES = {
+  search: 'q',
+  month: 'month',
+  country: 'country',
+  type: 'type',
+  status: 'status',
+  from: 'from',
+  to: 'to',
+  saved: 'saved',
+  near: 'near',
+  radius: 'radius',
+  fide: 'fide',
+  fee: 'fee',
+  sort: 'sort',
+  map: 'map',
+  view: 'view',
+  cal: 'cal',
+  plan: 'plan',
+};
+
+export function filtersFromSearch(search) {
+  const params = new URLSearchParams(search);
+  const filters = { ...DEFAULT_FILTERS };
+  Object.entries(PARAM_NAMES).forEach(([key, param]) => {
+    if (Array.isArray(DEFAULT_FILTERS[key])) {
+      filters[key] = params.getAll(param).filter(Boolean);
+      return;
+    }
+    if (typeof DEFAULT_FILTERS[key] === 'boolean') {
+      filters[key] = params.get(param) === '1';
+      return;
+    }
+    const value = params.get(param);
+    if (value !== null) {
+      filters[key] = value;
+    }
+  });
+  return filters;
+}
+
+export function filtersToSearch(filters) {
+  const params = new URLSearchParams();
+  Object.entries(PARAM_NAMES).forEach(([key, param]) => {
+    // The custom range only means something while the custom window is selected.
+    if ((key === 'from' || key === 'to') && filters.status !== 'Custom') return;
+    if (Array.isArray(filters[key])) {
+      filters[key].forEach(value => params.append(param, value));
+    } else if (typeof filters[key] === 'boolean') {
+      if (filters[key]) params.set(param, '1');
+    } else if (filters[key] !== DEFAULT_FILTERS[key]) {
+      params.set(param, filters[key]);
+    }
+  });
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
@@ -0,0 +1,60 @@
+import { useState, useEffect, useCallback } from 'react';
+import { serializeTournament, reviveTournament } from './data/cache';
+
+// "My tournaments": the events a player has starred, kept in localStorage.
+// A full snapshot of each tournament is stored, not just its id, so an event
+// that later disappears from the data source can still be shown and flagged.
+// Other shortlists, like the season plan, use the same hook under another key.
+const STORAGE_KEY = 'watchlist';
+const STORAGE_VERSION = 1;
+
+function readWatchlist(key) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    if (!raw) return [];
+    const entry = JSON.parse(raw);
+    if (entry.version !== STORAGE_VERSION || !Array.isArray(entry.tournaments)) return [];
+    return entry.tournaments.map(reviveTournament);
+  } catch (error) {
+    console.warn('Ignoring unreadable watchlist:', error);
+    return [];
+  }
+}
+
+function writeWatchlist(key, tournaments) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify({
+      version: STORAGE_VERSION,
+      tournaments: tournaments.map(serializeTournament),
+    }));
+  } catch (error) {
+    console.warn('Could not save watchlist:', error);
+  }
+}
+
+export function useWatchlist(key = STORAGE_KEY) {
+  const [saved, setSaved] = useState(() => readWatchlist(key));
+
+  useEffect(() => {
+    writeWatchlist(key, saved);
+  }, [key, saved]);
+
+  const toggleSaved = useCallback((tournament) => {
+    setSaved(prev => prev.some(t => t.id === tournament.id)
+      ? prev.filter(t => t.id !== tournament.id)
+      : [...prev, tournament]);
+  }, []);
+
+  // Refresh snapshots from a freshly fetched list, e.g. after a file was renamed.
+  const syncSnapshots = useCallback((tournaments) => {
+    const byId = new Map(tournaments.map(t => [t.id, t]));
+    setSaved(prev => {
+      if (!prev.some(t => byId.has(t.id) && byId.get(t.id) !== t)) return prev;
+      return prev.map(t => byId.get(t.id) || t);
+    });
+  }, []);
+
+  const clear = useCallback(() => setSaved([]), []);
+
+  return { saved, toggleSaved, syncSnapshots, clear };
+}
@@ -0,0 +1,169 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { createRoot } from 'react-dom/client';
+import widgetStyles from './widget.css?inline';
+import { TournamentCard } from './TournamentCard';
+import { createDataSource } from './data';
+import { SNAPSHOT_PATH } from './data/snapshotSource';
+import { I18nContext, createI18n, detectLanguage } from './i18n';
+import { matchesTimeWindow } from './dates';
+import { DEFAULT_FILTERS, filtersToSearch } from './urlFilters';
+import { SITE_NAME } from './pageMeta';
+
+// The list as an embeddable widget for club and federation sites, built into
+// dist/widget.js by vite.widget.config.js:
+//
+//   <script src="https://example.org/widget.js" async></script>
+//   <chess-tournaments country="India,Sri Lanka" type="Classical" max-items="5" compact></chess-tournaments>
+//
+// It renders in a shadow root with its own copy of the styles, so the host
+// page's CSS can't reach it. public/widget.html shows the same widget in an
+// iframe, taking the attributes from its query string.
+
+const TAG_NAME = 'chess-tournaments';
+const DEFAULT_MAX_ITEMS = 5;
+const STATUSES = ['Upcoming', 'Ongoing', 'Completed', 'All'];
+// Theme attribute -> the CSS variable widget.css reads it from.
+const THEME_ATTRIBUTES = {
+  'accent-color': '--ct-accent',
+  'background-color': '--ct-background',
+  'text-color': '--ct-text',
+};
+
+// Links and data come from the site that serves the script, not the host page.
+const SITE_URL = new URL(document.currentScript?.src || window.location.href).origin;
+
+let tournamentsPromise = null;
+
+// One fetch for every widget on the page. Relative data URLs are resolved
+// against the site, since the host page won't have them.
+function loadTournaments() {
+  if (!tournamentsPromise) {
+    const env = import.meta.env;
+    const dataUrl = env.VITE_DATA_URL || (env.VITE_DATA_SOURCE === 'snapshot' ? SNAPSHOT_PATH : '');
+    const source = createDataSource({ ...env, VITE_DATA_URL: dataUrl && new URL(dataUrl, SITE_URL).href });
+    tournamentsPromise = source.fetchTournaments();
+    tournamentsPromise.catch(() => {
+      tournamentsPromise = null;
+    });
+  }
+  return tournamentsPromise;
+}
+
+function readList(value) {
+  return (value || '').split(',').map(part => part.trim()).filter(Boolean);
+}
+
+function readOptions(element) {
+  const status = element.getAttribute('status');
+  const maxItems = parseInt(element.getAttribute('max-items'), 10);
+  const theme = {};
+  Object.entries(THEME_ATTRIBUTES).forEach(([attribute, variable]) => {
+    const value = element.getAttribute(attribute);
+    if (value && CSS.supports('color', value)) theme[variable] = value;
+  });
+  return {
+    country: readList(element.getAttribute('country')),
+    type: readList(element.getAttribute('type')),
+    status: STATUSES.includes(status) ? status : DEFAULT_FILTERS.status,
+    maxItems: maxItems > 0 ? maxItems : DEFAULT_MAX_ITEMS,
+    compact: element.hasAttribute('compact') && element.getAttribute('compact') !== 'false',
+    language: element.getAttribute('lang') || document.documentElement.lang,
+    theme,
+  };
+}
+
+function byDate(a, b) {
+  const time = t => (t.startDate ? t.startDate.getTime() : Number.MAX_SAFE_INTEGER);
+  return time(a) - time(b);
+}
+
+function Widget({ options }) {
+  const { country, type, status, maxItems, compact, language, theme } = options;
+  const i18n = useMemo(() => createI18n((language || detectLanguage()).split('-')[0].toLowerCase()), [language]);
+  const { t } = i18n;
+  const [tournaments, setTournaments] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    loadTournaments()
+      .then(setTournaments)
+      .catch((error) => {
+        console.warn('Could not load tournaments for the widget:', error);
+        setFailed(true);
+      });
+  }, []);
+
+  const matching = useMemo(() => {
+    if (!tournaments) return [];
+    const now = new Date();
+    const inFacet = (selected, value) => selected.length === 0 || selected.includes(value);
+    const filtered = tournaments
+      .filter(t => inFacet(country, t.country) && inFacet(type, t.type) && matchesTimeWindow(t, status, now))
+      .sort(byDate);
+    // Past events are most interesting most recent first.
+    return status === 'Completed' ? filtered.reverse() : filtered;
+  }, [tournaments, country, type, status]);
+
+  const listUrl = `${SITE_URL}/${filtersToSearch({ ...DEFAULT_FILTERS, country, type, status })}`;
+
+  return (
+    <I18nContext.Provider value={i18n}>
+      <div className="ct-widget font-sans text-sm" style={theme} lang={i18n.language}>
+        {failed ? (
+          <p className="text-red-600">{t('widget.error')}</p>
+        ) : !tournaments ? (
+          <p className="text-gray-600">{t('list.loading')}</p>
+        ) : matching.length === 0 ? (
+          <p className="text-gray-600">{t('list.empty')}</p>
+        ) : (
+          <ul className={compact ? 'space-y-2' : 'grid grid-cols-[repeat(auto-fill,minmax(16rem,1fr))] gap-4'}>
+            {matching.slice(0, maxItems).map(tournament => (
+              <li key={tournament.id} className="flex flex-col [&>*]:flex-1">
+                <TournamentCard tournament={tournament} compact={compact} siteUrl={SITE_URL} />
+              </li>
+            ))}
+          </ul>
+        )}
+        {matching.length > 0 && (
+          <p className="mt-3 text-right">
+            <a href={listUrl} target="_blank" rel="noopener noreferrer" className="font-medium text-orange-700 hover:text-orange-800 underline">
+              {t('widget.seeAll', { count: matching.length, site: SITE_NAME })}
+            </a>
+          </p>
+        )}
+      </div>
+    </I18nContext.Provider>
+  );
+}
+
+class TournamentWidget extends HTMLElement {
+  static observedAttributes = ['country', 'type', 'status', 'max-items', 'compact', 'lang', ...Object.keys(THEME_ATTRIBUTES)];
+
+  connectedCallback() {
+    if (!this.shadowRoot) {
+      const shadow = this.attachShadow({ mode: 'open' });
+      const style = document.createElement('style');
+      style.textContent = widgetStyles;
+      shadow.append(style, document.createElement('div'));
+    }
+    this.root = createRoot(this.shadowRoot.lastChild);
+    this.renderWidget();
+  }
+
+  disconnectedCallback() {
+    this.root.unmount();
+    this.root = null;
+  }
+
+  attributeChangedCallback() {
+    if (this.root) this.renderWidget();
+  }
+
+  renderWidget() {
+    this.root.render(<Widget options={readOptions(this)} />);
+  }
+}
+
+if (!customElements.get(TAG_NAME)) {
+  customElements.define(TAG_NAME, TournamentWidget);
+}
@@ -1,3 +1,31 @@
+import colors from 'tailwindcss/colors'
+import plugin from 'tailwindcss/plugin'
+
+// The palettes the app uses are read from CSS variables, so the same classes
+// serve both themes (src/theme.js). The dark theme mirrors each palette:
+// light backgrounds turn dark and dark text turns light, and white (cards,
+// inputs, text on buttons) becomes the dark surface. 500 and 600 both map to
+// 400, which keeps mid-tone text at 4.5:1 or better on dark surfaces.
+const THEMED_PALETTES = ['gray', 'orange', 'yellow', 'green', 'sky', 'blue', 'violet', 'red']
+const DARK_SHADES = { 50: 950, 100: 900, 200: 800, 300: 700, 400: 600, 500: 400, 600: 400, 700: 300, 800: 200, 900: 100, 950: 50 }
+
+// "#f97316" -> "249 115 22", so classes like bg-white/80 keep working.
+function channels(hex) {
+  return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)).join(' ')
+}
+
+function themeVariables(dark) {
+  const variables = { '--white': channels(dark ? colors.gray[900] : '#ffffff') }
+  THEMED_PALETTES.forEach(name => {
+    Object.keys(DARK_SHADES).forEach(shade => {
+      variables[`--${name}-${shade}`] = channels(colors[name][dark ? DARK_SHADES[shade] : shade])
+    })
+  })
+  return variables
+}
+
+const themedColor = variable => `rgb(var(${variable}) / <alpha-value>)`
+
 /** @type {import('tailwindcss').Config} */
 export default {
   content: [
@@ -9,7 +37,21 @@ export default {
       screens: {
         'xs': '475px', // Custom extra-small breakpoint
       },
+      colors: {
+        white: themedColor('--white'),
+        ...Object.fromEntries(THEMED_PALETTES.map(name => [
+          name,
+          Object.fromEntries(Object.keys(DARK_SHADES).map(shade => [shade, themedColor(`--${name}-${shade}`)])),
+        ])),
+      },
     },
   },
-  plugins: [],
-}
\ No newline at end of file
+  plugins: [
+    plugin(({ addBase }) => {
+      addBase({
+        ':root, :host': themeVariables(false),
+        '.dark': { ...themeVariables(true), colorScheme: 'dark' },
+      })
+    }),
+  ],
+}
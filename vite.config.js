@@ -2,8 +2,25 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Copies the built index.html to app.html, the page vercel.json serves for
+// client-side routes. build-static.mjs fills index.html with the prerendered
+// list, which those routes mustn't show before the app has loaded.
+function appShell() {
+  return {
+    name: 'app-shell',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(options, bundle) {
+      const index = bundle['index.html']
+      if (index) {
+        this.emitFile({ type: 'asset', fileName: 'app.html', source: index.source })
+      }
+    },
+  }
+}
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), appShell()],
   server: {
     hmr: {
       overlay: false
@@ -0,0 +1,23 @@
+// vite.widget.config.js
+// Builds the embeddable widget (src/widget.jsx) as one script, dist/widget.js,
+// next to the site. Run it after the main build, which empties dist.
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+
+export default defineConfig({
+  plugins: [react()],
+  // Library builds leave process.env alone; React reads it to pick its build.
+  define: {
+    'process.env.NODE_ENV': JSON.stringify('production')
+  },
+  publicDir: false,
+  build: {
+    emptyOutDir: false,
+    lib: {
+      entry: 'src/widget.jsx',
+      name: 'ChessTournamentsWidget',
+      formats: ['iife'],
+      fileName: () => 'widget.js'
+    }
+  }
+})